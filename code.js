@@ -98,6 +98,24 @@ async function annotate(payload) {
   return safePostJSON(`${API}/annotate`, payload);
 }
 
+// The plugin sandbox can't read a response as it arrives, so the UI iframe calls
+// /annotate/stream and draws the stages; it answers with the final /annotate response.
+// Once the server has the request, every failure (error event, 5xx / 429, a stream cut
+// off before `done`, our timeout) is { ok: false, error }: re-sending it to /annotate
+// would run and bill the model twice. Only null, streaming never started (no readable
+// body, or the fetch failed before any response), falls back to annotate().
+const STREAM_TIMEOUT_MS = 300000;
+
+/**
+ * Annotate through the UI's streaming request
+ * @param {Object} payload - Annotation payload
+ * @returns {Promise<Object|null>} API response or { ok: false, error }; null to retry without streaming
+ */
+async function annotateStreaming(payload) {
+  return requestFromUI('ANNOTATE_STREAM', { url: `${API}/annotate/stream`, payload }, STREAM_TIMEOUT_MS,
+    { ok: false, error: 'No result from the focus order service after ' + STREAM_TIMEOUT_MS / 60000 + ' minutes.' });
+}
+
 figma.showUI(__html__, { width: 420, height: 520 });
 console.log('[A11y] plugin booted');
 
@@ -129,6 +147,58 @@ function readingOrder(a, b) {
   return ax - bx;
 }
 
+// ---- Reading direction ----
+// Arabic and Hebrew frames read right to left; vertical CJK layouts read column by
+// column. Picked in the UI, else detected from the frame's text; the flow orders the
+// serialized tree and is sent with the frame so the server mirrors its rules and prompt.
+var DIRECTION_CHOICES = ['ltr', 'rtl', 'vertical-rl', 'vertical-lr'];
+var RTL_CHARS = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/g;
+var LTR_CHARS = /[A-Za-z\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF]/g;
+
+// 'rtl' when right-to-left letters outnumber left-to-right ones in the frame's text
+function detectDirection(frame) {
+  var text = collectText(frame, 4000);
+  var rtl = (text.match(RTL_CHARS) || []).length;
+  var ltr = (text.match(LTR_CHARS) || []).length;
+  return rtl > ltr ? 'rtl' : 'ltr';
+}
+
+/**
+ * Reading flow for a frame.
+ * @param {FrameNode} frame
+ * @param {string} [choice] - 'auto' | 'ltr' | 'rtl' | 'vertical-rl' | 'vertical-lr'
+ * @returns {Object} { direction, writingMode, source: 'choice'|'text' }
+ */
+function resolveFlow(frame, choice) {
+  if (DIRECTION_CHOICES.indexOf(choice) === -1) {
+    return { direction: detectDirection(frame), writingMode: 'horizontal-tb', source: 'text' };
+  }
+  var vertical = choice.indexOf('vertical-') === 0;
+  return {
+    direction: vertical ? 'ltr' : choice,
+    writingMode: vertical ? choice : 'horizontal-tb',
+    source: 'choice'
+  };
+}
+
+// readingOrder for a flow: rows read right to left for rtl; vertical modes read columns first
+function readingOrderFor(flow) {
+  if (!flow || (flow.direction !== 'rtl' && flow.writingMode === 'horizontal-tb')) return readingOrder;
+  if (flow.writingMode === 'vertical-rl' || flow.writingMode === 'vertical-lr') {
+    var sign = flow.writingMode === 'vertical-rl' ? -1 : 1;
+    return function (a, b) {
+      var dx = (a.x || 0) - (b.x || 0);
+      if (Math.abs(dx) > 6) return sign * dx;
+      return (a.y || 0) - (b.y || 0);
+    };
+  }
+  return function (a, b) {
+    var dy = (a.y || 0) - (b.y || 0);
+    if (Math.abs(dy) > 6) return dy;
+    return ((b.x || 0) + (b.width || 0)) - ((a.x || 0) + (a.width || 0));
+  };
+}
+
 function guessRoleFromName(name) {
   const n = (name || '').toLowerCase();
   if (/\b(link|back|learn more|details)\b/.test(n)) return 'link';
@@ -142,6 +212,9 @@ function guessRoleFromName(name) {
   return undefined;
 }
 
+// A role tag alone makes a node focusable unless the role is structural or static
+var NON_FOCUSABLE_ROLES = ['heading', 'header', 'text', 'img', 'image', 'none', 'presentation', 'landmark', 'navigation', 'banner', 'main', 'contentinfo', 'complementary', 'region'];
+
 function isFocusableHeuristic(node, platform) {
   // TEXT nodes are never independently focusable (they're content within focusable elements)
   if (node.type === 'TEXT') {
@@ -151,20 +224,416 @@ function isFocusableHeuristic(node, platform) {
   const nameRole = guessRoleFromName(node.name || '');
   let focusable = Boolean(nameRole);
   
-  // Respect plugin metadata tags if present
+  // Respect plugin metadata tags if present (set in the tag inspector)
   const getPD = (n, k) => ('getPluginData' in n ? n.getPluginData(k) : '');
   try {
+    if (getPD(node, 'a11y-decorative') === 'true') {
+      return { focusable: false, role: undefined, tagged: true, decorative: true };
+    }
     const tagged = getPD(node, 'a11y-focusable');
     const forcedRole = getPD(node, 'a11y-role');
     if (tagged === 'true') {
       focusable = true;
-      return { focusable, role: forcedRole || nameRole || (platform === 'web' ? 'button' : 'button') };
+      return { focusable, role: forcedRole || nameRole || (platform === 'web' ? 'button' : 'button'), tagged: true };
+    }
+    if (tagged === 'false') {
+      return { focusable: false, role: forcedRole || nameRole, tagged: true };
+    }
+    if (forcedRole) {
+      return { focusable: NON_FOCUSABLE_ROLES.indexOf(forcedRole) === -1, role: forcedRole, tagged: true };
     }
   } catch (e) { /* no-op */ }
 
   return { focusable, role: nameRole };
 }
 
+// ---- Component semantics ----
+// Design-system components declare their accessibility once instead of being guessed
+// from layer names on every run. Rules live in the library file (root plugin data),
+// keyed by main component or component-set key, with variant overrides such as
+// State=Disabled. Saving a rule also stamps it on the main component as shared plugin
+// data, so files using the published library read it through instance.mainComponent.
+// toDTO applies the rule to every INSTANCE; a node's own a11y-focusable tag still wins.
+//
+// Rule: { key, name, role?, focusable?, label?: 'text'|'name'|'prop:<Name>'|'layer:<Name>',
+//         traverse?: 'auto'|'stop'|'children', variants?: [{ when: { Prop: 'Value' }, ...same fields }] }
+var REGISTRY_KEY = 'a11y-component-registry';
+var SEMANTICS_NS = 'a11y_annotator';
+var SEMANTICS_KEY = 'semantics';
+var LABEL_SOURCE_RE = /^(text|name|prop:.+|layer:.+)$/;
+var TRAVERSE_MODES = ['auto', 'stop', 'children'];
+var registryCache = null; // parsed once per toDTO walk
+
+function readRegistry() {
+  if (registryCache) return registryCache;
+  var parsed = null;
+  try {
+    var raw = figma.root.getPluginData(REGISTRY_KEY);
+    parsed = raw ? JSON.parse(raw) : null;
+  } catch (e) { parsed = null; }
+  registryCache = { rules: (parsed && parsed.rules) || {} };
+  return registryCache;
+}
+
+function writeRegistry(rules) {
+  figma.root.setPluginData(REGISTRY_KEY, JSON.stringify({ version: 1, rules: rules }));
+  registryCache = null;
+}
+
+function copyRuleFields(from, to) {
+  if (typeof from.role === 'string' && from.role) to.role = from.role;
+  if (typeof from.focusable === 'boolean') to.focusable = from.focusable;
+  if (typeof from.label === 'string' && LABEL_SOURCE_RE.test(from.label)) to.label = from.label;
+  if (TRAVERSE_MODES.indexOf(from.traverse) !== -1) to.traverse = from.traverse;
+  return to;
+}
+
+// Keep only known fields (rules come from the UI and from imported JSON)
+function cleanRule(rule) {
+  if (!rule || typeof rule.key !== 'string' || !rule.key) throw new Error('A component rule needs a key');
+  var out = copyRuleFields(rule, { key: rule.key, name: String(rule.name || rule.key) });
+  var variants = (Array.isArray(rule.variants) ? rule.variants : []).filter(function (v) {
+    return v && v.when && typeof v.when === 'object' && Object.keys(v.when).length;
+  });
+  if (variants.length) {
+    out.variants = variants.map(function (v) { return copyRuleFields(v, { when: v.when }); });
+  }
+  return out;
+}
+
+// The main component and, for variants, its component set
+function componentTargets(node) {
+  try {
+    if (node.type === 'COMPONENT_SET') return { main: null, set: node };
+    var main = node.type === 'INSTANCE' ? node.mainComponent : node.type === 'COMPONENT' ? node : null;
+    if (!main) return null;
+    var set = main.parent && main.parent.type === 'COMPONENT_SET' ? main.parent : null;
+    return { main: main, set: set };
+  } catch (e) {
+    return null; // detached or inaccessible library component
+  }
+}
+
+function sharedRule(component) {
+  try {
+    var raw = component.getSharedPluginData(SEMANTICS_NS, SEMANTICS_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function variantPropsOf(node) {
+  try {
+    return node.variantProperties || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function matchesVariant(when, props) {
+  return Object.keys(when).every(function (k) {
+    return props[k] !== undefined && String(props[k]).toLowerCase() === String(when[k]).toLowerCase();
+  });
+}
+
+/**
+ * Registry rule for an instance: the main component's rule, else its set's; the
+ * library file's registry first, then the rule stamped on the component. Matching
+ * variant overrides are merged in.
+ * @param {InstanceNode} node
+ * @returns {Object|null} { key, name, role?, focusable?, label?, traverse? }
+ */
+function componentRuleFor(node) {
+  var t = componentTargets(node);
+  if (!t) return null;
+  var rules = readRegistry().rules;
+  var base = null;
+  [t.main, t.set].some(function (c) {
+    base = c ? rules[c.key] || sharedRule(c) : null;
+    return Boolean(base);
+  });
+  if (!base) return null;
+  var props = variantPropsOf(node);
+  var resolved = copyRuleFields(base, { key: base.key, name: base.name });
+  (base.variants || []).forEach(function (v) {
+    if (matchesVariant(v.when, props)) copyRuleFields(v, resolved);
+  });
+  return resolved;
+}
+
+// Accessible name per the rule's label source
+function ruleLabel(node, source) {
+  if (source === 'name') return node.name;
+  if (source && source.indexOf('prop:') === 0) {
+    var want = source.slice(5).toLowerCase();
+    var props = node.componentProperties || {};
+    for (var k in props) {
+      if (k.split('#')[0].toLowerCase() === want) return String(props[k].value);
+    }
+    return '';
+  }
+  if (source && source.indexOf('layer:') === 0) {
+    var layerName = source.slice(6).toLowerCase();
+    var layer = 'findOne' in node ? node.findOne(function (c) { return c.type === 'TEXT' && c.name.toLowerCase() === layerName; }) : null;
+    return layer ? String(layer.characters || '') : '';
+  }
+  return collectText(node);
+}
+
+// Selected layer → the component a rule would be saved for
+function selectedComponent() {
+  var node = figma.currentPage.selection[0];
+  var t = node && componentTargets(node);
+  if (!t) return null;
+  var target = t.set || t.main;
+  var props = node.type === 'COMPONENT_SET' ? {} : variantPropsOf(node);
+  return { key: target.key, name: target.name, remote: Boolean(target.remote), variantProperties: props, node: target };
+}
+
+function postRegistry() {
+  var rules = readRegistry().rules;
+  var selected = selectedComponent();
+  var data = {
+    rules: Object.keys(rules).map(function (k) { return rules[k]; }).sort(function (a, b) { return a.name.localeCompare(b.name); }),
+    selected: selected && { key: selected.key, name: selected.name, remote: selected.remote, variantProperties: selected.variantProperties }
+  };
+  figma.ui.postMessage({ type: 'COMPONENT_REGISTRY', data: data });
+  return data;
+}
+
+// Mirror a rule onto its (local) main component so consuming files can read it
+function stampRule(node, rule) {
+  if (!node || node.remote) return;
+  try {
+    node.setSharedPluginData(SEMANTICS_NS, SEMANTICS_KEY, rule ? JSON.stringify(rule) : '');
+  } catch (e) { /* read-only */ }
+}
+
+/**
+ * Save the rule for the selected component, or one variant override of it.
+ * @param {Object} msg - { rule: { role?, focusable?, label?, traverse? }, when?: { Prop: 'Value' } }
+ */
+function saveComponentRule(msg) {
+  var target = selectedComponent();
+  if (!target) throw new Error('Select a component, component set or instance');
+  var rules = Object.assign({}, readRegistry().rules);
+  var fields = copyRuleFields(msg.rule || {}, {});
+  var rule = rules[target.key] ? cleanRule(rules[target.key]) : { key: target.key, name: target.name };
+  rule.name = target.name;
+  if (msg.when && Object.keys(msg.when).length) {
+    var variants = (rule.variants || []).filter(function (v) { return JSON.stringify(v.when) !== JSON.stringify(msg.when); });
+    variants.push(Object.assign({ when: msg.when }, fields));
+    rule.variants = variants;
+  } else {
+    ['role', 'focusable', 'label', 'traverse'].forEach(function (f) { delete rule[f]; });
+    copyRuleFields(fields, rule);
+  }
+  rules[target.key] = cleanRule(rule);
+  writeRegistry(rules);
+  stampRule(target.node, rules[target.key]);
+  figma.notify('A11y: Saved semantics for ' + target.name + (target.remote ? ' (library component: saved in this file only)' : ''));
+  return postRegistry();
+}
+
+/**
+ * Remove a rule, or one of its variant overrides.
+ * @param {Object} msg - { key, when? }
+ */
+function removeComponentRule(msg) {
+  var rules = Object.assign({}, readRegistry().rules);
+  var rule = rules[msg.key];
+  if (!rule) return postRegistry();
+  if (msg.when) {
+    rule = cleanRule(rule);
+    rule.variants = (rule.variants || []).filter(function (v) { return JSON.stringify(v.when) !== JSON.stringify(msg.when); });
+    if (!rule.variants.length) delete rule.variants;
+    rules[msg.key] = rule;
+  } else {
+    delete rules[msg.key];
+    rule = null;
+  }
+  writeRegistry(rules);
+  var node = figma.root.findOne(function (n) { return (n.type === 'COMPONENT' || n.type === 'COMPONENT_SET') && n.key === msg.key; });
+  stampRule(node, rule);
+  return postRegistry();
+}
+
+/**
+ * Merge rules from exported registry JSON (a design-system repo can keep them under
+ * version control). Existing rules with the same key are replaced.
+ * @param {Object} msg - { json }
+ */
+function importComponentRegistry(msg) {
+  var doc = JSON.parse(String(msg.json || ''));
+  var incoming = Array.isArray(doc) ? doc : Array.isArray(doc.rules) ? doc.rules : Object.keys(doc.rules || {}).map(function (k) { return doc.rules[k]; });
+  var rules = Object.assign({}, readRegistry().rules);
+  incoming.forEach(function (r) {
+    var rule = cleanRule(r);
+    rules[rule.key] = rule;
+  });
+  writeRegistry(rules);
+  var byKey = {};
+  figma.root.findAll(function (n) { return n.type === 'COMPONENT' || n.type === 'COMPONENT_SET'; }).forEach(function (n) { byKey[n.key] = n; });
+  incoming.forEach(function (r) { stampRule(byKey[r.key], rules[r.key]); });
+  figma.notify('A11y: Imported ' + incoming.length + ' component rule' + (incoming.length === 1 ? '' : 's'));
+  return postRegistry();
+}
+
+// ---- Variant state ----
+// Control state from an instance's component properties: a boolean or variant named for
+// the flag ("Checked", "Is open", "Enabled") or a "State"/"Status" variant whose value
+// names it ("On", "Selected", "Collapsed"). Sent to the server as `state`, saved with the
+// order and shown in the note, the preview and the exports. Hover / focus / default are
+// visual states and are ignored.
+
+// Property name → [flag, inverted]
+var STATE_PROPERTY_NAMES = {
+  checked: ['checked', false], ischecked: ['checked', false], on: ['checked', false], toggled: ['checked', false],
+  selected: ['selected', false], isselected: ['selected', false], active: ['selected', false], current: ['selected', false],
+  expanded: ['expanded', false], isexpanded: ['expanded', false], open: ['expanded', false], isopen: ['expanded', false], collapsed: ['expanded', true],
+  disabled: ['disabled', false], isdisabled: ['disabled', false], enabled: ['disabled', true],
+  pressed: ['pressed', false], ispressed: ['pressed', false]
+};
+// "State" / "Status" variant value → [flag, value]
+var STATE_VALUE_WORDS = {
+  checked: ['checked', true], unchecked: ['checked', false], on: ['checked', true], off: ['checked', false],
+  selected: ['selected', true], unselected: ['selected', false], active: ['selected', true], inactive: ['selected', false],
+  expanded: ['expanded', true], open: ['expanded', true], collapsed: ['expanded', false], closed: ['expanded', false],
+  disabled: ['disabled', true], pressed: ['pressed', true]
+};
+var STATE_GROUP_RE = /^(state|status)$/;
+// Flags kept on saved items (same list as the server's helpers/state.js)
+var STATE_FLAGS = ['checked', 'selected', 'expanded', 'disabled', 'pressed'];
+var TRUE_WORDS = ['true', 'yes', 'on', '1'];
+var FALSE_WORDS = ['false', 'no', 'off', '0'];
+
+// "Is open#12:3" → "isopen"
+function statePropertyKey(name) {
+  return String(name || '').split('#')[0].toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+function stateBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  var v = String(value).toLowerCase().trim();
+  if (TRUE_WORDS.indexOf(v) !== -1) return true;
+  if (FALSE_WORDS.indexOf(v) !== -1) return false;
+  return null;
+}
+
+// { name: value } from componentProperties (booleans and variants), else variantProperties
+function instanceProperties(node) {
+  var out = {};
+  try {
+    var props = node.componentProperties || {};
+    Object.keys(props).forEach(function (k) {
+      if (props[k] && (props[k].type === 'BOOLEAN' || props[k].type === 'VARIANT')) out[k] = props[k].value;
+    });
+  } catch (e) { /* missing main component */ }
+  if (!Object.keys(out).length) out = variantPropsOf(node);
+  return out;
+}
+
+/**
+ * Control state of an instance from its properties.
+ * @param {InstanceNode} node
+ * @returns {Object|null} { checked?, selected?, expanded?, disabled?, pressed? }
+ */
+function variantState(node) {
+  if (!node || node.type !== 'INSTANCE') return null;
+  var props = instanceProperties(node);
+  var state = {};
+  Object.keys(props).forEach(function (name) {
+    var key = statePropertyKey(name);
+    if (STATE_GROUP_RE.test(key)) {
+      var word = STATE_VALUE_WORDS[statePropertyKey(props[name])];
+      if (word) state[word[0]] = word[1];
+      return;
+    }
+    var flag = STATE_PROPERTY_NAMES[key];
+    var value = flag ? stateBoolean(props[name]) : null;
+    if (value !== null) state[flag[0]] = flag[1] ? !value : value;
+  });
+  return Object.keys(state).length ? state : null;
+}
+
+// A "button" with a checked state is a switch or checkbox; a selected one named like a tab is a tab
+function stateRole(role, state, name) {
+  if (role && role !== 'button') return role;
+  if (typeof state.checked === 'boolean') return /switch|toggle/i.test(name) ? 'switch' : 'checkbox';
+  if (typeof state.selected === 'boolean' && /\btab\b/i.test(name)) return 'tab';
+  return role || 'button';
+}
+
+// Known flags with boolean values, else null (mirrors the server's cleanState)
+function cleanState(state) {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) return null;
+  var out = {};
+  STATE_FLAGS.forEach(function (key) {
+    if (typeof state[key] === 'boolean') out[key] = state[key];
+  });
+  return Object.keys(out).length ? out : null;
+}
+
+/**
+ * Short state words for notes and exports, e.g. "on" for a switch, "checked" for a checkbox.
+ * @param {Object} state
+ * @param {string} role
+ * @returns {Array<string>}
+ */
+function stateWords(state, role) {
+  if (!state) return [];
+  var words = [];
+  if (typeof state.checked === 'boolean') {
+    words.push(String(role).toLowerCase() === 'switch' ? (state.checked ? 'on' : 'off') : (state.checked ? 'checked' : 'unchecked'));
+  }
+  if (state.selected === true) words.push('selected');
+  if (typeof state.expanded === 'boolean') words.push(state.expanded ? 'expanded' : 'collapsed');
+  if (typeof state.pressed === 'boolean') words.push(state.pressed ? 'pressed' : 'not pressed');
+  if (state.disabled === true) words.push('disabled');
+  return words;
+}
+
+// Helper: Concatenate visible text beneath a node (used for leaf components whose children aren't serialized)
+function collectText(node, limit) {
+  limit = limit || 80;
+  if (node.type === 'TEXT') return String(node.characters || '').substring(0, limit);
+  if (!node.children) return '';
+  var parts = [];
+  for (var i = 0; i < node.children.length; i++) {
+    if (node.children[i].visible === false) continue;
+    var t = collectText(node.children[i], limit);
+    if (t) parts.push(t);
+  }
+  return parts.join(' ').substring(0, limit);
+}
+
+// Helper: does the node paint an opaque-enough fill to hide what's beneath it?
+function hasOpaqueFill(node) {
+  if (node.type === 'TEXT' || !Array.isArray(node.fills)) return false;
+  if (typeof node.opacity === 'number' && node.opacity < 0.5) return false;
+  for (var i = 0; i < node.fills.length; i++) {
+    var f = node.fills[i];
+    if (f.visible === false) continue;
+    if ((typeof f.opacity === 'number' ? f.opacity : 1) >= 0.5) return true;
+  }
+  return false;
+}
+
+// Helper: a translucent dark fill (the backdrop behind a modal, sheet or drawer)?
+function isScrimFill(node) {
+  if (node.type === 'TEXT' || !Array.isArray(node.fills)) return false;
+  var nodeOpacity = typeof node.opacity === 'number' ? node.opacity : 1;
+  for (var i = 0; i < node.fills.length; i++) {
+    var f = node.fills[i];
+    if (f.visible === false || f.type !== 'SOLID') continue;
+    var alpha = (typeof f.opacity === 'number' ? f.opacity : 1) * nodeOpacity;
+    var dark = 0.2126 * f.color.r + 0.7152 * f.color.g + 0.0722 * f.color.b < 0.35;
+    if (dark && alpha >= 0.15 && alpha <= 0.9) return true;
+  }
+  return false;
+}
+
 // Helper: Infer component type from structure (for generic names like "Frame 24")
 function inferComponentType(node, platform) {
   if (!node.children || node.children.length === 0) return null;
@@ -210,11 +679,13 @@ function inferComponentType(node, platform) {
   return null;
 }
 
+// counters is per-walk state: { total, readingOrder? } (readingOrderFor the frame's flow)
 function toDTO(n, platform, depth, counters, parent) {
   // Defaults for top-level call
   depth = (depth !== null && depth !== undefined) ? depth : 0;
   counters = counters || { total: 0 };
   parent = parent || null;
+  if (depth === 0) registryCache = null; // pick up registry edits made since the last walk
 
   // Safety limits to keep payload bounded
   if (depth > 10) return null; // stop after 10 levels
@@ -228,6 +699,22 @@ function toDTO(n, platform, depth, counters, parent) {
   var role = fr.role;
   var focusable = fr.focusable;
 
+  // Design-system rule for the instance's main component (a node's own tag wins)
+  var semantics = n.type === 'INSTANCE' && !fr.tagged ? componentRuleFor(n) : null;
+  if (semantics) {
+    if (typeof semantics.focusable === 'boolean') focusable = semantics.focusable;
+    role = semantics.role || role || (focusable ? 'button' : undefined);
+  }
+
+  // Checked / selected / expanded… from the instance's properties: an instance with a
+  // control state is a control whatever its name, and a plain "button" may sharpen
+  var state = variantState(n);
+  if (state && !fr.tagged) {
+    var ruled = semantics && typeof semantics.focusable === 'boolean';
+    if (!focusable && !ruled && Object.keys(state).some(function (k) { return k !== 'disabled'; })) focusable = true;
+    if (focusable && !(semantics && semantics.role)) role = stateRole(role, state, n.name);
+  }
+
   var rect = ('absoluteTransform' in n && 'width' in n && 'height' in n)
     ? { x: num(n.x, 0), y: num(n.y, 0), w: num(n.width, 0), h: num(n.height, 0) }
     : undefined;
@@ -260,11 +747,16 @@ function toDTO(n, platform, depth, counters, parent) {
   // This allows "Button Group" to traverse (has INSTANCE children)
   // But stops "Button Primary" (only has TEXT children)
   var shouldStopTraversal = isComponentInstance && hasOnlyStaticChildren(n);
+  if (semantics && semantics.traverse === 'stop') shouldStopTraversal = true;
+  if (semantics && semantics.traverse === 'children') shouldStopTraversal = false;
 
   // Infer component type for ALL leaf components (helps AI with matching and labeling)
   var inference = null;
   
-  if (isComponentInstance && shouldStopTraversal) {
+  if (semantics && focusable) {
+    // The registry knows the role and where the name comes from; no guessing
+    inference = { rnRole: role, hint: 'component: ' + semantics.name, text: String(ruleLabel(n, semantics.label) || '').substring(0, 50) };
+  } else if (isComponentInstance && shouldStopTraversal) {
     inference = inferComponentType(n, platform);
     if (inference) {
       console.log('[A11y] Inferred type for', n.name + ':', inference.hint, '(text:', inference.text + ')');
@@ -280,7 +772,7 @@ function toDTO(n, platform, depth, counters, parent) {
     // Normal traversal for containers
     var raw = n.children
       .filter(function(c) { return c.visible !== false; })
-      .sort(readingOrder);
+      .sort(counters.readingOrder || readingOrder);
     for (var i = 0; i < raw.length; i++) {
       var childDto = toDTO(raw[i], platform, depth + 1, counters, n); // Pass parent
       if (childDto) kids.push(childDto);
@@ -297,12 +789,54 @@ function toDTO(n, platform, depth, counters, parent) {
     role: role,
     focusable: focusable
   };
+  if (state) {
+    base.state = state;
+  }
+  if (fr.decorative) {
+    base.decorative = true;
+  } else if (fr.tagged && focusable) {
+    base.tagged = true; // a designer made it focusable; exclusion rules leave it alone
+  }
+  if (typeof n.opacity === 'number' && n.opacity < 1) {
+    base.opacity = n.opacity;
+  }
+
+  // Paint order within parent (children are re-sorted by reading order below)
+  if (parent && parent.children) {
+    base.z = parent.children.indexOf(n);
+  }
+
+  // Absolute bounds, text and fill info feed the lint pass (not sent to the server)
+  if (n.absoluteBoundingBox) {
+    var bb = n.absoluteBoundingBox;
+    base.abs = { x: bb.x, y: bb.y, w: bb.width, h: bb.height };
+  }
+  if (n.type === 'TEXT' || shouldStopTraversal) {
+    var text = collectText(n);
+    if (text) base.text = text;
+  }
+  if (hasOpaqueFill(n)) {
+    base.hasFill = true;
+  }
+  if (isScrimFill(n)) {
+    base.scrim = true;
+  }
   
   // Add parent context (helps disambiguate duplicates)
   if (parent && parent.name) {
     base.parentName = parent.name;
   }
   
+  // Designer-set accessible name and hint (tag inspector) beat any inference
+  var tagName = 'getPluginData' in n ? n.getPluginData('a11y-name') : '';
+  var tagHint = 'getPluginData' in n ? n.getPluginData('a11y-hint') : '';
+  if (tagName) {
+    inference = Object.assign({ rnRole: role, hint: 'tagged name' }, inference || {}, { text: tagName });
+  }
+  if (tagHint) {
+    base.hint = tagHint;
+  }
+
   // Add inference if available
   if (inference) {
     base.inference = inference;
@@ -316,21 +850,43 @@ function toDTO(n, platform, depth, counters, parent) {
 // Visual annotation rendering
 var NOTE_TAG = 'a11y-note';
 var NOTE_TAG_VALUE = 'focus-order';
+var NOTE_FOR_TAG = 'a11y-for'; // id of the frame an overlay belongs to
 
-function removeOldNotes(frame) {
+// Tag an overlay so it can be found and removed with its frame later
+function tagOverlay(node, frame, value) {
+  try {
+    node.setPluginData(NOTE_TAG, value);
+    node.setPluginData(NOTE_FOR_TAG, frame.id);
+  } catch (e) { /* ignore */ }
+}
+
+// Remove overlays with the given tag value: children of the frame, and
+// siblings (chips and notes are placed next to the frame) tagged for it
+function removeTagged(frame, value) {
   if (!frame || !('children' in frame)) return;
-  // remove any child we previously tagged
   var kids = frame.children.slice(); // copy, we'll mutate
+  if (frame.parent && 'children' in frame.parent) {
+    var sibs = frame.parent.children;
+    for (var s = 0; s < sibs.length; s++) {
+      if (sibs[s] !== frame && 'getPluginData' in sibs[s] && sibs[s].getPluginData(NOTE_FOR_TAG) === frame.id) {
+        kids.push(sibs[s]);
+      }
+    }
+  }
   for (var i = 0; i < kids.length; i++) {
     var k = kids[i];
     try {
-      if ('getPluginData' in k && k.getPluginData(NOTE_TAG) === NOTE_TAG_VALUE) {
+      if ('getPluginData' in k && k.getPluginData(NOTE_TAG) === value) {
         k.remove();
       }
     } catch (e) { /* ignore */ }
   }
 }
 
+function removeOldNotes(frame) {
+  removeTagged(frame, NOTE_TAG_VALUE);
+}
+
 // Safely load a font for text nodes. If it fails, we still create text.
 async function ensureFont(family, style) {
   try {
@@ -346,13 +902,26 @@ async function renderFocusOrderNote(frame, annotation) {
     return;
   }
 
-  // Build body lines: 1. label, 2. label, ...
+  // Build body lines: 1. label, 2. label, ... (dialog items as A1. label)
+  var labels = scopeLabels(annotation.order, annotation.dialogs);
   var lines = [];
   for (var i = 0; i < annotation.order.length; i++) {
     var it = annotation.order[i];
     var label = (it && it.label) ? String(it.label) : ('Item ' + (i + 1));
-    lines.push((i + 1) + '. ' + label);
+    // "Notifications, switch, on" when the item carries a state
+    var words = stateWords(it && it.state, it && it.role);
+    if (words.length) label = [label, it.role].concat(words).filter(Boolean).join(', ');
+    lines.push(labels[i].text + '. ' + label);
   }
+  (annotation.dialogs || []).forEach(function (d, di) {
+    var letter = String.fromCharCode(65 + di);
+    lines.push('');
+    lines.push(letter + ': ' + d.name + ' (' + d.kind + (d.trap === false ? ', non-modal' : ', focus trap') + ')');
+    var start = annotation.order.map(function (o) { return o.id; }).indexOf(d.initialFocus);
+    var back = annotation.order.map(function (o) { return o.id; }).indexOf(d.returnFocus);
+    if (start !== -1) lines.push('  Initial focus: ' + labels[start].text);
+    lines.push('  On close, focus returns to: ' + (back !== -1 ? labels[back].text : 'set manually'));
+  });
   var body = lines.join('\n');
 
   // Create a container frame for the note
@@ -371,7 +940,7 @@ async function renderFocusOrderNote(frame, annotation) {
   note.resizeWithoutConstraints(150, 60);
 
   // Tag so we can remove later
-  try { note.setPluginData(NOTE_TAG, NOTE_TAG_VALUE); } catch (e) {}
+  tagOverlay(note, frame, NOTE_TAG_VALUE);
 
   // Header text
   await ensureFont('Inter', 'Regular');
@@ -408,14 +977,152 @@ async function renderFocusOrderNote(frame, annotation) {
   }
 }
 
-// Track last checksum for UX feedback
-let lastChecksum = null;
+// Track last checksum per frame for UX feedback
+var lastChecksums = {};
 
-function computeChecksum(annos) {
-  if (!annos || !annos.length) return null;
-  const annotation = annos[0];
+function computeChecksum(annotation) {
   if (!annotation || !annotation.order) return null;
-  return JSON.stringify(annotation.order.map(item => ({ id: item.id, label: item.label })));
+  return JSON.stringify({
+    order: annotation.order.map(item => ({ id: item.id, label: item.label, role: item.role })),
+    regions: annotation.regions || [],
+    dialogs: annotation.dialogs || []
+  });
+}
+
+// ---- Landmark regions ----
+var REGION_TAG_VALUE = 'regions';
+var REGION_COLORS = {
+  banner: { r: 0.49, g: 0.23, b: 0.93 },
+  navigation: { r: 0.05, g: 0.58, b: 0.53 },
+  search: { r: 0.92, g: 0.45, b: 0.05 },
+  main: { r: 0.09, g: 0.64, b: 0.29 },
+  complementary: { r: 0.86, g: 0.15, b: 0.47 },
+  contentinfo: { r: 0.39, g: 0.45, b: 0.55 },
+  form: { r: 0.63, g: 0.38, b: 0.2 },
+  region: { r: 0.15, g: 0.39, b: 0.92 }
+};
+
+function flattenRegions(regions, out) {
+  out = out || [];
+  (regions || []).forEach(function (r) {
+    out.push(r);
+    flattenRegions(r.children, out);
+  });
+  return out;
+}
+
+// Dashed, color-coded outline per region with a role/name tab, in a tagged group next to the frame
+async function drawRegions(frame, regions) {
+  var list = flattenRegions(regions).filter(function (r) { return r.box; });
+  if (!list.length) return false;
+  await ensureFont('Inter', 'Bold');
+
+  var group = figma.createFrame();
+  group.name = 'A11y Regions';
+  group.resize(frame.width, frame.height);
+  group.x = frame.x;
+  group.y = frame.y;
+  group.fills = [];
+  group.clipsContent = false;
+  tagOverlay(group, frame, REGION_TAG_VALUE);
+
+  for (var i = 0; i < list.length; i++) {
+    var region = list[i];
+    var color = REGION_COLORS[region.role] || REGION_COLORS.region;
+    var box = region.box;
+
+    var outline = figma.createRectangle();
+    outline.resize(Math.max(1, box.w), Math.max(1, box.h));
+    outline.x = box.x;
+    outline.y = box.y;
+    outline.fills = [{ type: 'SOLID', color: color, opacity: 0.06 }];
+    outline.strokes = [{ type: 'SOLID', color: color }];
+    outline.strokeWeight = 2;
+    outline.dashPattern = [6, 4];
+    outline.name = 'Region ' + region.role;
+    group.appendChild(outline);
+
+    var tab = figma.createText();
+    try {
+      tab.fontName = { family: 'Inter', style: 'Bold' };
+    } catch (e) { /* default font */ }
+    tab.fontSize = 10;
+    tab.characters = region.role + (region.label ? ' · ' + region.label : '');
+    tab.fills = [{ type: 'SOLID', color: color }];
+    tab.x = box.x + 4;
+    tab.y = box.y + 2;
+    tab.name = 'Region label ' + region.role;
+    group.appendChild(tab);
+  }
+
+  // Keep the outlines directly under the chips
+  var parent = frame.parent;
+  var idx = parent.children.indexOf(frame);
+  parent.insertChild(idx + 1, group);
+  return true;
+}
+
+// Chip text per order index: page items 1, 2, 3…; items of dialog A are A1, A2… in the
+// order they appear (so manual reorders inside a dialog renumber it)
+function scopeLabels(order, dialogs) {
+  var scopeOf = {};
+  (dialogs || []).forEach(function (d, di) {
+    (d.order || []).forEach(function (id) { scopeOf[id] = di; });
+  });
+  var page = 0;
+  var counts = {};
+  return order.map(function (it) {
+    var di = scopeOf[it.id];
+    if (di === undefined) return { text: String(++page), dialog: null };
+    counts[di] = (counts[di] || 0) + 1;
+    return { text: String.fromCharCode(65 + di) + counts[di], dialog: dialogs[di] };
+  });
+}
+
+var TRAP_COLOR = { r: 0.49, g: 0.23, b: 0.93 };
+var POPOVER_COLOR = { r: 0.05, g: 0.58, b: 0.53 };
+var CHIP_FILL_KEY = 'a11y-chip-fill';
+var CHIP_STROKE_KEY = 'a11y-chip-stroke';
+var INITIAL_FOCUS_COLOR = { r: 1, g: 0.84, b: 0 };
+
+function chipColor(dialog) {
+  if (!dialog) return CHIP_COLOR;
+  return dialog.trap === false ? POPOVER_COLOR : TRAP_COLOR;
+}
+
+// Solid outline around each dialog with its scope, initial and return focus
+async function drawDialogScopes(chipGroup, frame, order, dialogs, labels) {
+  if (!dialogs || !dialogs.length) return;
+  await ensureFont('Inter', 'Bold');
+  var labelOf = {};
+  order.forEach(function (it, i) { labelOf[it.id] = labels[i].text; });
+  dialogs.forEach(function (d, di) {
+    if (!d.box) return;
+    var color = chipColor(d);
+    var outline = figma.createRectangle();
+    outline.resize(Math.max(1, d.box.w), Math.max(1, d.box.h));
+    outline.x = d.box.x;
+    outline.y = d.box.y;
+    outline.fills = [];
+    outline.strokes = [{ type: 'SOLID', color: color }];
+    outline.strokeWeight = 3;
+    outline.name = 'Focus scope ' + String.fromCharCode(65 + di);
+    chipGroup.appendChild(outline);
+
+    var caption = figma.createText();
+    try {
+      caption.fontName = { family: 'Inter', style: 'Bold' };
+    } catch (e) { /* default font */ }
+    caption.characters = String.fromCharCode(65 + di) + ' · ' + (d.trap === false ? 'Non-modal ' : 'Focus trap ') + d.kind +
+      (d.initialFocus && labelOf[d.initialFocus] ? ' · starts at ' + labelOf[d.initialFocus] : '') +
+      (d.returnFocus && labelOf[d.returnFocus] ? ' · returns to ' + labelOf[d.returnFocus] : '');
+    caption.fontSize = 11;
+    caption.fills = [{ type: 'SOLID', color: color }];
+    caption.x = d.box.x;
+    caption.y = d.box.y - 16;
+    caption.name = 'Focus scope label ' + String.fromCharCode(65 + di);
+    chipGroup.appendChild(caption);
+  });
 }
 
 // Draw numbered chips at element positions
@@ -425,6 +1132,7 @@ async function drawFocusChips(frame, annotation) {
   }
   
   var order = annotation.order;
+  var labels = scopeLabels(order, annotation.dialogs);
   
   // Load fonts upfront
   try {
@@ -444,7 +1152,10 @@ async function drawFocusChips(frame, annotation) {
   chipGroup.locked = false;  // Allow selection and repositioning
   
   // Tag for cleanup
-  try { chipGroup.setPluginData(NOTE_TAG, NOTE_TAG_VALUE); } catch (e) {}
+  tagOverlay(chipGroup, frame, NOTE_TAG_VALUE);
+
+  // Dialog outlines sit under their chips
+  await drawDialogScopes(chipGroup, frame, order, annotation.dialogs, labels);
   
   var chipsDrawn = 0;
   var itemsWithoutPosition = 0;
@@ -516,10 +1227,18 @@ async function drawFocusChips(frame, annotation) {
     
     console.log('[A11y] Chip', num, 'at frame-relative', Math.round(relativeX), Math.round(relativeY), '(from ' + coordSource + '):', item.label);
     
-    // Red circle
-    var chip = figma.createEllipse();
+    // Red circle; items inside a dialog get a rounded square in the scope color
+    var scope = labels[i].dialog;
+    var chip = scope ? figma.createRectangle() : figma.createEllipse();
     chip.resize(chipSize, chipSize);
-    chip.fills = [{ type: 'SOLID', color: { r: 0.91, g: 0.28, b: 0.15 } }]; // #E84827
+    if (scope) chip.cornerRadius = 6;
+    chip.fills = [{ type: 'SOLID', color: chipColor(scope) }];
+    chip.setPluginData(CHIP_FILL_KEY, JSON.stringify(chipColor(scope)));
+    if (scope && scope.initialFocus === item.id) {
+      chip.strokes = [{ type: 'SOLID', color: INITIAL_FOCUS_COLOR }];
+      chip.strokeWeight = 3;
+      chip.setPluginData(CHIP_STROKE_KEY, 'initial');
+    }
     chip.x = relativeX;
     chip.y = relativeY;
     chip.name = 'Chip ' + num;
@@ -536,8 +1255,8 @@ async function drawFocusChips(frame, annotation) {
       // Will use default font
     }
     
-    text.characters = String(num);
-    text.fontSize = 14;  // Smaller font to match smaller chip size
+    text.characters = labels[i].text;
+    text.fontSize = labels[i].text.length > 2 ? 11 : 14;  // Smaller font to match smaller chip size
     text.fills = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
     text.textAlignHorizontal = 'CENTER';
     text.textAlignVertical = 'CENTER';
@@ -566,57 +1285,96 @@ async function drawFocusChips(frame, annotation) {
   return false;
 }
 
-async function applyAnnotations(annos) {
-  var selection = figma.currentPage.selection[0];
-  if (!selection || selection.type !== 'FRAME') return;
+/**
+ * Render chips and note for one frame.
+ * @param {FrameNode} frame - Target frame on canvas
+ * @param {Object} annotation - { frameId, order, notes }
+ * @returns {Promise<{ status: string, itemCount: number, genericCount: number }>}
+ */
+async function applyAnnotations(frame, annotation) {
+  if (!frame || frame.type !== 'FRAME') return { status: 'missing-frame', itemCount: 0, genericCount: 0 };
 
   // no annotations? clear old note
-  if (!annos || !annos.length || !annos[0] || !annos[0].order) {
-    console.warn('[A11y] No valid annotations received');
-    removeOldNotes(selection);
-    lastChecksum = null;
-    figma.notify('A11y: No focusable items found.');
-    return;
+  if (!annotation || !annotation.order) {
+    console.warn('[A11y] No valid annotations received for', frame.name);
+    removeOldNotes(frame);
+    removeTagged(frame, REGION_TAG_VALUE);
+    delete lastChecksums[frame.id];
+    return { status: 'empty', itemCount: 0, genericCount: 0 };
   }
 
-  var newChecksum = computeChecksum(annos);
-  if (newChecksum && newChecksum === lastChecksum) {
-    figma.notify('Focus order already up to date');
-    return;
+  var newChecksum = computeChecksum(annotation);
+  if (newChecksum && newChecksum === lastChecksums[frame.id]) {
+    return { status: 'unchanged', itemCount: annotation.order.length, genericCount: 0 };
   }
 
   // Remove old annotations
-  removeOldNotes(selection);
-  
+  removeOldNotes(frame);
+  removeTagged(frame, REGION_TAG_VALUE);
+
+  // Landmark outlines go underneath the chips
+  await drawRegions(frame, annotation.regions);
+
   // Always try to draw chips using Figma node coordinates (hybrid approach)
-  var chipsDrawn = await drawFocusChips(selection, annos[0]);
-  
+  var chipsDrawn = await drawFocusChips(frame, annotation);
+
   // Also render yellow note for reference
-  await renderFocusOrderNote(selection, annos[0]);
-  
+  await renderFocusOrderNote(frame, annotation);
+
   if (!chipsDrawn) {
     console.warn('[A11y] No chips were drawn, but note is available');
   }
 
-  lastChecksum = newChecksum;
-  
-  // Check for generic component names and warn user
-  var genericNames = [];
-  for (var i = 0; i < annos[0].order.length; i++) {
-    var item = annos[0].order[i];
-    var labelLower = item.label.toLowerCase();
+  lastChecksums[frame.id] = newChecksum;
+
+  // Count generic component names so we can warn the user
+  var genericCount = 0;
+  for (var i = 0; i < annotation.order.length; i++) {
+    var labelLower = String(annotation.order[i].label || '').toLowerCase();
     if (labelLower.indexOf('frame') !== -1 || labelLower === 'div' || labelLower.indexOf('group') !== -1) {
-      genericNames.push(item.label);
+      genericCount++;
     }
   }
-  
-  if (genericNames.length > 3) {
-    figma.notify('⚠️ ' + genericNames.length + ' components have generic names. Rename for better accessibility documentation.', { timeout: 5000 });
-  } else {
-    figma.notify('A11y: Annotated ' + annos[0].order.length + ' items');
-  }
+
+  return { status: 'applied', itemCount: annotation.order.length, genericCount: genericCount };
 }
 
+// UI message handlers keyed by message type (propose is handled below)
+var UI_HANDLERS = {
+  LINT: function (msg) { return runLint({ platform: msg.platform, markers: Boolean(msg.markers) }); },
+  CHECK_HEADINGS: function (msg) { return checkHeadings({ platform: msg.platform, markers: Boolean(msg.markers) }); },
+  MAP_FLOWS: function (msg) { return mapFlows({ platform: msg.platform, markers: Boolean(msg.markers) }); },
+  SELECT_NODE: function (msg) { selectNode(msg.nodeId); },
+  LOAD_ORDER: function () { postOrder(owningFrame(figma.currentPage.selection[0])); },
+  SAVE_ORDER: saveEditedOrder,
+  'save-spec': saveEditedOrder, // legacy ui.js controller
+  ADD_SELECTION_TO_ORDER: addSelectionToOrder,
+  EXPORT_SPEC: exportSpec,
+  'export-spec': exportSpec, // legacy ui.js controller
+  GENERATE_SNIPPETS: generateSnippets,
+  SR_PREVIEW: previewAnnouncements,
+  SR_HIGHLIGHT: highlightChip,
+  CHECK_STALE: checkStale,
+  REANNOTATE_STALE: reannotateStale,
+  LOAD_COMPONENT_REGISTRY: postRegistry,
+  SAVE_COMPONENT_RULE: saveComponentRule,
+  REMOVE_COMPONENT_RULE: removeComponentRule,
+  IMPORT_COMPONENT_REGISTRY: importComponentRegistry,
+  INSPECT_TAGS: inspectSelection,
+  APPLY_TAGS: applyNodeTagsToSelection,
+  SHOW_TAG_BADGES: showTagBadges,
+  LOAD_HISTORY: loadHistory,
+  DIFF_VERSIONS: diffHistory
+};
+
+// Keep the editor in sync with whichever annotated frame is selected
+figma.on('selectionchange', function () {
+  postOrder(owningFrame(figma.currentPage.selection[0]));
+  var selected = selectedComponent();
+  figma.ui.postMessage({ type: 'COMPONENT_SELECTED', data: selected && { key: selected.key, name: selected.name, remote: selected.remote, variantProperties: selected.variantProperties } });
+  inspectSelection();
+});
+
 figma.ui.onmessage = async (msgRaw) => {
   // Accept raw or wrapped (pluginMessage) payloads
   const msg = (msgRaw && (msgRaw.type || msgRaw.platform || msgRaw.frames))
@@ -634,6 +1392,26 @@ figma.ui.onmessage = async (msgRaw) => {
   }
 
   const t = msg.type;
+
+  // Replies to requestFromUI (e.g. pixel sampling)
+  if (t === 'UI_RESPONSE') {
+    resolveUIRequest(msg);
+    return;
+  }
+
+  // Handlers may return data; requests carrying an id (ui.js sendMessage) get a reply
+  if (UI_HANDLERS[t]) {
+    try {
+      const result = await UI_HANDLERS[t](msg);
+      if (msg.id) figma.ui.postMessage({ id: msg.id, data: result });
+    } catch (e) {
+      console.error('[A11y] ' + t + ' failed', e);
+      const error = String(e && e.message || e);
+      figma.ui.postMessage(msg.id ? { id: msg.id, error: error } : { type: 'ERROR', error: error });
+    }
+    return;
+  }
+
   const isPropose =
     t === 'runPropose' ||
     t === 'PROPOSE' ||
@@ -646,19 +1424,63 @@ figma.ui.onmessage = async (msgRaw) => {
 
   // Hand off
   await runPropose({
-    frames: msg.frames,
     platform: msg.platform,
-    prompt: msg.prompt || '',
+    mode: msg.mode === 'heuristic' ? 'heuristic' : 'ai',
+    direction: msg.direction || 'auto',
+    prompt: msg.prompt || ''
   });
 };
 
-// Extract only focusable items from tree (flat list for AI ordering)
-function extractFocusableItems(node, result) {
+// ---- Exclusion rules ----
+// Name-matched nodes that still aren't tab stops. Dropped from the focusable items
+// (the model is told to keep every item it gets) and reported with a reason, so
+// reviewers can audit what was left out. A designer's focusable tag overrides all
+// but `decorative`.
+var EXCLUDE_MIN_OPACITY = 0.5;       // effective opacity below this reads as disabled / hidden
+var DISABLED_NAME_RE = /\bdisabled\b/i;
+var DECORATIVE_ROLES = ['none', 'presentation'];
+var STATIC_TEXT_ROLES = ['heading', 'header', 'landmark', 'text'];
+
+// Only text inside (a "Header" label frame), or a leaf component whose content is text
+function isPureText(node) {
+  var kids = node.children || [];
+  if (!kids.length) return Boolean(node.text);
+  return kids.every(function (c) { return c.type === 'TEXT'; });
+}
+
+/**
+ * Why a serialized node is left out of the focus order, if it is.
+ * @param {Object} node - toDTO node
+ * @param {number} opacity - Effective opacity (own × ancestors')
+ * @param {string} [platform] - 'web' | 'rn'; pure text headers are only dropped on the web
+ * @returns {string|null} 'decorative' | 'disabled' | 'low-opacity' | 'static-text'
+ */
+function exclusionReason(node, opacity, platform) {
+  if (node.decorative || DECORATIVE_ROLES.indexOf(node.role) !== -1) return 'decorative';
+  if (!node.focusable || node.tagged) return null;
+  if ((node.state && node.state.disabled) || DISABLED_NAME_RE.test(node.name || '')) return 'disabled';
+  if (opacity < EXCLUDE_MIN_OPACITY) return 'low-opacity';
+  // Screen readers reach web headings in browse mode; they aren't tab stops
+  if (platform === 'web' && STATIC_TEXT_ROLES.indexOf(node.role) !== -1 && isPureText(node)) return 'static-text';
+  return null;
+}
+
+// Extract only focusable items from tree (flat list for AI ordering).
+// scope: { platform?, excluded?: [] } — excluded collects { id, name, reason } for dropped nodes
+function extractFocusableItems(node, result, origin, scope, opacity) {
   result = result || [];
-  
-  // If this node is focusable, add it to the list
-  if (node && node.focusable) {
-    result.push({
+  origin = origin || (node && node.abs);
+  scope = scope || {};
+  if (!node) return result;
+  opacity = (typeof opacity === 'number' ? opacity : 1) * (typeof node.opacity === 'number' ? node.opacity : 1);
+
+  var reason = exclusionReason(node, opacity, scope.platform);
+  if (reason) {
+    if (scope.excluded) scope.excluded.push({ id: node.id, name: node.name, reason: reason });
+    if (reason === 'decorative') return result; // hidden from assistive tech, children included
+  } else if (node.focusable) {
+    // If this node is focusable, add it to the list
+    var item = {
       id: node.id,
       name: node.name,
       role: node.role,
@@ -668,120 +1490,2396 @@ function extractFocusableItems(node, result) {
       y: node.y,
       w: node.w,
       h: node.h
-    });
+    };
+    if (node.hint) item.hint = node.hint;
+    if (node.state) item.state = node.state;
+    // Frame-relative bounds (x/y above are parent-relative) for region grouping
+    if (node.abs && origin) {
+      item.box = { x: Math.round(node.abs.x - origin.x), y: Math.round(node.abs.y - origin.y), w: Math.round(node.abs.w), h: Math.round(node.abs.h) };
+    }
+    result.push(item);
   }
   
   // Recursively check children
-  if (node && node.children && Array.isArray(node.children)) {
+  if (node.children && Array.isArray(node.children)) {
     for (var i = 0; i < node.children.length; i++) {
-      extractFocusableItems(node.children[i], result);
+      extractFocusableItems(node.children[i], result, origin, scope, opacity);
     }
   }
   
   return result;
 }
 
-async function runPropose({ frames, platform, prompt }) {
-  const selection = figma.currentPage.selection[0];
+// Landmark candidates: containers (with serialized children, so not leaf components) whose
+// role or name looks like a landmark. The server settles the final role and builds the region tree.
+var LANDMARK_ROLES = ['banner', 'navigation', 'search', 'main', 'complementary', 'contentinfo', 'form', 'region', 'landmark'];
+var LANDMARK_NAME_RE = /\b(header|masthead|banner|app ?bar|top ?bar|nav ?bar|toolbar|nav|navigation|menu|tab ?bar|bottom ?nav|breadcrumbs?|footer|search ?(bar|box|area)?|sidebar|side ?panel|aside|form|main|content)\b/i;
+var LANDMARK_TYPES = ['FRAME', 'GROUP', 'INSTANCE', 'COMPONENT', 'SECTION'];
+var MAX_LANDMARKS = 60;
 
-  if (!selection || selection.type !== 'FRAME') {
-    figma.notify('Select a frame to annotate.');
-    console.warn('[A11y] no FRAME selected');
-    return;
+function collectLandmarks(node, result, origin) {
+  result = result || [];
+  origin = origin || (node && node.abs);
+  if (!node || !node.children) return result;
+  for (var i = 0; i < node.children.length && result.length < MAX_LANDMARKS; i++) {
+    var c = node.children[i];
+    var tagged = LANDMARK_ROLES.indexOf(String(c.role || '').toLowerCase()) !== -1;
+    var container = c.children && c.children.length > 0 && LANDMARK_TYPES.indexOf(c.type) !== -1;
+    if (container && c.abs && origin && (tagged || LANDMARK_NAME_RE.test(c.name || ''))) {
+      result.push({
+        id: c.id,
+        name: c.name,
+        role: tagged ? c.role : undefined,
+        box: { x: Math.round(c.abs.x - origin.x), y: Math.round(c.abs.y - origin.y), w: Math.round(c.abs.w), h: Math.round(c.abs.h) }
+      });
+    }
+    collectLandmarks(c, result, origin);
   }
+  return result;
+}
 
-  // Ensure server is up before we POST (free Render can be cold)
-  figma.notify('Starting A11y service…', { timeout: 2000 });
-  const healthy = await waitForHealthy();
-  if (!healthy) {
-    figma.notify('A11y service is still waking up. Retrying…', { timeout: 3000 });
+// Dialog-like containers: named modal/sheet/drawer/popover…, or drawn above a scrim that
+// covers most of the frame. Each gets the ids of the focusables inside it.
+var DIALOG_NAME_RE = /\b(modal|dialog|sheet|drawer|popover|pop ?up|alert|lightbox)\b/i;
+var SCRIM_COVERAGE = 0.7;
+
+function dialogKind(name, box, root) {
+  var n = String(name || '').toLowerCase();
+  if (/sheet/.test(n)) return 'sheet';
+  if (/drawer/.test(n)) return 'drawer';
+  if (/popover|pop ?up|tooltip|menu/.test(n)) return 'popover';
+  if (/alert/.test(n)) return 'alert';
+  if (box && root) {
+    var fullWidth = box.w >= root.w * 0.95;
+    var fullHeight = box.h >= root.h * 0.95;
+    if (fullWidth && box.y + box.h >= root.h - 2 && box.y > 0) return 'sheet';
+    if (fullHeight && (box.x <= 2 || box.x + box.w >= root.w - 2) && box.w < root.w * 0.95) return 'drawer';
   }
+  return 'modal';
+}
 
-  // Selection info
-  console.log('[A11y] selection', {
-    id: selection.id,
-    name: selection.name,
-    w: selection.width,
-    h: selection.height,
-    platform
-  });
-
-  // Export PNG screenshot for vision analysis
-  figma.notify('Capturing screenshot…', { timeout: 1500 });
-  var pngBytes = null;
-  var imageData = null;
-  
-  try {
-    pngBytes = await selection.exportAsync({
-      format: 'PNG',
-      constraint: { type: 'SCALE', value: 2 }  // @2x for better quality
+function detectDialogs(dto, platform) {
+  var root = dto && dto.abs;
+  var out = [];
+  if (!root) return out;
+  function rel(abs) {
+    return { x: Math.round(abs.x - root.x), y: Math.round(abs.y - root.y), w: Math.round(abs.w), h: Math.round(abs.h) };
+  }
+  function add(node, detectedBy) {
+    var box = rel(node.abs);
+    out.push({
+      id: node.id,
+      name: node.name,
+      kind: dialogKind(node.name, box, { w: root.w, h: root.h }),
+      box: box,
+      itemIds: extractFocusableItems(node, null, null, { platform: platform }).map(function (it) { return it.id; }),
+      detectedBy: detectedBy
     });
-    
-    if (pngBytes && pngBytes.length > 0) {
-      imageData = 'data:image/png;base64,' + figma.base64Encode(pngBytes);
-      var sizeKB = (pngBytes.length / 1024).toFixed(1);
-      console.log('[A11y] PNG exported:', sizeKB, 'KB');
-    }
-  } catch (e) {
-    console.warn('[A11y] PNG export failed:', e && e.message || e);
-    figma.notify('Screenshot failed, using text-only analysis', { timeout: 2000 });
-    imageData = null;
-  }
-
-  // Serialize (always deep with safety limits)
-  const dto = toDTO(selection, platform);
-
-  // Debug stats for what we are sending
-  function countNodes(node) {
-    if (!node) return 0;
-    var cnt = 1;
-    var cs = node.children || [];
-    for (var i = 0; i < cs.length; i++) cnt += countNodes(cs[i]);
-    return cnt;
-  }
-  function maxDepth(node) {
-    if (!node) return 0;
-    var cs = node.children || [];
-    var d = 0;
-    for (var i = 0; i < cs.length; i++) d = Math.max(d, maxDepth(cs[i]));
-    return d + (cs.length ? 1 : 0);
-  }
-  var _sample = (dto && dto.children) ? dto.children.slice(0, 3).map(function (c) { return c.name; }) : [];
-  console.log('[A11y] Serialized tree', { nodeCount: countNodes(dto), maxDepth: maxDepth(dto), sampleNodes: _sample });
-
-  // Extract focusable items as flat list (AI will order them, not filter them)
-  const focusableItems = extractFocusableItems(dto);
-  console.log('[A11y] Extracted', focusableItems.length, 'focusable items for AI ordering');
-  
-  if (focusableItems.length === 0) {
-    figma.notify('No focusable elements found in this frame.');
-    return;
   }
+  (function walk(node) {
+    var kids = node.children || [];
+    var scrimZ = null;
+    for (var i = 0; i < kids.length; i++) {
+      var k = kids[i];
+      if (k.scrim && k.abs && k.abs.w * k.abs.h >= root.w * root.h * SCRIM_COVERAGE) {
+        scrimZ = scrimZ === null ? k.z : Math.min(scrimZ, k.z);
+      }
+    }
+    for (var j = 0; j < kids.length; j++) {
+      var c = kids[j];
+      var container = c.children && c.children.length > 0 && c.abs && !c.scrim;
+      if (container && scrimZ !== null && c.z > scrimZ) add(c, 'scrim');
+      else if (container && DIALOG_NAME_RE.test(c.name || '')) add(c, 'name');
+      else walk(c);
+    }
+  })(dto);
+  return out;
+}
 
-  const payload = {
-    platform,
-    image: imageData,  // base64-encoded PNG or null
-    frameId: selection.id,
-    frameName: selection.name,
-    frameBox: { x: selection.x, y: selection.y, w: selection.width, h: selection.height },
-    focusableItems: focusableItems  // Flat list - AI orders these, doesn't filter
-  };
+// ---- Accessibility lint ----
+// Rule-based checks over the toDTO tree. Each finding:
+// { rule, severity: 'error'|'warning'|'info', nodeId, nodeName, message, wcag: { id, name, level } }
+
+var WCAG = {
+  nonText: { id: '1.1.1', name: 'Non-text Content', level: 'A' },
+  labels: { id: '2.4.6', name: 'Headings and Labels', level: 'AA' },
+  notObscured: { id: '2.4.11', name: 'Focus Not Obscured (Minimum)', level: 'AA' },
+  targetEnhanced: { id: '2.5.5', name: 'Target Size (Enhanced)', level: 'AAA' },
+  targetMin: { id: '2.5.8', name: 'Target Size (Minimum)', level: 'AA' },
+  nameRoleValue: { id: '4.1.2', name: 'Name, Role, Value', level: 'A' }
+};
 
-  console.log('[NET] POST /annotate', { 
-    platform: payload.platform, 
-    hasImage: (imageData !== null && imageData !== undefined) ? true : false,
-    focusableCount: focusableItems.length 
+var LINT_TARGET_MIN = 24;       // WCAG 2.5.8
+var LINT_TARGET_ENHANCED = 44;  // WCAG 2.5.5, iOS HIG (Android: 48dp)
+var GENERIC_NAME_RE = /^(frame|group|rectangle|instance|component|vector|ellipse|layer|div|container|auto layout)( ?\d+)?$/i;
+
+function isGenericName(name) {
+  return GENERIC_NAME_RE.test(String(name || '').trim());
+}
+
+function lintFinding(rule, severity, node, message, wcag) {
+  return { rule: rule, severity: severity, nodeId: node.id, nodeName: node.name, message: message, wcag: wcag };
+}
+
+// Flatten in paint order (parents before children, siblings by z) with ancestor ids
+function flattenForLint(root) {
+  var out = [];
+  (function walk(n, ancestors) {
+    if (!n) return;
+    out.push({ node: n, ancestors: ancestors });
+    var kids = (n.children || []).slice().sort(function (a, b) { return (a.z || 0) - (b.z || 0); });
+    for (var i = 0; i < kids.length; i++) walk(kids[i], ancestors.concat([n.id]));
+  })(root, []);
+  return out;
+}
+
+// First visible text inside a serialized subtree
+function subtreeText(n) {
+  if (!n) return '';
+  if (n.text) return n.text;
+  if (n.inference && n.inference.text) return n.inference.text;
+  var kids = n.children || [];
+  for (var i = 0; i < kids.length; i++) {
+    var t = subtreeText(kids[i]);
+    if (t) return t;
+  }
+  return '';
+}
+
+// Accessible name: visible text first, then a meaningful layer name
+function accessibleName(n) {
+  var text = subtreeText(n).trim();
+  if (text) return text;
+  return isGenericName(n.name) ? '' : String(n.name || '').trim();
+}
+
+function lintTargetSize(n, platform) {
+  var w = n.abs ? n.abs.w : n.w;
+  var h = n.abs ? n.abs.h : n.h;
+  if (typeof w !== 'number' || typeof h !== 'number') return null;
+  var size = Math.round(w) + '×' + Math.round(h);
+  if (w < LINT_TARGET_MIN || h < LINT_TARGET_MIN) {
+    return lintFinding('target-size', 'error', n, 'Touch target ' + size + ' is below the 24×24 minimum.', WCAG.targetMin);
+  }
+  if (w < LINT_TARGET_ENHANCED || h < LINT_TARGET_ENHANCED) {
+    var guide = platform === 'rn' ? ' (iOS 44pt / Android 48dp)' : '';
+    return lintFinding('target-size', 'warning', n, 'Touch target ' + size + ' is below the recommended 44×44' + guide + '.', WCAG.targetEnhanced);
+  }
+  return null;
+}
+
+function lintName(n, platform) {
+  if (!subtreeText(n).trim() && isGenericName(n.name)) {
+    return lintFinding('missing-name', 'error', n, 'Focusable "' + n.name + '" has no visible text or meaningful name to announce.', WCAG.nameRoleValue);
+  }
+  if (n.role === 'button' && !subtreeText(n).trim()) {
+    var label = platform === 'rn' ? 'accessibilityLabel' : 'aria-label';
+    return lintFinding('icon-only-button', 'warning', n, 'Icon-only button "' + n.name + '" needs an explicit ' + label + '.', WCAG.nonText);
+  }
+  return null;
+}
+
+function lintGenericName(n) {
+  if (!isGenericName(n.name)) return null;
+  return lintFinding('generic-layer-name', 'info', n, 'Layer "' + n.name + '" has a generic name; rename it so handoff specs are readable.', WCAG.nameRoleValue);
+}
+
+function lintDuplicateLabels(focusables) {
+  var findings = [];
+  var firstByKey = {};
+  for (var i = 0; i < focusables.length; i++) {
+    var n = focusables[i];
+    var name = accessibleName(n);
+    if (!name) continue;
+    var key = name.toLowerCase() + '|' + (n.role || '');
+    var first = firstByKey[key];
+    if (!first) {
+      firstByKey[key] = n;
+      continue;
+    }
+    findings.push(lintFinding('duplicate-label', 'warning', n, '"' + name + '" has the same name and role as "' + first.name + '"; add context so they can be told apart.', WCAG.labels));
+  }
+  return findings;
+}
+
+function overlapArea(a, b) {
+  var w = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+  var h = Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+  return (w > 0 && h > 0) ? w * h : 0;
+}
+
+// A focusable is obscured when a later-painted, filled node outside its own subtree
+// covers at least half of it
+function lintObscured(flat, index) {
+  var entry = flat[index];
+  var n = entry.node;
+  if (!n.abs || !n.abs.w || !n.abs.h) return null;
+  var area = n.abs.w * n.abs.h;
+  for (var j = index + 1; j < flat.length; j++) {
+    var other = flat[j];
+    if (!other.node.hasFill || !other.node.abs) continue;
+    if (other.ancestors.indexOf(n.id) !== -1) continue; // own descendant
+    if (overlapArea(n.abs, other.node.abs) >= area / 2) {
+      return lintFinding('focus-obscured', 'error', n, '"' + n.name + '" is covered by "' + other.node.name + '" and may be hidden when focused.', WCAG.notObscured);
+    }
+  }
+  return null;
+}
+
+/**
+ * Run every lint rule over one serialized frame.
+ * @param {Object} dto - Root from toDTO
+ * @param {string} platform - 'web' | 'rn'
+ * @returns {Array<Object>} findings, errors first
+ */
+function lintFrame(dto, platform) {
+  var flat = flattenForLint(dto);
+  var findings = [];
+  var focusables = [];
+  for (var i = 0; i < flat.length; i++) {
+    var n = flat[i].node;
+    if (!n.focusable) continue;
+    focusables.push(n);
+    [lintTargetSize(n, platform), lintName(n, platform), lintGenericName(n), lintObscured(flat, i)].forEach(function (f) {
+      if (f) findings.push(f);
+    });
+  }
+  findings = findings.concat(lintDuplicateLabels(focusables));
+
+  var rank = { error: 0, warning: 1, info: 2 };
+  findings.sort(function (a, b) { return rank[a.severity] - rank[b.severity]; });
+  return findings;
+}
+
+// ---- Color contrast ----
+// WCAG 2.x contrast for every visible TEXT node. Foreground comes from the text fill;
+// background from solid fills painted beneath it, or sampled from an exported PNG
+// (decoded in the UI iframe, which has a canvas) when only images/gradients are below.
+
+var CONTRAST_MAX_TEXT_NODES = 200;
+var CONTRAST_WCAG = {
+  minimum: { id: '1.4.3', name: 'Contrast (Minimum)', level: 'AA' },
+  enhanced: { id: '1.4.6', name: 'Contrast (Enhanced)', level: 'AAA' }
+};
+
+function channelLuminance(c) {
+  return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// Colors are { r, g, b } in 0..1 (Figma's convention)
+function relativeLuminance(color) {
+  return 0.2126 * channelLuminance(color.r) + 0.7152 * channelLuminance(color.g) + 0.0722 * channelLuminance(color.b);
+}
+
+function contrastRatio(a, b) {
+  var la = relativeLuminance(a);
+  var lb = relativeLuminance(b);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+function blend(top, alpha, bottom) {
+  return {
+    r: top.r * alpha + bottom.r * (1 - alpha),
+    g: top.g * alpha + bottom.g * (1 - alpha),
+    b: top.b * alpha + bottom.b * (1 - alpha)
+  };
+}
+
+function toHex(color) {
+  function h(v) { var s = Math.round(Math.max(0, Math.min(1, v)) * 255).toString(16); return s.length === 1 ? '0' + s : s; }
+  return '#' + h(color.r) + h(color.g) + h(color.b);
+}
+
+// WCAG "large text": ≥ 24px, or ≥ 18.66px (14pt) bold
+function isLargeText(fontSize, fontWeight) {
+  return fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+}
+
+// Darken or lighten the foreground (keeping its hue) until it meets the target ratio
+function suggestForeground(fg, bg, target) {
+  var best = null;
+  [{ r: 0, g: 0, b: 0 }, { r: 1, g: 1, b: 1 }].forEach(function (pole) {
+    for (var t = 0.05; t <= 1.0001; t += 0.05) {
+      var candidate = blend(pole, t, fg);
+      if (contrastRatio(candidate, bg) >= target) {
+        if (!best || t < best.t) best = { t: t, color: candidate };
+        break;
+      }
+    }
+  });
+  return best ? toHex(best.color) : null;
+}
+
+/**
+ * Composite a node's visible fills (array order is bottom → top).
+ * @returns {{ color: Object|null, alpha: number, needsSample: boolean }}
+ */
+function resolveFills(node) {
+  if (!Array.isArray(node.fills)) return { color: null, alpha: 0, needsSample: false };
+  var color = null;
+  var alpha = 0;
+  var nodeOpacity = typeof node.opacity === 'number' ? node.opacity : 1;
+  for (var i = 0; i < node.fills.length; i++) {
+    var f = node.fills[i];
+    if (f.visible === false) continue;
+    if (f.type !== 'SOLID') return { color: null, alpha: 1, needsSample: true };
+    var a = (typeof f.opacity === 'number' ? f.opacity : 1) * nodeOpacity;
+    color = color ? blend(f.color, a, color) : f.color;
+    alpha = alpha + a * (1 - alpha);
+  }
+  return { color: color, alpha: alpha, needsSample: false };
+}
+
+// Paint-order list of visible nodes in the frame
+function paintOrder(frame) {
+  var out = [];
+  (function walk(n) {
+    if (n.visible === false) return;
+    out.push(n);
+    if ('children' in n) for (var i = 0; i < n.children.length; i++) walk(n.children[i]);
+  })(frame);
+  return out;
+}
+
+function containsPoint(bb, x, y) {
+  return bb && x >= bb.x && x <= bb.x + bb.width && y >= bb.y && y <= bb.y + bb.height;
+}
+
+// Walk down from just beneath the text until an opaque background is reached
+function resolveBackground(nodes, index) {
+  var bb = nodes[index].absoluteBoundingBox;
+  var cx = bb.x + bb.width / 2;
+  var cy = bb.y + bb.height / 2;
+  var layers = [];
+  for (var i = index - 1; i >= 0; i--) {
+    var n = nodes[i];
+    if (n.type === 'TEXT' || !containsPoint(n.absoluteBoundingBox, cx, cy)) continue;
+    var fill = resolveFills(n);
+    if (fill.needsSample) return null;
+    if (!fill.color || fill.alpha === 0) continue;
+    layers.push(fill);
+    if (fill.alpha >= 0.999) break;
+  }
+  // Composite collected layers over a white canvas
+  var color = { r: 1, g: 1, b: 1 };
+  for (var j = layers.length - 1; j >= 0; j--) color = blend(layers[j].color, layers[j].alpha, color);
+  return color;
+}
+
+function textForeground(node) {
+  var fill = resolveFills(node);
+  if (!fill.color || fill.needsSample) return null;
+  return fill;
+}
+
+/**
+ * Collect text nodes with foreground and (where resolvable) background colors.
+ * Entries with bg === null need pixel sampling.
+ */
+function collectContrastSamples(frame) {
+  var nodes = paintOrder(frame);
+  var frameBox = frame.absoluteBoundingBox;
+  var samples = [];
+  for (var i = 0; i < nodes.length && samples.length < CONTRAST_MAX_TEXT_NODES; i++) {
+    var n = nodes[i];
+    if (n.type !== 'TEXT' || !n.absoluteBoundingBox || !String(n.characters || '').trim()) continue;
+    var fg = textForeground(n);
+    if (!fg) continue; // mixed or gradient text fills are skipped
+    var bb = n.absoluteBoundingBox;
+    samples.push({
+      nodeId: n.id,
+      nodeName: n.name,
+      text: String(n.characters).substring(0, 40),
+      fg: fg,
+      bg: resolveBackground(nodes, i),
+      fontSize: typeof n.fontSize === 'number' ? n.fontSize : 16,
+      fontWeight: typeof n.fontWeight === 'number' ? n.fontWeight : 400,
+      box: { x: bb.x - frameBox.x, y: bb.y - frameBox.y, w: bb.width, h: bb.height }
+    });
+  }
+  return samples;
+}
+
+// ---- Request/response with the UI iframe ----
+var pendingUIRequests = {};
+var uiRequestSeq = 0;
+
+// On timeout the UI is told to cancel the request (CANCEL_UI_REQUEST) and the promise
+// resolves with timeoutResult (null by default)
+function requestFromUI(type, data, timeoutMs, timeoutResult) {
+  var requestId = 'req-' + (++uiRequestSeq);
+  return new Promise(function (resolve) {
+    var timer = setTimeout(function () {
+      delete pendingUIRequests[requestId];
+      figma.ui.postMessage({ type: 'CANCEL_UI_REQUEST', requestId: requestId });
+      resolve(timeoutResult === undefined ? null : timeoutResult);
+    }, timeoutMs || 10000);
+    pendingUIRequests[requestId] = function (result) {
+      clearTimeout(timer);
+      delete pendingUIRequests[requestId];
+      resolve(result);
+    };
+    figma.ui.postMessage(Object.assign({ type: type, requestId: requestId }, data));
+  });
+}
+
+function resolveUIRequest(msg) {
+  var done = pendingUIRequests[msg.requestId];
+  if (done) done(msg.result);
+}
+
+// Fill in unresolved backgrounds from the frame's pixels
+async function sampleBackgrounds(frame, samples) {
+  var missing = samples.filter(function (s) { return !s.bg; });
+  if (!missing.length) return;
+  var scale = 1;
+  var bytes;
+  try {
+    bytes = await frame.exportAsync({ format: 'PNG', constraint: { type: 'SCALE', value: scale } });
+  } catch (e) {
+    console.warn('[A11y] contrast export failed:', e && e.message || e);
+    return;
+  }
+  var colors = await requestFromUI('CONTRAST_SAMPLE', {
+    image: bytes,
+    scale: scale,
+    boxes: missing.map(function (s) { return s.box; })
+  });
+  if (!colors) return;
+  for (var i = 0; i < missing.length; i++) {
+    if (colors[i]) missing[i].bg = colors[i];
+  }
+}
+
+function contrastFinding(s) {
+  var bg = s.bg;
+  var fg = s.fg.alpha < 1 ? blend(s.fg.color, s.fg.alpha, bg) : s.fg.color;
+  var ratio = contrastRatio(fg, bg);
+  var large = isLargeText(s.fontSize, s.fontWeight);
+  var aa = large ? 3 : 4.5;
+  var aaa = large ? 4.5 : 7;
+  if (ratio >= aaa) return null;
+
+  var failsAA = ratio < aa;
+  var target = failsAA ? aa : aaa;
+  var suggestion = suggestForeground(s.fg.color, bg, target);
+  var rounded = Math.round(ratio * 100) / 100;
+  return {
+    rule: 'contrast',
+    severity: failsAA ? 'error' : 'info',
+    nodeId: s.nodeId,
+    nodeName: s.nodeName,
+    message: '"' + s.text + '" contrast ' + rounded + ':1 (' + toHex(fg) + ' on ' + toHex(bg) + ') is below ' + target + ':1 for ' + (large ? 'large' : 'normal') + ' text' +
+      (suggestion ? '; try ' + suggestion + '.' : '.'),
+    wcag: failsAA ? CONTRAST_WCAG.minimum : CONTRAST_WCAG.enhanced,
+    ratio: rounded,
+    foreground: toHex(fg),
+    background: toHex(bg),
+    suggestion: suggestion
+  };
+}
+
+/**
+ * Contrast findings for one frame (same shape as lint findings).
+ * @param {FrameNode} frame
+ * @returns {Promise<Array<Object>>}
+ */
+async function checkContrast(frame) {
+  var samples = collectContrastSamples(frame);
+  await sampleBackgrounds(frame, samples);
+  var findings = [];
+  for (var i = 0; i < samples.length; i++) {
+    if (!samples[i].bg) continue;
+    var f = contrastFinding(samples[i]);
+    if (f) findings.push(f);
+  }
+  return findings;
+}
+
+var LINT_TAG_VALUE = 'lint';
+var LINT_COLORS = {
+  error: { r: 0.85, g: 0.11, b: 0.14 },
+  warning: { r: 0.96, g: 0.6, b: 0.05 },
+  info: { r: 0.13, g: 0.47, b: 0.85 }
+};
+
+// Outline each error/warning on canvas in a tagged group next to the frame
+function drawLintMarkers(frame, findings) {
+  removeTagged(frame, LINT_TAG_VALUE);
+  var marked = findings.filter(function (f) { return f.severity !== 'info'; });
+  if (!marked.length || !frame.parent) return 0;
+
+  var group = figma.createFrame();
+  group.name = 'A11y Lint Markers';
+  group.resize(frame.width, frame.height);
+  group.x = frame.x;
+  group.y = frame.y;
+  group.fills = [];
+  group.clipsContent = false;
+  tagOverlay(group, frame, LINT_TAG_VALUE);
+
+  var frameBox = frame.absoluteBoundingBox;
+  var drawn = 0;
+  for (var i = 0; i < marked.length; i++) {
+    var node = figma.getNodeById(marked[i].nodeId);
+    var bb = node && node.absoluteBoundingBox;
+    if (!bb || !frameBox) continue;
+    var r = figma.createRectangle();
+    r.resize(Math.max(bb.width, 1) + 4, Math.max(bb.height, 1) + 4);
+    r.x = bb.x - frameBox.x - 2;
+    r.y = bb.y - frameBox.y - 2;
+    r.fills = [];
+    r.strokes = [{ type: 'SOLID', color: LINT_COLORS[marked[i].severity] }];
+    r.strokeWeight = 2;
+    r.dashPattern = [4, 2];
+    r.name = 'Lint: ' + marked[i].rule + ' (' + marked[i].wcag.id + ')';
+    group.appendChild(r);
+    drawn++;
+  }
+  frame.parent.appendChild(group);
+  return drawn;
+}
+
+/**
+ * Lint the selected frames without calling the server.
+ * @param {{ platform: string, markers: boolean }} opts
+ */
+async function runLint({ platform, markers }) {
+  var targets = getSelectedFrames();
+  if (targets.length === 0) {
+    figma.notify('Select one or more frames to check.');
+    return;
+  }
+  var frames = [];
+  var total = 0;
+  var rank = { error: 0, warning: 1, info: 2 };
+  for (var i = 0; i < targets.length; i++) {
+    var findings = lintFrame(toDTO(targets[i], platform), platform)
+      .concat(await checkContrast(targets[i]))
+      .sort(function (a, b) { return rank[a.severity] - rank[b.severity]; });
+    total += findings.length;
+    if (markers) drawLintMarkers(targets[i], findings);
+    else removeTagged(targets[i], LINT_TAG_VALUE);
+    frames.push({ frameId: targets[i].id, frameName: targets[i].name, findings: findings });
+  }
+  figma.ui.postMessage({ type: 'LINT_RESULT', frames: frames });
+  figma.notify('A11y: ' + total + ' issue' + (total === 1 ? '' : 's') + ' found in ' + targets.length + ' frame' + (targets.length === 1 ? '' : 's') + '.');
+}
+
+function selectNode(nodeId) {
+  var node = figma.getNodeById(nodeId);
+  if (!node || node.type === 'DOCUMENT' || node.type === 'PAGE') return;
+  figma.currentPage.selection = [node];
+  figma.viewport.scrollAndZoomIntoView([node]);
+}
+
+// ---- Heading outline ----
+// Text layers are sent to /headings, which infers h1–h6 and validates the outline.
+// Designers can pin a level with plugin data a11y-heading = "1".."6".
+
+var HEADING_TAG = 'a11y-heading';
+var HEADINGS_TAG_VALUE = 'headings';
+var MAX_TEXT_CANDIDATES = 400;
+var HEADING_COLOR = { r: 0.49, g: 0.23, b: 0.93 };
+
+function textMetric(node, prop, rangeFn) {
+  var v = node[prop];
+  if (typeof v === 'number') return v;
+  try {
+    return node[rangeFn](0, 1); // mixed styles: use the first character
+  } catch (e) {
+    return null;
+  }
+}
+
+// Text layers in layer (pre-)order; inControl marks text inside buttons, links, fields…
+function collectTextCandidates(frame, platform) {
+  var origin = frame.absoluteBoundingBox;
+  var out = [];
+  var layer = 0;
+  (function walk(node, inControl) {
+    if (out.length >= MAX_TEXT_CANDIDATES || node.visible === false) return;
+    var fr = node === frame ? { focusable: false } : isFocusableHeuristic(node, platform);
+    var control = inControl || (fr.focusable && fr.role !== 'landmark' && fr.role !== 'navigation');
+    if (node.type === 'TEXT') {
+      var bb = node.absoluteBoundingBox;
+      var text = String(node.characters || '').trim();
+      if (bb && origin && text) {
+        var level = parseInt(node.getPluginData(HEADING_TAG), 10);
+        out.push({
+          id: node.id,
+          name: node.name,
+          text: text.substring(0, 140),
+          fontSize: textMetric(node, 'fontSize', 'getRangeFontSize'),
+          fontWeight: textMetric(node, 'fontWeight', 'getRangeFontWeight'),
+          box: { x: Math.round(bb.x - origin.x), y: Math.round(bb.y - origin.y), w: Math.round(bb.width), h: Math.round(bb.height) },
+          layerIndex: layer++,
+          level: level >= 1 && level <= 6 ? level : undefined,
+          inControl: control
+        });
+      }
+      return;
+    }
+    if ('children' in node) {
+      for (var i = 0; i < node.children.length; i++) walk(node.children[i], control);
+    }
+  })(frame, false);
+  return out;
+}
+
+// "H2" badge to the left of every heading; headings with issues get the error color
+async function drawHeadingMarkers(frame, result) {
+  removeTagged(frame, HEADINGS_TAG_VALUE);
+  if (!result.outline.length || !frame.parent) return 0;
+  await ensureFont('Inter', 'Bold');
+
+  var flagged = {};
+  result.issues.forEach(function (f) { if (f.nodeId) flagged[f.nodeId] = true; });
+
+  var group = figma.createFrame();
+  group.name = 'A11y Heading Markers';
+  group.resize(frame.width, frame.height);
+  group.x = frame.x;
+  group.y = frame.y;
+  group.fills = [];
+  group.clipsContent = false;
+  tagOverlay(group, frame, HEADINGS_TAG_VALUE);
+
+  result.outline.forEach(function (h) {
+    var color = flagged[h.id] ? LINT_COLORS.error : HEADING_COLOR;
+    var badge = figma.createRectangle();
+    badge.resize(26, 16);
+    badge.cornerRadius = 4;
+    badge.x = h.box.x - 30;
+    badge.y = h.box.y + Math.max(0, (h.box.h - 16) / 2);
+    badge.fills = [{ type: 'SOLID', color: color }];
+    badge.name = 'Heading H' + h.level;
+
+    var label = figma.createText();
+    try {
+      label.fontName = { family: 'Inter', style: 'Bold' };
+    } catch (e) { /* default font */ }
+    label.characters = 'H' + h.level;
+    label.fontSize = 10;
+    label.fills = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
+    label.textAlignHorizontal = 'CENTER';
+    label.textAlignVertical = 'CENTER';
+    label.resize(26, 16);
+    label.x = badge.x;
+    label.y = badge.y;
+    label.name = 'Heading label H' + h.level;
+
+    group.appendChild(badge);
+    group.appendChild(label);
+  });
+  frame.parent.appendChild(group);
+  return result.outline.length;
+}
+
+/**
+ * Infer and validate the heading outline of the selected frames.
+ * @param {{ platform: string, markers: boolean }} opts
+ */
+async function checkHeadings({ platform, markers }) {
+  var targets = getSelectedFrames();
+  if (targets.length === 0) {
+    figma.notify('Select one or more frames to check.');
+    return;
+  }
+  var frames = targets.map(function (f) {
+    return { frameId: f.id, frameName: f.name, textNodes: collectTextCandidates(f, platform) };
+  });
+  var res = await withRetry(function () {
+    return safePostJSON(API + '/headings', { platform: platform, frames: frames });
+  });
+  if (!res || !res.ok) throw new Error((res && res.error) || 'Heading analysis failed');
+
+  var issues = 0;
+  for (var i = 0; i < res.results.length; i++) {
+    var frame = figma.getNodeById(res.results[i].frameId);
+    issues += res.results[i].issues.length;
+    if (!frame) continue;
+    if (markers) await drawHeadingMarkers(frame, res.results[i]);
+    else removeTagged(frame, HEADINGS_TAG_VALUE);
+  }
+  figma.ui.postMessage({ type: 'HEADINGS_RESULT', frames: res.results });
+  figma.notify('A11y: ' + issues + ' heading issue' + (issues === 1 ? '' : 's') + ' found.');
+  return res.results;
+}
+
+// ---- Node tags (inspector) ----
+// Per-layer plugin data a designer sets in the inspector panel. These beat every guess:
+// toDTO and isFocusableHeuristic read them on serialization, and applyNodeTags puts
+// name, role and hint back on the server's order. Badges show the tags on canvas.
+var NODE_TAGS = {
+  focusable: 'a11y-focusable',   // 'true' | 'false'
+  role: 'a11y-role',
+  name: 'a11y-name',
+  hint: 'a11y-hint',
+  heading: HEADING_TAG,          // '1'..'6'
+  decorative: 'a11y-decorative'  // 'true'
+};
+var TAGS_TAG_VALUE = 'tags';
+var TAG_BADGE_COLOR = { r: 0.42, g: 0.2, b: 0.75 };
+var MAX_TAGGED_SELECTION = 200;
+var tagBadgesOn = false;
+
+function readNodeTags(node) {
+  var tags = {};
+  Object.keys(NODE_TAGS).forEach(function (k) {
+    tags[k] = 'getPluginData' in node ? node.getPluginData(NODE_TAGS[k]) : '';
+  });
+  return tags;
+}
+
+function hasNodeTags(node) {
+  var tags = readNodeTags(node);
+  return Object.keys(tags).some(function (k) { return tags[k]; });
+}
+
+// Only known keys; '' clears a tag, a missing key leaves it alone
+function cleanNodeTags(tags) {
+  var out = {};
+  Object.keys(NODE_TAGS).forEach(function (k) {
+    if (!tags || tags[k] === undefined || tags[k] === null) return;
+    var v = String(tags[k]).trim();
+    if (k === 'focusable' && v && v !== 'true' && v !== 'false') throw new Error('Focusable must be true or false');
+    if (k === 'decorative' && v && v !== 'true') throw new Error('Decorative must be true');
+    if (k === 'heading' && v && !/^[1-6]$/.test(v)) throw new Error('Heading level must be 1–6');
+    out[k] = v.substring(0, 200);
+  });
+  return out;
+}
+
+// Selected layers, minus the plugin's own overlays
+function taggableSelection() {
+  return figma.currentPage.selection.filter(function (n) {
+    return 'setPluginData' in n && !n.getPluginData(NOTE_TAG);
+  }).slice(0, MAX_TAGGED_SELECTION);
+}
+
+/**
+ * Tags of the selected layers, with the value they share (null when mixed).
+ * @returns {Object} { count, nodes: [{ id, name, type, tags }], common: { key: value|null } }
+ */
+function inspectSelection() {
+  var nodes = taggableSelection().map(function (n) {
+    return { id: n.id, name: n.name, type: n.type, tags: readNodeTags(n) };
+  });
+  var common = {};
+  Object.keys(NODE_TAGS).forEach(function (k) {
+    var values = nodes.map(function (n) { return n.tags[k]; });
+    common[k] = values.every(function (v) { return v === values[0]; }) ? (values[0] || '') : null;
+  });
+  var data = { count: nodes.length, nodes: nodes, common: common, badges: tagBadgesOn };
+  figma.ui.postMessage({ type: 'TAGS_SELECTION', data: data });
+  return data;
+}
+
+// Frames the selected layers sit in
+function selectionFrames(nodes) {
+  var frames = [];
+  nodes.forEach(function (n) {
+    var frame = owningFrame(n);
+    if (frame && frames.indexOf(frame) === -1) frames.push(frame);
+  });
+  return frames;
+}
+
+/**
+ * Set tags on every selected layer (bulk apply).
+ * @param {Object} msg - { tags: { focusable?, role?, name?, hint?, heading?, decorative? } }
+ */
+async function applyNodeTagsToSelection(msg) {
+  var tags = cleanNodeTags(msg.tags);
+  var nodes = taggableSelection();
+  if (!nodes.length) throw new Error('Select the layers to tag');
+  nodes.forEach(function (n) {
+    Object.keys(tags).forEach(function (k) { n.setPluginData(NODE_TAGS[k], tags[k]); });
+  });
+  if (tagBadgesOn) {
+    var frames = selectionFrames(nodes);
+    for (var i = 0; i < frames.length; i++) await drawTagBadges(frames[i]);
+  }
+  figma.notify('A11y: Tagged ' + nodes.length + ' layer' + (nodes.length === 1 ? '' : 's'));
+  return inspectSelection();
+}
+
+// "button · “Pay now” · H2"
+function tagBadgeText(tags) {
+  var parts = [];
+  if (tags.decorative === 'true') parts.push('decorative');
+  if (tags.focusable === 'true') parts.push('focusable');
+  if (tags.focusable === 'false') parts.push('not focusable');
+  if (tags.role) parts.push(tags.role);
+  if (tags.name) parts.push('“' + tags.name + '”');
+  if (tags.hint) parts.push('hint');
+  if (tags.heading) parts.push('H' + tags.heading);
+  return parts.join(' · ');
+}
+
+/**
+ * Badge every tagged layer in a frame (replaces the frame's previous badges).
+ * @param {FrameNode} frame
+ * @returns {Promise<number>} badges drawn
+ */
+async function drawTagBadges(frame) {
+  removeTagged(frame, TAGS_TAG_VALUE);
+  if (!frame.parent) return 0;
+  var tagged = frame.findAll(function (n) { return hasNodeTags(n); });
+  if (hasNodeTags(frame)) tagged.unshift(frame);
+  if (!tagged.length) return 0;
+  await ensureFont('Inter', 'Medium');
+
+  var fb = frame.absoluteBoundingBox;
+  var group = figma.createFrame();
+  group.name = 'A11y Tag Badges';
+  group.resize(frame.width, frame.height);
+  group.x = frame.x;
+  group.y = frame.y;
+  group.fills = [];
+  group.clipsContent = false;
+  tagOverlay(group, frame, TAGS_TAG_VALUE);
+
+  tagged.forEach(function (n) {
+    var bb = n.absoluteBoundingBox;
+    if (!bb || !fb) return;
+    var label = figma.createText();
+    label.fontName = { family: 'Inter', style: 'Medium' };
+    label.characters = tagBadgeText(readNodeTags(n));
+    label.fontSize = 9;
+    label.fills = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
+
+    var pill = figma.createRectangle();
+    pill.resize(label.width + 8, label.height + 4);
+    pill.cornerRadius = 4;
+    pill.fills = [{ type: 'SOLID', color: TAG_BADGE_COLOR }];
+    pill.x = bb.x - fb.x;
+    pill.y = Math.max(0, bb.y - fb.y - pill.height - 2);
+    label.x = pill.x + 4;
+    label.y = pill.y + 2;
+    pill.name = 'Tag badge ' + n.name;
+    label.name = 'Tag badge text ' + n.name;
+    group.appendChild(pill);
+    group.appendChild(label);
+  });
+  frame.parent.appendChild(group);
+  return tagged.length;
+}
+
+/**
+ * Turn canvas badges on or off for the frames around the selection.
+ * @param {Object} msg - { show }
+ */
+async function showTagBadges(msg) {
+  tagBadgesOn = Boolean(msg.show);
+  var frames = selectionFrames(figma.currentPage.selection);
+  var count = 0;
+  for (var i = 0; i < frames.length; i++) {
+    if (tagBadgesOn) count += await drawTagBadges(frames[i]);
+    else removeTagged(frames[i], TAGS_TAG_VALUE);
+  }
+  if (tagBadgesOn) figma.notify(count ? 'A11y: ' + count + ' tagged layer' + (count === 1 ? '' : 's') : 'A11y: No tagged layers in the selected frames');
+  return { count: count };
+}
+
+// Tags win over the server's order: name → label, role → role, hint → hint
+function applyNodeTags(annotation) {
+  (annotation && annotation.order || []).forEach(function (item) {
+    var node = figma.getNodeById(item.id);
+    if (!node || !('getPluginData' in node)) return;
+    var tags = readNodeTags(node);
+    if (tags.name) item.label = tags.name;
+    if (tags.role) item.role = tags.role;
+    if (tags.hint) item.hint = tags.hint;
+  });
+  return annotation;
+}
+
+// ---- Manual focus-order editing ----
+// The UI edits a frame's saved order (reorder, rename, role, add/remove) and sends the
+// whole list back; we validate it, persist it with per-item source and re-render.
+
+var FOCUS_ORDER_KEY = 'a11y-focus-order';
+
+function readFocusOrder(frame) {
+  try {
+    var raw = frame.getPluginData(FOCUS_ORDER_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn('[A11y] unreadable focus order on', frame.name);
+    return null;
+  }
+}
+
+function writeFocusOrder(frame, data) {
+  frame.setPluginData(FOCUS_ORDER_KEY, JSON.stringify(data));
+}
+
+function isInside(node, frame) {
+  for (var cur = node; cur; cur = cur.parent) {
+    if (cur.id === frame.id) return true;
+  }
+  return false;
+}
+
+// The annotated screen for a selected node: the nearest frame with a saved order,
+// the frame an overlay (chips, note) belongs to, or else the outermost frame
+function owningFrame(node) {
+  var frame = null;
+  var overlayFor = node && 'getPluginData' in node ? node.getPluginData(NOTE_FOR_TAG) : '';
+  if (overlayFor) return figma.getNodeById(overlayFor);
+  for (var cur = node; cur && cur.type !== 'PAGE'; cur = cur.parent) {
+    if (cur.type === 'FRAME') frame = cur;
+    if (cur.type === 'FRAME' && readFocusOrder(cur)) return cur;
+  }
+  return frame;
+}
+
+// Accept plugin items ({ id, label, role, state?, hint?, level?, pinned? }) and legacy ui.js
+// items ({ nodeId, name, customName, elementType }); control state, a tagged hint, a heading's
+// level and a released pin survive the edit
+function normalizeEditedItem(it) {
+  if (!it) return null;
+  var id = it.nodeId || it.id;
+  if (typeof id !== 'string') return null;
+  var out = {
+    id: id,
+    label: String(it.label || it.customName || it.name || 'Item'),
+    role: it.role || it.elementType || undefined,
+    source: it.source === 'manual' ? 'manual' : (it.source || 'ai')
+  };
+  var state = cleanState(it.state);
+  if (state) out.state = state;
+  if (it.pinned === false) out.pinned = false; // pin released in the editor
+  if (typeof it.hint === 'string' && it.hint) out.hint = it.hint;
+  var level = parseInt(it.level, 10);
+  if (String(out.role || '').toLowerCase() === 'heading' && level >= 1 && level <= 6) out.level = level;
+  return out;
+}
+
+function postOrder(frame) {
+  var data = frame ? readFocusOrder(frame) : null;
+  if (data) watchFrame(frame, data);
+  figma.ui.postMessage({
+    type: 'ORDER_LOADED',
+    frameId: frame ? frame.id : null,
+    frameName: frame ? frame.name : null,
+    data: data
+  });
+}
+
+// Ids a designer removed from the order; sent as exclusions so AI re-runs don't restore them
+function removedIds(prev, items) {
+  var keep = {};
+  items.forEach(function (it) { keep[it.id] = true; });
+  var removed = (prev.removed || []).filter(function (id) { return !keep[id]; });
+  (prev.items || []).forEach(function (it) {
+    if (!keep[it.id] && removed.indexOf(it.id) === -1) removed.push(it.id);
+  });
+  return removed;
+}
+
+// Lock groups from the editor ([[id, …]]), kept to ids still in the order, in order;
+// an id belongs to one group and groups of fewer than two are dropped
+function cleanLocked(groups, items) {
+  var pos = {};
+  (items || []).forEach(function (it, i) { pos[it.id] = i; });
+  var claimed = {};
+  var out = [];
+  (Array.isArray(groups) ? groups : []).forEach(function (group) {
+    if (!Array.isArray(group)) return;
+    var ids = [];
+    group.forEach(function (id) {
+      if (typeof id !== 'string' || !pos.hasOwnProperty(id) || claimed[id]) return;
+      claimed[id] = true;
+      ids.push(id);
+    });
+    ids.sort(function (a, b) { return pos[a] - pos[b]; });
+    if (ids.length > 1) out.push(ids);
+    else ids.forEach(function (id) { delete claimed[id]; });
+  });
+  return out;
+}
+
+// Persist + re-render chips and note for an edited order (locked: the editor's lock
+// groups; the saved ones when omitted)
+async function commitOrder(frame, items, locked) {
+  var prev = readFocusOrder(frame) || {};
+  var data = Object.assign({}, prev, {
+    frameId: frame.id,
+    frameName: frame.name,
+    items: items,
+    locked: cleanLocked(locked === undefined ? prev.locked : locked, items),
+    removed: removedIds(prev, items),
+    snapshot: snapshotItems(frame, items),
+    editedAt: new Date().toISOString()
+  });
+  writeFocusOrder(frame, data);
+  recordVersion(frame, data, { source: 'manual' }, prev);
+  clearStale(frame, data);
+  await applyAnnotations(frame, { frameId: frame.id, order: items, regions: prev.regions, dialogs: prev.dialogs });
+  postOrder(frame);
+}
+
+/**
+ * Save an order edited in the UI.
+ * @param {{ frameId: string, items: Array<Object>, locked?: Array<Array<string>> }} msg
+ */
+async function saveEditedOrder(msg) {
+  var spec = msg.spec || (msg.data && msg.data.spec); // ui.js 'save-spec' shape
+  var frameId = msg.frameId || (spec && spec.frameId);
+  var frame = frameId ? figma.getNodeById(frameId) : null;
+  if (!frame || frame.type !== 'FRAME') {
+    figma.notify('A11y: frame for this focus order no longer exists.');
+    return;
+  }
+
+  var raw = msg.items || (spec && spec.items) || [];
+  var items = [];
+  var seen = {};
+  for (var i = 0; i < raw.length; i++) {
+    var it = normalizeEditedItem(raw[i]);
+    if (!it || seen[it.id]) continue;
+    var node = figma.getNodeById(it.id);
+    if (!node || !isInside(node, frame)) continue; // drop stale or foreign ids
+    seen[it.id] = true;
+    items.push(it);
+  }
+
+  await commitOrder(frame, items, msg.locked);
+  figma.notify('A11y: Focus order saved (' + items.length + ' items).');
+}
+
+// Append the current canvas selection (inside the edited frame) to its order
+async function addSelectionToOrder(msg) {
+  var frame = msg.frameId ? figma.getNodeById(msg.frameId) : null;
+  if (!frame || frame.type !== 'FRAME') return;
+
+  var data = readFocusOrder(frame) || { platform: msg.platform, items: [] };
+  var items = (data.items || []).slice();
+  var have = {};
+  items.forEach(function (it) { have[it.id] = true; });
+
+  var added = 0;
+  var sel = figma.currentPage.selection;
+  for (var i = 0; i < sel.length; i++) {
+    var node = sel[i];
+    if (node.id === frame.id || have[node.id] || !isInside(node, frame)) continue;
+    var text = collectText(node);
+    items.push({
+      id: node.id,
+      label: text || node.name,
+      role: guessRoleFromName(node.name) || 'button',
+      source: 'manual'
+    });
+    have[node.id] = true;
+    added++;
+  }
+
+  if (!added) {
+    figma.notify('Select layers inside "' + frame.name + '" to add them.');
+    return;
+  }
+  await commitOrder(frame, items);
+}
+
+// ---- Version history ----
+// Every AI run and manual edit appends a version to the frame's history so reviews can
+// see how an order changed after a redesign. The history is append-only: each version
+// is written once under its own plugin-data key (a11y-focus-history:<n>, so no entry
+// outgrows the plugin-data size limit) and never rewritten or dropped. Versions keep only
+// what the diff needs ({ id, label, role }). Older files may also hold a JSON array under
+// a11y-focus-history itself; it is read first and left as it is.
+
+var HISTORY_KEY = 'a11y-focus-history';
+var HISTORY_VERSION_PREFIX = HISTORY_KEY + ':';
+
+function parseHistoryEntry(raw) {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function readHistory(frame) {
+  var legacy = parseHistoryEntry(frame.getPluginData(HISTORY_KEY));
+  var history = Array.isArray(legacy) ? legacy.slice() : [];
+  var keys = frame.getPluginDataKeys();
+  var versions = keys
+    .filter(function (k) { return k.indexOf(HISTORY_VERSION_PREFIX) === 0; })
+    .map(function (k) { return parseHistoryEntry(frame.getPluginData(k)); })
+    .filter(function (v) { return v && typeof v.version === 'number' && Array.isArray(v.items); })
+    .sort(function (a, b) { return a.version - b.version; });
+  return history.concat(versions);
+}
+
+function appendVersion(frame, entry) {
+  frame.setPluginData(HISTORY_VERSION_PREFIX + entry.version, JSON.stringify(entry));
+  return entry;
+}
+
+function currentAuthor() {
+  var user = figma.currentUser;
+  return user ? { id: user.id, name: user.name } : null;
+}
+
+function compactItems(items) {
+  return (items || []).map(function (it) { return { id: it.id, label: it.label, role: it.role || null }; });
+}
+
+// A saved order from before history existed, as version 1
+function savedAsVersion(saved) {
+  var manual = saved.items.some(function (it) { return it.source === 'manual'; });
+  return {
+    version: 1,
+    at: saved.editedAt || saved.at || null,
+    author: null,
+    source: manual ? 'manual' : 'ai',
+    provider: saved.provider || null,
+    model: saved.model || null,
+    promptVersion: saved.promptVersion || null,
+    checksum: saved.checksum || null,
+    items: compactItems(saved.items)
+  };
+}
+
+/**
+ * Append a version for a frame's just-saved order.
+ * @param {FrameNode} frame
+ * @param {Object} data - The saved a11y-focus-order data
+ * @param {Object} meta - { source: 'ai'|'heuristic'|'manual', provider?, model?, promptVersion? }
+ * @param {Object} [prev] - The order saved before this one; becomes version 1 when the frame has no history yet
+ * @returns {Object} the new version
+ */
+function recordVersion(frame, data, meta, prev) {
+  var history = readHistory(frame);
+  if (!history.length && prev && Array.isArray(prev.items) && prev.items.length) {
+    history.push(appendVersion(frame, savedAsVersion(prev)));
+  }
+  var last = history[history.length - 1];
+  return appendVersion(frame, {
+    version: last ? last.version + 1 : 1,
+    at: new Date().toISOString(),
+    author: currentAuthor(),
+    source: meta.source,
+    provider: meta.provider || null,
+    model: meta.model || null,
+    promptVersion: meta.promptVersion || null,
+    checksum: data.checksum || null,
+    items: compactItems(data.items)
+  });
+}
+
+// Frames annotated before history existed show their saved order as version 1
+function historyFor(frame) {
+  var history = readHistory(frame);
+  if (history.length) return history;
+  var saved = readFocusOrder(frame);
+  if (!saved || !saved.items) return [];
+  return [savedAsVersion(saved)];
+}
+
+// Positions (in b) of the longest run of common items whose relative order didn't change
+function stablePositions(seq) {
+  var tails = [];
+  var prev = new Array(seq.length);
+  for (var i = 0; i < seq.length; i++) {
+    var lo = 0;
+    var hi = tails.length;
+    while (lo < hi) {
+      var mid = (lo + hi) >> 1;
+      if (seq[tails[mid]] < seq[i]) lo = mid + 1;
+      else hi = mid;
+    }
+    prev[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  }
+  var keep = {};
+  for (var k = tails.length ? tails[tails.length - 1] : -1; k !== -1; k = prev[k]) keep[k] = true;
+  return keep;
+}
+
+/**
+ * Compare two versions of an order. Items that only shifted because others were
+ * added or removed aren't reported as moved.
+ * @param {Object} from - Older version
+ * @param {Object} to - Newer version
+ * @returns {Object} { from, to, items: [{ id, label, role, index, status, fromIndex?, previous? }], removed, counts }
+ *   status is 'added' | 'moved' | 'relabelled' | 'unchanged'; previous holds the old { label, role }
+ */
+function diffVersions(from, to) {
+  var before = {};
+  from.items.forEach(function (it, i) { before[it.id] = { item: it, index: i }; });
+
+  var common = to.items.filter(function (it) { return before[it.id]; });
+  var stable = stablePositions(common.map(function (it) { return before[it.id].index; }));
+  var moved = {};
+  common.forEach(function (it, i) { if (!stable[i]) moved[it.id] = true; });
+
+  var counts = { added: 0, removed: 0, moved: 0, relabelled: 0, unchanged: 0 };
+  var items = to.items.map(function (it, i) {
+    var row = { id: it.id, label: it.label, role: it.role, index: i, status: 'unchanged' };
+    var old = before[it.id];
+    if (!old) {
+      row.status = 'added';
+    } else {
+      row.fromIndex = old.index;
+      if (old.item.label !== it.label || old.item.role !== it.role) {
+        row.previous = { label: old.item.label, role: old.item.role };
+        row.status = 'relabelled';
+      }
+      if (moved[it.id]) row.status = 'moved'; // previous is still set when it was also relabelled
+    }
+    counts[row.status]++;
+    if (row.previous && row.status === 'moved') counts.relabelled++;
+    return row;
+  });
+
+  var present = {};
+  to.items.forEach(function (it) { present[it.id] = true; });
+  var removed = from.items
+    .map(function (it, i) { return { id: it.id, label: it.label, role: it.role, fromIndex: i }; })
+    .filter(function (it) { return !present[it.id]; });
+  counts.removed = removed.length;
+
+  return { from: from.version, to: to.version, items: items, removed: removed, counts: counts };
+}
+
+function versionSummary(v) {
+  return {
+    version: v.version,
+    at: v.at,
+    author: v.author ? v.author.name : null,
+    source: v.source,
+    provider: v.provider,
+    model: v.model,
+    promptVersion: v.promptVersion,
+    itemCount: v.items.length
+  };
+}
+
+/**
+ * Send a frame's version list to the UI.
+ * @param {Object} msg - { frameId? } defaults to the frame owning the selection
+ */
+function loadHistory(msg) {
+  var frame = frameFromMessage(msg);
+  var history = frame ? historyFor(frame) : [];
+  if (!history.length) {
+    figma.notify('Select an annotated frame to see its history.');
+    throw new Error('No saved focus order');
+  }
+  var result = { frameId: frame.id, frameName: frame.name, versions: history.map(versionSummary) };
+  figma.ui.postMessage({ type: 'HISTORY_LOADED', data: result });
+  return result;
+}
+
+/**
+ * Diff two versions of a frame's order (defaults: previous → latest).
+ * @param {Object} msg - { frameId, from?, to? } version numbers
+ */
+function diffHistory(msg) {
+  var frame = frameFromMessage(msg);
+  var history = frame ? historyFor(frame) : [];
+  var find = function (n, fallback) {
+    var hit = history.filter(function (v) { return v.version === Number(n); })[0];
+    return hit || fallback;
+  };
+  var to = find(msg.to, history[history.length - 1]);
+  var from = find(msg.from, history[Math.max(0, history.indexOf(to) - 1)]);
+  if (!to || !from) throw new Error('No versions to compare');
+
+  var result = Object.assign({ frameId: frame.id, frameName: frame.name }, diffVersions(from, to));
+  figma.ui.postMessage({ type: 'VERSION_DIFF', data: result });
+  return result;
+}
+
+// ---- Stale annotations ----
+// Saved orders carry a snapshot of each item's layer (name, frame-relative box, text).
+// Comparing it with the canvas tells us which chips drifted; documentchange events on
+// annotated layers re-run the check, and re-annotating sends only the changed items
+// to the model with everything else pinned.
+
+var STALE_TAG_VALUE = 'stale';
+var STALE_COLOR = { r: 0.85, g: 0.1, b: 0.1 };
+var STALE_TOLERANCE = 2;       // px of movement / resize we ignore
+var STALE_DEBOUNCE_MS = 800;
+var STALE_PROPS = ['x', 'y', 'width', 'height', 'name', 'characters', 'visible', 'parent'];
+
+// Item id → frame id for frames whose order we've read or written this session
+var staleIndex = {};
+var staleTimers = {};
+var staleCounts = {};
+
+function watchFrame(frame, data) {
+  ((data && data.items) || []).forEach(function (it) { staleIndex[it.id] = frame.id; });
+}
+
+// A fresh save re-baselines the frame: markers go, its items are watched
+function clearStale(frame, data) {
+  watchFrame(frame, data);
+  removeTagged(frame, STALE_TAG_VALUE);
+  delete staleCounts[frame.id];
+}
+
+function snapshotItems(frame, items) {
+  var out = {};
+  (items || []).forEach(function (it) {
+    var node = figma.getNodeById(it.id);
+    if (!node) return;
+    out[it.id] = { name: node.name, box: frameRelativeBounds(it.id, frame), text: collectText(node) };
+  });
+  return out;
+}
+
+function boxDelta(a, b, keys) {
+  return keys.some(function (k) { return Math.abs(a[k] - b[k]) > STALE_TOLERANCE; });
+}
+
+// What changed for one item since its snapshot ([] when nothing did)
+function itemChanges(frame, id, snap) {
+  var node = figma.getNodeById(id);
+  if (!node || node.removed) return ['deleted'];
+  if (!isInside(node, frame)) return ['left-frame'];
+  var changes = [];
+  if (node.visible === false) changes.push('hidden');
+  if (!snap) return changes;
+  var box = frameRelativeBounds(id, frame);
+  if (box && snap.box) {
+    if (boxDelta(box, snap.box, ['x', 'y'])) changes.push('moved');
+    if (boxDelta(box, snap.box, ['w', 'h'])) changes.push('resized');
+  }
+  if (node.name !== snap.name) changes.push('renamed');
+  if (collectText(node) !== snap.text) changes.push('text-changed');
+  return changes;
+}
+
+/**
+ * Compare a frame's saved order with its current layers.
+ * @param {FrameNode} frame
+ * @param {Object} [options] - { scanNew: also list focusable layers that aren't in the order }
+ * @returns {Object|null} { frameId, frameName, stale: [{ id, label, index, changes }], added, baseline? }
+ */
+function findStale(frame, options) {
+  var saved = readFocusOrder(frame);
+  if (!saved || !saved.items) return null;
+  watchFrame(frame, saved);
+
+  var result = { frameId: frame.id, frameName: frame.name, stale: [], added: [] };
+  // Orders saved before snapshots existed: today's layers become the baseline
+  if (!saved.snapshot) {
+    saved.snapshot = snapshotItems(frame, saved.items);
+    writeFocusOrder(frame, saved);
+    result.baseline = 'created';
+  }
+
+  saved.items.forEach(function (it, i) {
+    var changes = itemChanges(frame, it.id, saved.snapshot[it.id]);
+    if (changes.length) result.stale.push({ id: it.id, label: it.label, index: i, changes: changes });
+  });
+
+  if (options && options.scanNew) {
+    var known = {};
+    saved.items.concat((saved.removed || []).map(function (id) { return { id: id }; }))
+      .forEach(function (it) { known[it.id] = true; });
+    extractFocusableItems(toDTO(frame, saved.platform), null, null, { platform: saved.platform }).forEach(function (it) {
+      if (!known[it.id]) result.added.push({ id: it.id, label: it.name, role: it.role });
+    });
+  }
+  return result;
+}
+
+// Dashed ring + reason next to each stale chip (or the layer's old box when the chip is gone)
+async function drawStaleMarkers(frame, result) {
+  removeTagged(frame, STALE_TAG_VALUE);
+  if (!result || !result.stale.length || !frame.parent) return 0;
+  await ensureFont('Inter', 'Regular');
+
+  var chips = {};
+  frame.parent.children.forEach(function (g) {
+    if (g.getPluginData(NOTE_FOR_TAG) !== frame.id || g.getPluginData(NOTE_TAG) !== NOTE_TAG_VALUE || !('children' in g)) return;
+    g.children.forEach(function (c) { if (c.name.indexOf('Chip ') === 0) chips[c.name] = c; });
+  });
+  var snapshot = (readFocusOrder(frame) || {}).snapshot || {};
+
+  var group = figma.createFrame();
+  group.name = 'A11y Stale Markers';
+  group.resize(frame.width, frame.height);
+  group.x = frame.x;
+  group.y = frame.y;
+  group.fills = [];
+  group.clipsContent = false;
+  tagOverlay(group, frame, STALE_TAG_VALUE);
+
+  result.stale.forEach(function (s) {
+    var chip = chips['Chip ' + (s.index + 1)];
+    var old = snapshot[s.id] && snapshot[s.id].box;
+    var at = chip ? { x: chip.x, y: chip.y, w: chip.width, h: chip.height } : old;
+    if (!at) return;
+
+    var ring = figma.createEllipse();
+    ring.resize(at.w + 8, at.h + 8);
+    ring.x = at.x - 4;
+    ring.y = at.y - 4;
+    ring.fills = [];
+    ring.strokes = [{ type: 'SOLID', color: STALE_COLOR }];
+    ring.strokeWeight = 2;
+    ring.dashPattern = [4, 3];
+    ring.name = 'Stale ' + (s.index + 1);
+
+    var reason = figma.createText();
+    reason.characters = s.changes.join(', ');
+    reason.fontSize = 10;
+    reason.fills = [{ type: 'SOLID', color: STALE_COLOR }];
+    reason.x = ring.x + ring.width + 2;
+    reason.y = ring.y;
+    reason.name = 'Stale reason ' + (s.index + 1);
+
+    group.appendChild(ring);
+    group.appendChild(reason);
+  });
+  frame.parent.appendChild(group);
+  return result.stale.length;
+}
+
+/**
+ * Check a frame for drifted annotations, mark them on canvas and report to the UI.
+ * @param {Object} msg - { frameId?, auto? } auto checks (documentchange) skip the new-layer scan
+ */
+async function checkStale(msg) {
+  var frame = frameFromMessage(msg);
+  var result = frame && findStale(frame, { scanNew: !msg.auto });
+  if (!result) {
+    if (!msg.auto) figma.notify('Select an annotated frame to check for changes.');
+    return null;
+  }
+  await drawStaleMarkers(frame, result);
+  figma.ui.postMessage({ type: 'STALE_RESULT', data: result, auto: Boolean(msg.auto) });
+
+  var count = result.stale.length + result.added.length;
+  if (!msg.auto) {
+    figma.notify(count ? 'A11y: ' + count + ' annotation' + (count === 1 ? '' : 's') + ' out of date.' : 'A11y: Annotations are up to date.');
+  } else if (result.stale.length > (staleCounts[frame.id] || 0)) {
+    figma.notify('A11y: "' + frame.name + '" changed – ' + result.stale.length + ' chip' + (result.stale.length === 1 ? ' is' : 's are') + ' out of date.');
+  }
+  staleCounts[frame.id] = result.stale.length;
+  return result;
+}
+
+// Pin everything that didn't change at its position among the surviving items
+function targetedConstraints(saved, affected, gone) {
+  var base = deriveConstraints(saved) || { pins: [], locked: [], exclude: [] };
+  var pins = [];
+  saved.items.filter(function (it) { return !gone[it.id]; }).forEach(function (it, i) {
+    if (!affected[it.id]) pins.push({ id: it.id, index: i, label: it.label, role: it.role });
+  });
+  return {
+    pins: pins,
+    locked: base.locked.filter(function (g) { return !g.some(function (id) { return affected[id] || gone[id]; }); }),
+    exclude: base.exclude
+  };
+}
+
+/**
+ * Re-annotate only the changed (and newly added) items of a frame; the rest keep
+ * their position, label and role.
+ * @param {Object} msg - { frameId?, platform?, mode?, direction? }
+ */
+async function reannotateStale(msg) {
+  var frame = frameFromMessage(msg);
+  var result = frame && findStale(frame, { scanNew: true });
+  if (!result) throw new Error('No saved focus order');
+  if (!result.stale.length && !result.added.length) {
+    figma.notify('A11y: Nothing changed in "' + frame.name + '".');
+    return result;
+  }
+
+  var saved = readFocusOrder(frame);
+  var platform = saved.platform || msg.platform;
+  var affected = {};
+  var gone = {};
+  result.stale.forEach(function (s) {
+    var removed = s.changes.indexOf('deleted') !== -1 || s.changes.indexOf('left-frame') !== -1 || s.changes.indexOf('hidden') !== -1;
+    if (removed) gone[s.id] = true;
+    else affected[s.id] = true;
+  });
+  result.added.forEach(function (it) { affected[it.id] = true; });
+
+  // Keep the frame's saved reading flow unless the UI picked one
+  var choice = msg.direction && msg.direction !== 'auto' ? msg.direction
+    : saved.writingMode && saved.writingMode !== 'horizontal-tb' ? saved.writingMode : saved.direction;
+  var built = await buildFramePayload(frame, platform, resolveFlow(frame, choice));
+  if (!built.payload) throw new Error(noFocusableMessage(built.excluded));
+  built.payload.constraints = targetedConstraints(saved, affected, gone);
+
+  figma.notify('Re-annotating ' + Object.keys(affected).length + ' changed item(s)…', { timeout: 2000 });
+  var res = await withRetry(function () { return annotate({ platform: platform, mode: msg.mode === 'heuristic' ? 'heuristic' : 'ai', frames: [built.payload] }); });
+  var annotation = (res.annotations || [])[0];
+  if (!annotation) throw new Error('No annotation returned');
+
+  // Pins come back as manual; untouched items keep the source they had
+  var sourceOf = {};
+  saved.items.forEach(function (it) { sourceOf[it.id] = it.source; });
+  annotation.order = annotation.order.map(function (it) {
+    return affected[it.id] || !sourceOf[it.id] ? it : Object.assign({}, it, { source: sourceOf[it.id] });
+  });
+
+  delete lastChecksums[frame.id]; // chips must follow moved layers even if the order is the same
+  applyNodeTags(annotation);
+  await applyAnnotations(frame, annotation);
+  saveFocusOrder(frame, platform, annotation, annotation.checksum || res.checksum);
+  postOrder(frame);
+  return checkStale({ frameId: frame.id, auto: true });
+}
+
+// Re-check annotated frames shortly after their layers change
+function scheduleStaleCheck(frameId) {
+  if (staleTimers[frameId]) clearTimeout(staleTimers[frameId]);
+  staleTimers[frameId] = setTimeout(function () {
+    delete staleTimers[frameId];
+    checkStale({ frameId: frameId, auto: true }).catch(function (e) {
+      console.warn('[A11y] stale check failed', e && e.message || e);
+    });
+  }, STALE_DEBOUNCE_MS);
+}
+
+// The annotated frame a changed node belongs to: itself or a layer inside an item
+function staleFrameFor(change) {
+  if (staleIndex[change.id]) return staleIndex[change.id];
+  var node = change.node;
+  for (var depth = 0; node && !node.removed && node.type !== 'PAGE' && depth < 8; depth++) {
+    if (staleIndex[node.id]) return staleIndex[node.id];
+    node = node.parent;
+  }
+  return null;
+}
+
+figma.on('documentchange', function (event) {
+  var touched = {};
+  (event.documentChanges || []).forEach(function (change) {
+    if (change.type === 'PROPERTY_CHANGE' &&
+        !(change.properties || []).some(function (p) { return STALE_PROPS.indexOf(p) !== -1; })) return;
+    if (change.type !== 'PROPERTY_CHANGE' && change.type !== 'DELETE') return;
+    var frameId = staleFrameFor(change);
+    if (frameId) touched[frameId] = true;
+  });
+  Object.keys(touched).forEach(scheduleStaleCheck);
+});
+
+// ---- Export: developer handoff artifacts ----
+// Saved a11y-focus-order data for one or many frames → versioned JSON, Markdown, CSV
+// and a standalone HTML report (screenshot + numbered overlays).
+
+var EXPORT_FORMAT = 'a11y-annotator.focus-order';
+var EXPORT_VERSION = '1.0';
+
+// Frames in the selection (or owning the selected layers) that have a saved order
+function framesForExport() {
+  var out = [];
+  var seen = {};
+  var sel = figma.currentPage.selection;
+  for (var i = 0; i < sel.length; i++) {
+    var frame = owningFrame(sel[i]);
+    if (!frame || seen[frame.id] || !readFocusOrder(frame)) continue;
+    seen[frame.id] = true;
+    out.push(frame);
+  }
+  return out;
+}
+
+function frameRelativeBounds(nodeId, frame) {
+  var node = figma.getNodeById(nodeId);
+  var bb = node && node.absoluteBoundingBox;
+  var fb = frame.absoluteBoundingBox;
+  if (!bb || !fb) return null;
+  return { x: Math.round(bb.x - fb.x), y: Math.round(bb.y - fb.y), w: Math.round(bb.width), h: Math.round(bb.height) };
+}
+
+// Innermost region role per item id
+function regionIndex(regions, out) {
+  out = out || {};
+  (regions || []).forEach(function (r) {
+    (r.items || []).forEach(function (id) { out[id] = r.role; });
+    regionIndex(r.children, out);
+  });
+  return out;
+}
+
+function exportFrameEntry(frame) {
+  var saved = readFocusOrder(frame) || {};
+  var regionOf = regionIndex(saved.regions);
+  var items = (saved.items || []).map(function (it, i) {
+    return {
+      order: i + 1,
+      id: it.id,
+      label: it.label,
+      role: it.role || null,
+      hint: it.hint || null,
+      state: it.state || null,
+      region: regionOf[it.id] || null,
+      source: it.source || 'ai',
+      bounds: frameRelativeBounds(it.id, frame)
+    };
+  });
+  return {
+    frameId: frame.id,
+    frameName: frame.name,
+    platform: saved.platform || 'web',
+    size: { w: Math.round(frame.width), h: Math.round(frame.height) },
+    checksum: saved.checksum || null,
+    annotatedAt: saved.at || null,
+    editedAt: saved.editedAt || null,
+    items: items,
+    regions: saved.regions || [],
+    dialogs: saved.dialogs || [],
+    excluded: saved.excluded || []
+  };
+}
+
+function buildExportDocument(frames) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    file: figma.root.name,
+    frames: frames.map(exportFrameEntry),
+    flows: buildFlowGraph(frames, (readFocusOrder(frames[0]) || {}).platform || 'web').edges
+  };
+}
+
+function mdCell(v) {
+  return String(v === null || v === undefined ? '' : v).replace(/\|/g, '\\|').replace(/\r\n|[\r\n]/g, ' ');
+}
+
+function toMarkdown(doc) {
+  var parts = [];
+  doc.frames.forEach(function (f) {
+    var manual = f.items.filter(function (it) { return it.source === 'manual'; }).length;
+    parts.push(
+      '# Focus Order: ' + f.frameName + '\n\n' +
+      '**Platform:** ' + f.platform + '  \n' +
+      '**Total Items:** ' + f.items.length + '  \n' +
+      '**Manual Edits:** ' + manual + '\n\n' +
+      '| Order | Name | Role | State | Region | Source | Node ID |\n' +
+      '|-------|------|------|-------|--------|--------|---------|\n' +
+      f.items.map(function (it) {
+        return '| ' + it.order + ' | ' + mdCell(it.label) + ' | ' + mdCell(it.role) + ' | ' + mdCell(stateWords(it.state, it.role).join(', ')) + ' | ' +
+          mdCell(it.region) + ' | ' + it.source + ' | `' + it.id + '` |';
+      }).join('\n') +
+      markdownDialogs(f) +
+      markdownExcluded(f)
+    );
+  });
+  if (doc.flows && doc.flows.length) {
+    parts.push('# Flow\n\n' + doc.flows.map(function (e) { return '- ' + mdCell(e.description); }).join('\n'));
+  }
+  return parts.join('\n\n---\n\n') + '\n';
+}
+
+// Dialog scopes: contained order, initial and return focus, by overall order number
+function markdownDialogs(f) {
+  if (!f.dialogs || !f.dialogs.length) return '';
+  var orderOf = {};
+  f.items.forEach(function (it) { orderOf[it.id] = it.order; });
+  function ref(id) { return orderOf[id] ? '#' + orderOf[id] : '—'; }
+  return '\n\n## Focus Scopes\n\n' + f.dialogs.map(function (d) {
+    return '- **' + mdCell(d.name) + '** (' + d.kind + (d.trap === false ? ', non-modal' : ', focus trap') + '): ' +
+      (d.order || []).map(ref).join(' → ') + '; initial focus ' + ref(d.initialFocus) + ', returns to ' + ref(d.returnFocus);
+  }).join('\n');
+}
+
+// Nodes the exclusion rules left out, with why
+function markdownExcluded(f) {
+  if (!f.excluded || !f.excluded.length) return '';
+  return '\n\n## Excluded\n\n' + f.excluded.map(function (e) {
+    return '- ' + mdCell(e.name) + ' (`' + e.id + '`): ' + e.reason;
+  }).join('\n');
+}
+
+function csvCell(v) {
+  var s = String(v === null || v === undefined ? '' : v);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function toCSV(doc) {
+  var rows = [['frame_id', 'frame_name', 'platform', 'order', 'node_id', 'label', 'role', 'state', 'region', 'source', 'x', 'y', 'width', 'height']];
+  doc.frames.forEach(function (f) {
+    f.items.forEach(function (it) {
+      var b = it.bounds || {};
+      rows.push([f.frameId, f.frameName, f.platform, it.order, it.id, it.label, it.role, stateWords(it.state, it.role).join(', '), it.region, it.source, b.x, b.y, b.w, b.h]);
+    });
+  });
+  return rows.map(function (r) { return r.map(csvCell).join(','); }).join('\n') + '\n';
+}
+
+function htmlEscape(v) {
+  return String(v === null || v === undefined ? '' : v)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function htmlFrameSection(f, image) {
+  var chips = f.items.filter(function (it) { return it.bounds; }).map(function (it) {
+    var cx = it.bounds.x + it.bounds.w / 2 - 14;
+    var cy = it.bounds.y + it.bounds.h / 2 - 14;
+    return '<span class="chip" style="left:' + cx + 'px;top:' + cy + 'px" title="' + htmlEscape(it.label) + '">' + it.order + '</span>';
+  }).join('');
+  var rows = f.items.map(function (it) {
+    return '<tr><td>' + it.order + '</td><td>' + htmlEscape(it.label) + '</td><td>' + htmlEscape(it.role) + '</td><td>' +
+      htmlEscape(stateWords(it.state, it.role).join(', ')) + '</td><td>' +
+      htmlEscape(it.region) + '</td><td>' + htmlEscape(it.source) + '</td><td><code>' + htmlEscape(it.id) + '</code></td></tr>';
+  }).join('');
+  return '<section><h2>' + htmlEscape(f.frameName) + '</h2>' +
+    '<p>Platform: ' + htmlEscape(f.platform) + ' · ' + f.items.length + ' items</p>' +
+    (image ? '<figure style="width:' + f.size.w + 'px;height:' + f.size.h + 'px"><img src="' + image + '" width="' + f.size.w + '" alt="Screenshot of ' + htmlEscape(f.frameName) + '">' + chips + '</figure>' : '') +
+    '<table><thead><tr><th>Order</th><th>Name</th><th>Role</th><th>State</th><th>Region</th><th>Source</th><th>Node ID</th></tr></thead><tbody>' + rows + '</tbody></table></section>';
+}
+
+function toHTML(doc, images) {
+  return '<!doctype html><html lang="en"><head><meta charset="utf-8"><title>Focus Order Report</title><style>' +
+    'body{font:14px -apple-system,Segoe UI,Roboto,sans-serif;margin:24px;color:#222}' +
+    'figure{position:relative;margin:16px 0;border:1px solid #ddd}figure img{display:block}' +
+    '.chip{position:absolute;width:28px;height:28px;border-radius:50%;background:#E84827;color:#fff;font-weight:700;' +
+    'display:flex;align-items:center;justify-content:center;font-size:14px}' +
+    'table{border-collapse:collapse;margin-bottom:32px}th,td{border:1px solid #ddd;padding:4px 8px;text-align:left}' +
+    '</style></head><body><h1>Focus Order Report</h1><p>' + htmlEscape(doc.file) + ' · generated ' + htmlEscape(doc.generatedAt) +
+    ' · format ' + doc.format + ' v' + doc.version + '</p>' +
+    doc.frames.map(function (f, i) { return htmlFrameSection(f, images[i]); }).join('') +
+    (doc.flows && doc.flows.length
+      ? '<section><h2>Flow</h2><ul>' + doc.flows.map(function (e) { return '<li>' + htmlEscape(e.description) + '</li>'; }).join('') + '</ul></section>'
+      : '') +
+    '</body></html>';
+}
+
+/**
+ * Build every export format for the selected annotated frames.
+ * @returns {Promise<Object>} { fileName, json, markdown, csv, html, frameCount }
+ */
+async function exportSpec() {
+  var frames = framesForExport();
+  if (!frames.length) {
+    figma.notify('Select annotated frames to export.');
+    throw new Error('No annotated frames selected');
+  }
+  var doc = buildExportDocument(frames);
+  var images = [];
+  for (var i = 0; i < frames.length; i++) {
+    var bytes = null;
+    try {
+      bytes = await frames[i].exportAsync({ format: 'PNG', constraint: { type: 'SCALE', value: 2 } });
+    } catch (e) {
+      console.warn('[A11y] export screenshot failed:', e && e.message || e);
+    }
+    images.push(bytes ? 'data:image/png;base64,' + figma.base64Encode(bytes) : null);
+  }
+  var result = {
+    fileName: frames.length === 1 ? frames[0].name : figma.root.name,
+    frameCount: frames.length,
+    json: JSON.stringify(doc, null, 2),
+    markdown: toMarkdown(doc),
+    csv: toCSV(doc),
+    html: toHTML(doc, images)
+  };
+  figma.ui.postMessage({ type: 'EXPORT_READY', data: result });
+  return result;
+}
+
+/**
+ * Starter code (web HTML/ARIA or React Native JSX) for the selected annotated frames.
+ * @param {Object} msg - { platform?: 'web'|'rn' } overrides each frame's saved platform
+ */
+async function generateSnippets(msg) {
+  var frames = framesForExport();
+  if (!frames.length) {
+    figma.notify('Select annotated frames to generate code for.');
+    throw new Error('No annotated frames selected');
+  }
+  var doc = buildExportDocument(frames);
+  var res = await withRetry(function () {
+    return safePostJSON(API + '/snippets', { platform: msg && msg.platform, frames: doc.frames });
+  });
+  if (!res || !res.ok) throw new Error((res && res.error) || 'Snippet generation failed');
+  figma.ui.postMessage({ type: 'SNIPPETS_READY', data: res.snippets });
+  return res.snippets;
+}
+
+// ---- Screen-reader preview ----
+// Expected announcements for the saved order, following each reader's conventions:
+// "<label>, <role>, <state>, <value>" with the reader's own role and state vocabulary.
+
+var SR_READERS = {
+  voiceover: {
+    name: 'VoiceOver (iOS)',
+    roles: {
+      button: 'button', link: 'link', textbox: 'text field', textfield: 'text field', input: 'text field',
+      search: 'search field', searchbox: 'search field', heading: 'heading', header: 'heading', image: 'image',
+      checkbox: 'checkbox', radio: 'radio button', switch: 'switch button', tab: 'tab', slider: 'adjustable',
+      adjustable: 'adjustable', combobox: 'pop up button', menuitem: 'menu item', progressbar: 'progress'
+    },
+    states: {
+      checked: ['checked', 'unchecked'], switchOn: ['on', 'off'], selected: ['selected', null],
+      expanded: ['expanded', 'collapsed'], pressed: ['selected', null], disabled: ['dimmed', null]
+    }
+  },
+  talkback: {
+    name: 'TalkBack (Android)',
+    roles: {
+      button: 'button', link: 'link', textbox: 'edit box', textfield: 'edit box', input: 'edit box',
+      search: 'edit box', searchbox: 'edit box', heading: 'heading', header: 'heading', image: 'image',
+      checkbox: 'checkbox', radio: 'radio button', switch: 'switch', tab: 'tab', slider: 'slider',
+      adjustable: 'slider', combobox: 'drop down list', menuitem: 'menu item', progressbar: 'progress bar'
+    },
+    states: {
+      checked: ['checked', 'not checked'], switchOn: ['on', 'off'], selected: ['selected', null],
+      expanded: ['expanded', 'collapsed'], pressed: ['on', 'off'], disabled: ['disabled', null]
+    }
+  },
+  nvda: {
+    name: 'NVDA (web)',
+    roles: {
+      button: 'button', link: 'link', textbox: 'edit', textfield: 'edit', input: 'edit', search: 'edit',
+      searchbox: 'edit', heading: 'heading', header: 'heading', image: 'graphic', checkbox: 'check box',
+      radio: 'radio button', switch: 'switch', tab: 'tab', slider: 'slider', adjustable: 'slider',
+      combobox: 'combo box', menuitem: 'menu item', progressbar: 'progress bar'
+    },
+    states: {
+      checked: ['checked', 'not checked'], switchOn: ['on', 'off'], selected: ['selected', null],
+      expanded: ['expanded', 'collapsed'], pressed: ['pressed', 'not pressed'], disabled: ['unavailable', null]
+    }
+  }
+};
+var SR_READERS_BY_PLATFORM = { rn: ['voiceover', 'talkback'], web: ['nvda'] };
+
+// Roles whose text content is announced as a value rather than as the name
+var SR_VALUE_ROLES = ['textbox', 'textfield', 'input', 'search', 'searchbox', 'combobox', 'slider', 'adjustable', 'progressbar'];
+
+function srValue(item, node, platform) {
+  if (item.value !== undefined && item.value !== null) return String(item.value);
+  if (!node || SR_VALUE_ROLES.indexOf(String(item.role || '').toLowerCase()) === -1) return '';
+  var inf = inferComponentType(node, platform);
+  var text = (inf && inf.text) || collectText(node, 50);
+  return text && text.toLowerCase() !== String(item.label || '').toLowerCase() ? text : '';
+}
+
+function srStates(item, reader) {
+  var st = item.state || {};
+  var words = [];
+  var role = String(item.role || '').toLowerCase();
+  function add(key, flag) {
+    if (flag === undefined || flag === null) return;
+    var w = reader.states[key][flag ? 0 : 1];
+    if (w) words.push(w);
+  }
+  add(role === 'switch' ? 'switchOn' : 'checked', st.checked);
+  add('selected', st.selected);
+  add('expanded', st.expanded);
+  add('pressed', st.pressed);
+  add('disabled', st.disabled);
+  return words;
+}
+
+/**
+ * What a reader says when focus lands on the item, e.g. "Reps, text field, 50".
+ * @param {Object} item - Saved item { label, role, state?, value?, hint?, level? }
+ * @param {string} readerKey - 'voiceover' | 'talkback' | 'nvda'
+ * @param {string} value - Current value text ('' when none)
+ */
+function announce(item, readerKey, value) {
+  var reader = SR_READERS[readerKey];
+  var role = String(item.role || '').toLowerCase();
+  var roleName = reader.roles.hasOwnProperty(role) ? reader.roles[role] : role;
+  if (roleName === 'heading' && readerKey === 'nvda') roleName = 'heading level ' + (item.level || 2);
+  var parts = [item.label || 'unlabelled'];
+  if (roleName) parts.push(roleName);
+  parts = parts.concat(srStates(item, reader));
+  if (value) parts.push(value);
+  if (item.hint) parts.push(item.hint);
+  return parts.join(', ');
+}
+
+function frameFromMessage(msg) {
+  var frame = msg && msg.frameId ? figma.getNodeById(msg.frameId) : null;
+  if (!frame) {
+    var sel = figma.currentPage.selection;
+    frame = sel.length ? owningFrame(sel[0]) : null;
+  }
+  return frame;
+}
+
+/**
+ * Build the step-by-step announcement script for a frame's saved order.
+ * @param {Object} msg - { frameId? } defaults to the frame owning the selection
+ */
+function previewAnnouncements(msg) {
+  var frame = frameFromMessage(msg);
+  var saved = frame && readFocusOrder(frame);
+  if (!saved || !(saved.items || []).length) {
+    figma.notify('Select an annotated frame to preview announcements.');
+    throw new Error('No saved focus order');
+  }
+  var platform = saved.platform === 'rn' ? 'rn' : 'web';
+  var readers = SR_READERS_BY_PLATFORM[platform];
+  var steps = saved.items.map(function (item, i) {
+    var value = srValue(item, figma.getNodeById(item.id), platform);
+    var out = { index: i, id: item.id, label: item.label, role: item.role, announcements: {} };
+    readers.forEach(function (r) { out.announcements[r] = announce(item, r, value); });
+    return out;
+  });
+  var result = {
+    frameId: frame.id,
+    frameName: frame.name,
+    platform: platform,
+    readers: readers.map(function (r) { return { key: r, name: SR_READERS[r].name }; }),
+    steps: steps
+  };
+  figma.ui.postMessage({ type: 'SR_PREVIEW', data: result });
+  return result;
+}
+
+var CHIP_COLOR = { r: 0.91, g: 0.28, b: 0.15 }; // #E84827
+var CHIP_ACTIVE_COLOR = { r: 0.13, g: 0.47, b: 0.85 };
+
+/**
+ * Highlight the chip of the current preview step (index < 0 clears the highlight).
+ * @param {Object} msg - { frameId, index }
+ */
+function highlightChip(msg) {
+  var frame = frameFromMessage(msg);
+  if (!frame || !frame.parent) return;
+  var sibs = frame.parent.children;
+  for (var s = 0; s < sibs.length; s++) {
+    var group = sibs[s];
+    if (group.getPluginData(NOTE_FOR_TAG) !== frame.id || group.getPluginData(NOTE_TAG) !== NOTE_TAG_VALUE) continue;
+    if (!('children' in group)) continue;
+    for (var i = 0; i < group.children.length; i++) {
+      var chip = group.children[i];
+      if (chip.name.indexOf('Chip ') !== 0) continue;
+      var active = chip.name === 'Chip ' + (msg.index + 1);
+      var stored = chip.getPluginData(CHIP_FILL_KEY);
+      chip.fills = [{ type: 'SOLID', color: active ? CHIP_ACTIVE_COLOR : (stored ? JSON.parse(stored) : CHIP_COLOR) }];
+      if (active) {
+        chip.strokes = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
+        chip.strokeWeight = 3;
+      } else {
+        chip.strokes = chip.getPluginData(CHIP_STROKE_KEY) === 'initial' ? [{ type: 'SOLID', color: INITIAL_FOCUS_COLOR }] : [];
+      }
+    }
+  }
+}
+
+// ---- Cross-frame flows ----
+// Prototype reactions on focusable nodes → a navigation graph between frames, with where
+// focus should land after each transition.
+// Edge: { fromFrameId, fromFrameName, triggerId, triggerLabel, trigger, navigation,
+//         toFrameId, toFrameName, inSelection, focusTargetId, focusTargetLabel, focusRule, description }
+
+var FLOW_TAG_VALUE = 'flow';
+var MAX_REACTION_DEPTH = 3;
+var TRIGGER_VERBS = {
+  ON_CLICK: 'tapping',
+  ON_PRESS: 'pressing',
+  ON_DRAG: 'dragging',
+  ON_HOVER: 'hovering over',
+  MOUSE_ENTER: 'hovering over',
+  ON_KEY_DOWN: 'pressing a key on',
+  AFTER_TIMEOUT: 'waiting on'
+};
+
+function reactionActions(reaction) {
+  if (Array.isArray(reaction.actions)) return reaction.actions;
+  return reaction.action ? [reaction.action] : [];
+}
+
+// Reactions on the node or (for instances wired on an inner layer) a shallow descendant
+function findReactions(node, depth) {
+  depth = depth || 0;
+  if (!node || depth > MAX_REACTION_DEPTH) return [];
+  if (Array.isArray(node.reactions) && node.reactions.length) return node.reactions;
+  if (!('children' in node)) return [];
+  for (var i = 0; i < node.children.length; i++) {
+    var found = findReactions(node.children[i], depth + 1);
+    if (found.length) return found;
+  }
+  return [];
+}
+
+function flowItems(frame, platform) {
+  var saved = readFocusOrder(frame);
+  if (saved && saved.items && saved.items.length) return saved.items;
+  return extractFocusableItems(toDTO(frame, platform), null, null, { platform: platform }).map(function (it) { return { id: it.id, label: it.name, role: it.role }; });
+}
+
+// Initial focus of the overlay's saved dialog scope (the frame itself first), if still in the order
+function savedInitialFocus(saved, dest, items) {
+  var dialogs = (saved && saved.dialogs) || [];
+  var own = dialogs.filter(function (d) { return d.id === dest.id; });
+  var scopes = own.concat(dialogs.filter(function (d) { return d.id !== dest.id; }));
+  for (var i = 0; i < scopes.length; i++) {
+    var target = scopes[i].initialFocus;
+    var item = target && items.filter(function (it) { return it.id === target; })[0];
+    if (item) return item;
+  }
+  return null;
+}
+
+// Where focus lands on the destination: its heading, an overlay's initial focus, or the first stop
+function focusLanding(dest, navigation, platform) {
+  var saved = readFocusOrder(dest);
+  var items = flowItems(dest, platform);
+  if (navigation === 'OVERLAY') {
+    var initial = savedInitialFocus(saved, dest, items);
+    if (initial) return { item: initial, rule: 'dialog-initial-focus' };
+    var first = items.filter(function (it) { return !/\b(close|dismiss|cancel)\b/i.test(it.label || ''); })[0] || items[0];
+    return first ? { item: first, rule: 'overlay-initial-focus' } : null;
+  }
+  var heading = items.filter(function (it) { return it.role === 'heading' || it.role === 'header'; })[0];
+  if (heading) return { item: heading, rule: 'screen-heading' };
+  if (items[0]) return { item: items[0], rule: saved ? 'first-in-order' : 'first-focusable' };
+  return null;
+}
+
+function describeEdge(e) {
+  var verb = TRIGGER_VERBS[e.trigger] || 'activating';
+  var after = 'After ' + verb + ' "' + e.triggerLabel + '" on ' + e.fromFrameName;
+  if (e.navigation === 'BACK') return after + ', focus returns to the control that opened this screen';
+  if (e.navigation === 'CLOSE') return after + ', the overlay closes and focus returns to its trigger';
+  if (!e.focusTargetId) return after + ', focus moves to ' + (e.toFrameName || 'the destination') + ' (no focusable target found)';
+  return after + ', focus moves to "' + e.focusTargetLabel + '" on ' + e.toFrameName;
+}
+
+/**
+ * Build the navigation graph between frames from prototype reactions.
+ * @param {Array<FrameNode>} frames - Source frames (usually the selection)
+ * @param {string} platform
+ * @returns {{ frames: Array<Object>, edges: Array<Object> }}
+ */
+function buildFlowGraph(frames, platform) {
+  var selected = {};
+  frames.forEach(function (f) { selected[f.id] = true; });
+  var edges = [];
+  frames.forEach(function (frame) {
+    flowItems(frame, platform).forEach(function (item) {
+      var node = figma.getNodeById(item.id);
+      findReactions(node).forEach(function (reaction) {
+        reactionActions(reaction).forEach(function (action) {
+          if (!action) return;
+          var navigation = action.type === 'NODE' ? (action.navigation || 'NAVIGATE') : action.type;
+          if (navigation !== 'NAVIGATE' && navigation !== 'OVERLAY' && navigation !== 'SWAP' &&
+              navigation !== 'BACK' && navigation !== 'CLOSE') return;
+          var dest = action.destinationId ? figma.getNodeById(action.destinationId) : null;
+          if (action.type === 'NODE' && (!dest || dest.type !== 'FRAME')) return;
+          var landing = dest ? focusLanding(dest, navigation, platform) : null;
+          var edge = {
+            fromFrameId: frame.id,
+            fromFrameName: frame.name,
+            triggerId: item.id,
+            triggerLabel: item.label,
+            trigger: reaction.trigger ? reaction.trigger.type : null,
+            navigation: navigation,
+            toFrameId: dest ? dest.id : null,
+            toFrameName: dest ? dest.name : null,
+            inSelection: dest ? Boolean(selected[dest.id]) : true,
+            focusTargetId: landing ? landing.item.id : null,
+            focusTargetLabel: landing ? landing.item.label : null,
+            focusRule: landing ? landing.rule : (navigation === 'BACK' || navigation === 'CLOSE' ? 'return-to-trigger' : null)
+          };
+          edge.description = describeEdge(edge);
+          edges.push(edge);
+        });
+      });
+    });
+  });
+  return {
+    frames: frames.map(function (f) { return { frameId: f.id, frameName: f.name }; }),
+    edges: edges
+  };
+}
+
+// Small callout next to each trigger: "→ Step 2: Step 2 heading"
+async function drawFlowCallouts(frame, edges) {
+  removeTagged(frame, FLOW_TAG_VALUE);
+  var mine = edges.filter(function (e) { return e.fromFrameId === frame.id; });
+  var frameBox = frame.absoluteBoundingBox;
+  if (!mine.length || !frame.parent || !frameBox) return 0;
+  await ensureFont('Inter', 'Regular');
+
+  var group = figma.createFrame();
+  group.name = 'A11y Flow';
+  group.resize(frame.width, frame.height);
+  group.x = frame.x;
+  group.y = frame.y;
+  group.fills = [];
+  group.clipsContent = false;
+  tagOverlay(group, frame, FLOW_TAG_VALUE);
+
+  var drawn = 0;
+  mine.forEach(function (e) {
+    var node = figma.getNodeById(e.triggerId);
+    var bb = node && node.absoluteBoundingBox;
+    if (!bb) return;
+    var t = figma.createText();
+    t.characters = '→ ' + (e.toFrameName || (e.navigation === 'BACK' ? 'back' : 'close')) +
+      (e.focusTargetLabel ? ': ' + e.focusTargetLabel : '');
+    t.fontSize = 10;
+    t.fills = [{ type: 'SOLID', color: POPOVER_COLOR }];
+    t.x = bb.x - frameBox.x + bb.width + 4;
+    t.y = bb.y - frameBox.y;
+    t.name = 'Flow: ' + e.triggerLabel;
+    group.appendChild(t);
+    drawn++;
+  });
+  frame.parent.appendChild(group);
+  return drawn;
+}
+
+/**
+ * Map flows between the selected frames and post them to the UI.
+ * @param {{ platform: string, markers: boolean }} opts
+ */
+async function mapFlows({ platform, markers }) {
+  var frames = getSelectedFrames();
+  if (!frames.length) {
+    figma.notify('Select the frames of a flow to map.');
+    return;
+  }
+  var graph = buildFlowGraph(frames, platform);
+  for (var i = 0; i < frames.length; i++) {
+    if (markers) await drawFlowCallouts(frames[i], graph.edges);
+    else removeTagged(frames[i], FLOW_TAG_VALUE);
+  }
+  figma.ui.postMessage({ type: 'FLOW_RESULT', data: graph });
+  figma.notify('A11y: ' + graph.edges.length + ' transition' + (graph.edges.length === 1 ? '' : 's') + ' mapped.');
+  return graph;
+}
+
+/**
+ * Turn prior manual edits into /annotate constraints:
+ * manual items are pinned at their index (with their label/role) until the designer
+ * releases the pin (pinned: false), the groups locked in the editor (saved.locked) stay
+ * together, and removed items are excluded.
+ * @returns {Object|undefined} constraints, or undefined when nothing was edited
+ */
+function deriveConstraints(saved) {
+  if (!saved || !Array.isArray(saved.items)) return undefined;
+  var pins = [];
+  saved.items.forEach(function (it, i) {
+    if (it.source === 'manual' && it.pinned !== false) pins.push({ id: it.id, index: i, label: it.label, role: it.role });
+  });
+  var locked = cleanLocked(saved.locked, saved.items);
+  var exclude = saved.removed || [];
+  if (!pins.length && !locked.length && !exclude.length) return undefined;
+  return { pins: pins, locked: locked, exclude: exclude };
+}
+
+// Report per-frame progress to the UI
+function postProgress(frame, stage, index, total, detail) {
+  figma.ui.postMessage({
+    type: 'PROGRESS',
+    frameId: frame ? frame.id : null,
+    frameName: frame ? frame.name : null,
+    stage: stage,
+    index: index,
+    total: total,
+    detail: detail || ''
+  });
+}
+
+function getSelectedFrames() {
+  var out = [];
+  var sel = figma.currentPage.selection;
+  for (var i = 0; i < sel.length; i++) {
+    if (sel[i].type === 'FRAME') out.push(sel[i]);
+  }
+  return out;
+}
+
+// Debug stats for what we are sending
+function countNodes(node) {
+  if (!node) return 0;
+  var cnt = 1;
+  var cs = node.children || [];
+  for (var i = 0; i < cs.length; i++) cnt += countNodes(cs[i]);
+  return cnt;
+}
+
+function maxDepth(node) {
+  if (!node) return 0;
+  var cs = node.children || [];
+  var d = 0;
+  for (var i = 0; i < cs.length; i++) d = Math.max(d, maxDepth(cs[i]));
+  return d + (cs.length ? 1 : 0);
+}
+
+// Export PNG screenshot for vision analysis (null on failure → text-only analysis)
+async function exportFrameImage(frame) {
+  try {
+    var pngBytes = await frame.exportAsync({
+      format: 'PNG',
+      constraint: { type: 'SCALE', value: 2 }  // @2x for better quality
+    });
+    if (pngBytes && pngBytes.length > 0) {
+      console.log('[A11y] PNG exported:', frame.name, (pngBytes.length / 1024).toFixed(1), 'KB');
+      return 'data:image/png;base64,' + figma.base64Encode(pngBytes);
+    }
+  } catch (e) {
+    console.warn('[A11y] PNG export failed:', e && e.message || e);
+  }
+  return null;
+}
+
+/**
+ * Serialize one frame into the /annotate batch entry shape.
+ * @returns {Promise<{ dto: Object, payload: Object|null, excluded: Array<Object> }>} payload is null when
+ *   nothing is focusable; excluded lists what the exclusion rules dropped either way
+ */
+async function buildFramePayload(frame, platform, flow) {
+  var imageData = await exportFrameImage(frame);
+
+  // Serialize (always deep with safety limits) in the frame's reading order
+  flow = flow || resolveFlow(frame, 'auto');
+  var dto = toDTO(frame, platform, 0, { total: 0, readingOrder: readingOrderFor(flow) });
+  var sample = (dto && dto.children) ? dto.children.slice(0, 3).map(function (c) { return c.name; }) : [];
+  console.log('[A11y] Serialized tree', { frame: frame.name, nodeCount: countNodes(dto), maxDepth: maxDepth(dto), sampleNodes: sample });
+
+  // Extract focusable items as flat list (AI will order them, not filter them);
+  // disabled, faded, decorative and static text nodes are dropped here with a reason
+  var excluded = [];
+  var focusableItems = extractFocusableItems(dto, null, null, { platform: platform, excluded: excluded });
+  console.log('[A11y] Extracted', focusableItems.length, 'focusable items for AI ordering,', excluded.length, 'excluded');
+  if (focusableItems.length === 0) return { dto: dto, payload: null, excluded: excluded };
+
+  return {
+    dto: dto,
+    excluded: excluded,
+    payload: {
+      image: imageData,  // base64-encoded PNG or null
+      frameId: frame.id,
+      frameName: frame.name,
+      frameBox: { x: frame.x, y: frame.y, w: frame.width, h: frame.height },
+      direction: flow.direction,  // ltr / rtl
+      writingMode: flow.writingMode,  // horizontal-tb / vertical-rl / vertical-lr
+      focusableItems: focusableItems,  // Flat list - AI orders these, doesn't filter
+      excluded: excluded,  // Dropped by the exclusion rules: [{ id, name, reason }]
+      landmarks: collectLandmarks(dto),  // Containers the server groups items into
+      dialogs: detectDialogs(dto, platform),  // Modals / sheets / drawers that get their own focus scope
+      constraints: deriveConstraints(readFocusOrder(frame))  // Prior manual edits the server must keep
+    }
+  };
+}
+
+// Failure text for a frame with nothing left to order, e.g. "All 3 candidates excluded (2 decorative, 1 disabled)"
+function noFocusableMessage(excluded) {
+  if (!excluded || !excluded.length) return 'No focusable elements found';
+  var counts = {};
+  var reasons = [];
+  excluded.forEach(function (e) {
+    if (!counts[e.reason]) reasons.push(e.reason);
+    counts[e.reason] = (counts[e.reason] || 0) + 1;
+  });
+  return 'All ' + excluded.length + ' candidate' + (excluded.length === 1 ? '' : 's') + ' excluded (' +
+    reasons.map(function (r) { return counts[r] + ' ' + r; }).join(', ') + ')';
+}
+
+function saveFocusOrder(frame, platform, annotation, checksum) {
+  // Rule-based orders ('heuristic' mode or the server's fallback) aren't AI output
+  var notes = annotation && annotation.notes;
+  var source = notes === 'heuristic' || notes === 'heuristic-fallback' ? 'heuristic' : 'ai';
+  var prev = readFocusOrder(frame) || {};
+  var data = {
+    platform,
+    removed: prev.removed || [],
+    frameId: frame.id,
+    frameName: frame.name,
+    checksum: checksum,
+    items: annotation ? annotation.order.map(it => Object.assign({}, it, { source: it.source || source })) : [],
+    regions: (annotation && annotation.regions) || [],
+    dialogs: (annotation && annotation.dialogs) || [],
+    locked: prev.locked || [],
+    excluded: (annotation && annotation.excluded) || [],
+    direction: (annotation && annotation.direction) || 'ltr',
+    writingMode: (annotation && annotation.writingMode) || 'horizontal-tb',
+    provider: annotation && annotation.provider,
+    model: annotation && annotation.model,
+    promptVersion: annotation && annotation.promptVersion,
+    at: new Date().toISOString()
+  };
+  data.snapshot = snapshotItems(frame, data.items);
+  writeFocusOrder(frame, data);
+  clearStale(frame, data);
+  recordVersion(frame, data, { source: source, provider: data.provider, model: data.model, promptVersion: data.promptVersion }, prev);
+}
+
+async function runPropose({ platform, mode, direction }) {
+  const targets = getSelectedFrames();
+
+  if (targets.length === 0) {
+    figma.notify('Select one or more frames to annotate.');
+    console.warn('[A11y] no FRAME selected');
+    return;
+  }
+
+  // Ensure server is up before we POST (free Render can be cold)
+  figma.notify('Starting A11y service…', { timeout: 2000 });
+  const healthy = await waitForHealthy();
+  if (!healthy) {
+    figma.notify('A11y service is still waking up. Retrying…', { timeout: 3000 });
+  }
+
+  console.log('[A11y] selection', { frames: targets.map(f => f.name), platform, mode, direction });
+
+  // Capture + serialize every frame; frames with nothing focusable are reported, not sent,
+  // with whatever the exclusion rules dropped so the UI can list it
+  figma.notify('Capturing ' + targets.length + ' frame' + (targets.length === 1 ? '' : 's') + '…', { timeout: 1500 });
+  const failures = [];
+  const framePayloads = [];
+  const lintFrames = [];
+  for (let i = 0; i < targets.length; i++) {
+    postProgress(targets[i], 'capturing', i, targets.length);
+    const built = await buildFramePayload(targets[i], platform, resolveFlow(targets[i], direction));
+    const fp = built.payload;
+    lintFrames.push({ frameId: targets[i].id, frameName: targets[i].name, findings: lintFrame(built.dto, platform) });
+    if (fp) {
+      framePayloads.push(fp);
+      postProgress(targets[i], 'serialized', i, targets.length, fp.focusableItems.length + ' items');
+    } else {
+      const error = noFocusableMessage(built.excluded);
+      failures.push({ frameId: targets[i].id, frameName: targets[i].name, error, excluded: built.excluded });
+      postProgress(targets[i], 'failed', i, targets.length, error);
+    }
+  }
+
+  // Lint needs no server round-trip, so report it alongside progress
+  figma.ui.postMessage({ type: 'LINT_RESULT', frames: lintFrames });
+
+  if (framePayloads.length === 0) {
+    const listed = failures.some(f => f.excluded && f.excluded.length);
+    figma.notify('No focusable elements found in the selected frame' + (targets.length === 1 ? '.' : 's.') + (listed ? ' Excluded layers are listed in the plugin.' : ''));
+    figma.ui.postMessage({ type: 'ANNOTATION_APPLIED', data: { ok: false, annotations: [], failures } });
+    return;
+  }
+
+  const payload = { platform, mode: mode || 'ai', frames: framePayloads };
+
+  console.log('[NET] POST /annotate', {
+    platform: payload.platform,
+    mode: payload.mode,
+    frames: framePayloads.length,
+    focusableCount: framePayloads.reduce((a, f) => a + f.focusableItems.length, 0)
   });
 
   // Show analyzing status
-  figma.notify('Analyzing frame with AI...', { timeout: 3000 });
+  figma.notify('Analyzing ' + framePayloads.length + ' frame' + (framePayloads.length === 1 ? '' : 's') + (payload.mode === 'heuristic' ? ' with layout rules...' : ' with AI...'), { timeout: 3000 });
+  framePayloads.forEach((fp, i) => postProgress({ id: fp.frameId, name: fp.frameName }, 'analyzing', i, framePayloads.length));
 
   let res;
   try {
-    res = await withRetry(() => safePostJSON(`${API}/annotate`, payload));
+    res = await annotateStreaming(payload);
+    if (!res) res = await withRetry(() => annotate(payload));
   } catch (e) {
     console.error('[NET] annotate failed', e);
     figma.notify('A11y: service unavailable (cold start or network). Try again.');
+    figma.ui.postMessage({ type: 'ERROR', error: String(e && e.message || e) });
     return;
   }
 
@@ -790,6 +3888,7 @@ async function runPropose({ frames, platform, prompt }) {
   if (!res || !res.ok) {
     figma.notify('Focus order service unavailable.');
     console.warn('[NET] bad response', res);
+    figma.ui.postMessage({ type: 'ERROR', error: (res && res.error) || 'Focus order service unavailable.' });
     return;
   }
 
@@ -797,22 +3896,82 @@ async function runPropose({ frames, platform, prompt }) {
   if (!res.annotations || res.annotations.length === 0) {
     console.warn('[A11y] No annotations in response');
   }
+  (res.failures || []).forEach(f => failures.push(f));
 
   // Show rendering status
   figma.notify('Rendering annotations...', { timeout: 1500 });
 
-  await applyAnnotations(res.annotations);
+  let applied = 0;
+  let genericCount = 0;
+  const annotations = res.annotations || [];
+  for (let i = 0; i < annotations.length; i++) {
+    const annotation = annotations[i];
+    const frame = figma.getNodeById(annotation.frameId);
+    try {
+      if (frame) annotation.frameName = frame.name; // for the excluded-nodes list in the UI
+      applyNodeTags(annotation);
+      const result = await applyAnnotations(frame, annotation);
+      if (result.status === 'missing-frame') throw new Error('Frame not found on canvas');
+      saveFocusOrder(frame, platform, annotation, annotation.checksum || res.checksum);
+      applied++;
+      genericCount += result.genericCount;
+      postProgress(frame, result.status === 'unchanged' ? 'unchanged' : 'done', i, annotations.length, result.itemCount + ' items');
+    } catch (e) {
+      console.error('[A11y] render failed for', annotation.frameId, e);
+      failures.push({ frameId: annotation.frameId, frameName: frame ? frame.name : '', error: String(e && e.message || e) });
+      postProgress(frame || { id: annotation.frameId, name: '' }, 'failed', i, annotations.length, String(e && e.message || e));
+    }
+  }
+
+  figma.ui.postMessage({ type: 'ANNOTATION_APPLIED', data: Object.assign({}, res, { failures }) });
+  if (annotations.length) postOrder(figma.getNodeById(annotations[0].frameId));
 
-  const annotation = res.annotations && res.annotations[0] ? res.annotations[0] : null;
-  selection.setPluginData('a11y-focus-order', JSON.stringify({
-    platform,
-    frameId: selection.id,
-    frameName: selection.name,
-    checksum: res.checksum,
-    items: annotation ? annotation.order : [],
-    at: new Date().toISOString()
-  }));
+  if (genericCount > 3) {
+    figma.notify('⚠️ ' + genericCount + ' components have generic names. Rename for better accessibility documentation.', { timeout: 5000 });
+  } else if (failures.length) {
+    figma.notify('A11y: Annotated ' + applied + ' of ' + targets.length + ' frames (' + failures.length + ' failed).', { timeout: 5000 });
+  } else if (applied === 1) {
+    figma.notify('A11y: Annotated ' + annotations[0].order.length + ' items');
+  } else {
+    figma.notify('A11y: Annotated ' + applied + ' frames.');
+  }
+}
 
-  figma.ui.postMessage({ type: 'ANNOTATION_APPLIED', data: res });
-  figma.notify('A11y: Annotation received and rendered.');
-}
\ No newline at end of file
+// ---- Unit-test exports ----
+// Figma runs this file as a plain script; under Node (scripts/load-plugin.js) the pure
+// helpers are exported for server/__tests__, the same guard src/lib/serialize.js uses.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    lintFrame: lintFrame,
+    lintTargetSize: lintTargetSize,
+    lintName: lintName,
+    lintGenericName: lintGenericName,
+    lintDuplicateLabels: lintDuplicateLabels,
+    lintObscured: lintObscured,
+    flattenForLint: flattenForLint,
+    accessibleName: accessibleName,
+    contrastRatio: contrastRatio,
+    isLargeText: isLargeText,
+    suggestForeground: suggestForeground,
+    resolveFills: resolveFills,
+    collectContrastSamples: collectContrastSamples,
+    contrastFinding: contrastFinding,
+    owningFrame: owningFrame,
+    normalizeEditedItem: normalizeEditedItem,
+    deriveConstraints: deriveConstraints,
+    toMarkdown: toMarkdown,
+    toCSV: toCSV,
+    toHTML: toHTML,
+    srStates: srStates,
+    announce: announce,
+    focusLanding: focusLanding,
+    recordVersion: recordVersion,
+    historyFor: historyFor,
+    diffVersions: diffVersions,
+    itemChanges: itemChanges,
+    findStale: findStale,
+    cleanRule: cleanRule,
+    matchesVariant: matchesVariant,
+    componentRuleFor: componentRuleFor
+  };
+}
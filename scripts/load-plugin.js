@@ -0,0 +1,49 @@
+// scripts/load-plugin.js
+// Loads code.js outside Figma so its pure helpers can be unit tested (server/__tests__).
+// A stub `figma` absorbs the start-up calls (showUI, event handlers, the warm-up fetch)
+// and the module.exports guard at the end of code.js hands the helpers back.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const CODE_PATH = path.resolve(__dirname, '..', 'code.js');
+
+// Tests that need canvas nodes extend this: Object.assign(stubFigma(), { getNodeById })
+function stubFigma() {
+  const pluginData = {};
+  return {
+    showUI() {},
+    on() {},
+    notify() {},
+    ui: { postMessage() {}, onmessage: null },
+    currentPage: { selection: [] },
+    root: {
+      getPluginData: key => pluginData[key] || '',
+      setPluginData: (key, value) => { pluginData[key] = value; }
+    },
+    currentUser: { id: 'u1', name: 'Test User' },
+    getNodeById: () => null
+  };
+}
+
+/**
+ * Run code.js in a fresh sandbox.
+ * @param {Object} [globals] - Extra or replacement globals (e.g. a richer `figma`)
+ * @returns {Object} the helpers code.js exports
+ */
+function loadPlugin(globals) {
+  const sandbox = Object.assign({
+    figma: stubFigma(),
+    module: { exports: {} },
+    console: { log() {}, warn() {}, error() {} },
+    fetch: () => Promise.reject(new Error('offline')),
+    setTimeout,
+    clearTimeout,
+    __html__: ''
+  }, globals);
+  vm.runInNewContext(fs.readFileSync(CODE_PATH, 'utf-8'), sandbox, { filename: CODE_PATH });
+  return sandbox.module.exports;
+}
+
+module.exports = { loadPlugin, stubFigma };
@@ -0,0 +1,33 @@
+// server/__tests__/announcements.test.js
+// Plugin screen-reader preview (code.js, loaded outside Figma): what each reader says on focus
+import { loadPlugin } from '../../scripts/load-plugin.js';
+
+const plugin = loadPlugin();
+
+const nvda = { states: { checked: ['checked', 'not checked'], switchOn: ['on', 'off'], selected: ['selected', null], expanded: ['expanded', 'collapsed'], pressed: ['pressed', 'not pressed'], disabled: ['unavailable', null] } };
+
+test('states are read in a fixed order and a false flag without a word is silent', () => {
+  const item = { role: 'checkbox', state: { disabled: true, expanded: false, checked: true, selected: false } };
+  expect(plugin.srStates(item, nvda)).toEqual(['checked', 'collapsed', 'unavailable']);
+  expect(plugin.srStates({ role: 'switch', state: { checked: false } }, nvda)).toEqual(['off']);
+  expect(plugin.srStates({ role: 'button' }, nvda)).toEqual([]);
+});
+
+test('each reader names the role, states, value and hint in its own words', () => {
+  const reps = { label: 'Reps', role: 'textbox', hint: 'Double tap to edit' };
+  expect(plugin.announce(reps, 'voiceover', '50')).toBe('Reps, text field, 50, Double tap to edit');
+  expect(plugin.announce(reps, 'talkback', '50')).toBe('Reps, edit box, 50, Double tap to edit');
+  expect(plugin.announce(reps, 'nvda', '')).toBe('Reps, edit, Double tap to edit');
+
+  const wifi = { label: 'Wi-Fi', role: 'switch', state: { checked: true, disabled: true } };
+  expect(plugin.announce(wifi, 'voiceover', '')).toBe('Wi-Fi, switch button, on, dimmed');
+  expect(plugin.announce(wifi, 'talkback', '')).toBe('Wi-Fi, switch, on, disabled');
+});
+
+test('NVDA reads the heading level; unknown roles are read as given and unnamed items as unlabelled', () => {
+  expect(plugin.announce({ label: 'Billing', role: 'heading', level: 3 }, 'nvda', '')).toBe('Billing, heading level 3');
+  expect(plugin.announce({ label: 'Billing', role: 'heading' }, 'nvda', '')).toBe('Billing, heading level 2');
+  expect(plugin.announce({ label: 'Billing', role: 'heading', level: 3 }, 'voiceover', '')).toBe('Billing, heading');
+  expect(plugin.announce({ role: 'toolbar' }, 'talkback', '')).toBe('unlabelled, toolbar');
+  expect(plugin.announce({ label: 'Close' }, 'nvda', '')).toBe('Close');
+});
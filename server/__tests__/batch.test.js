@@ -0,0 +1,69 @@
+// server/__tests__/batch.test.js
+// Several selected frames in one /annotate request: per-frame results, failures and checksum
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import { cacheKey } from '../cache/index.js';
+import { app } from '../server.js';
+
+const frame = (frameId, ids) => ({
+  frameId,
+  frameName: `Frame ${frameId}`,
+  focusableItems: ids.map((id, i) => ({ id, name: `Item ${id}`, role: 'button', x: 20, y: 40 + i * 60, w: 120, h: 44 }))
+});
+
+beforeEach(() => {
+  process.env.LLM_PROVIDER = 'mock';
+});
+
+test('a batch annotates every frame in request order, each with its own checksum', async () => {
+  const res = await request(app).post('/annotate').send({
+    platform: 'web',
+    frames: [frame('b1', ['1', '2']), frame('b2', ['3']), frame('b3', ['4', '5', '6'])]
+  });
+  expect(res.status).toBe(200);
+  expect(res.body.ok).toBe(true);
+  expect(res.body.failures).toEqual([]);
+  expect(res.body.annotations.map(a => a.frameId)).toEqual(['b1', 'b2', 'b3']);
+  expect(res.body.annotations.map(a => a.order.map(i => i.id))).toEqual([['1', '2'], ['3'], ['4', '5', '6']]);
+  expect(new Set(res.body.annotations.map(a => a.checksum)).size).toBe(3);
+});
+
+test('one failing frame is reported without failing the rest of the batch', async () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const res = await request(app).post('/annotate').send({
+    platform: 'web',
+    frames: [frame('p1', ['1']), { frameId: 'p2', frameName: 'Broken', focusableItems: [null] }, frame('p3', ['3'])]
+  });
+  error.mockRestore();
+  expect(res.status).toBe(200);
+  expect(res.body.ok).toBe(true);
+  expect(res.body.annotations.map(a => a.frameId)).toEqual(['p1', 'p3']);
+  expect(res.body.failures).toEqual([{ frameId: 'p2', frameName: 'Broken', error: expect.any(String) }]);
+});
+
+test('a batch checksum combines the frame checksums; a single frame keeps its own', async () => {
+  const frames = [frame('c1', ['1']), frame('c2', ['2'])];
+  const batch = await request(app).post('/annotate').send({ platform: 'web', frames });
+  const checksums = batch.body.annotations.map(a => a.checksum);
+  expect(batch.body.checksum).toBe(cacheKey(checksums.join('|')));
+
+  const single = await request(app).post('/annotate').send(Object.assign({ platform: 'web' }, frames[0]));
+  expect(single.body.checksum).toBe(checksums[0]);
+  expect(single.body.annotations[0].checksum).toBe(checksums[0]);
+
+  // Any frame changing changes the batch checksum
+  const changed = await request(app).post('/annotate').send({ platform: 'web', frames: [frames[0], frame('c2', ['2', '3'])] });
+  expect(changed.body.checksum).not.toBe(batch.body.checksum);
+});
+
+test('a batch where every frame fails is not ok', async () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const res = await request(app).post('/annotate').send({
+    platform: 'web',
+    frames: [{ frameId: 'x1', focusableItems: [null] }, { frameId: 'x2', focusableItems: [] }]
+  });
+  error.mockRestore();
+  expect(res.body.ok).toBe(false);
+  expect(res.body.annotations).toEqual([]);
+  expect(res.body.failures.map(f => f.frameId).sort()).toEqual(['x1', 'x2']);
+});
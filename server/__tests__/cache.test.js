@@ -0,0 +1,91 @@
+// server/__tests__/cache.test.js
+import { jest } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import request from 'supertest';
+import { createAnnotationCache, cacheKey } from '../cache/index.js';
+import { app } from '../server.js';
+
+test('cache keys are sha256 hex digests', () => {
+  expect(cacheKey('abc')).toMatch(/^[0-9a-f]{64}$/);
+  expect(cacheKey({ a: 1 })).toBe(cacheKey('{"a":1}'));
+});
+
+test('memory cache evicts least recently used entries', async () => {
+  const cache = await createAnnotationCache({ maxEntries: 2 });
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.get('a');          // a is now most recent
+  await cache.set('c', 3);       // evicts b
+  expect(await cache.get('b')).toBeUndefined();
+  expect(await cache.get('a')).toBe(1);
+  const stats = await cache.stats();
+  expect(stats).toMatchObject({ backend: 'memory', size: 2, evictions: 1, hits: 2, misses: 1 });
+});
+
+test('entries expire after their ttl', async () => {
+  const cache = await createAnnotationCache({ ttlMs: 5 });
+  await cache.set('a', 1);
+  await new Promise(r => setTimeout(r, 15));
+  expect(await cache.get('a')).toBeUndefined();
+  expect((await cache.stats()).expired).toBe(1);
+});
+
+test('store errors are a miss on get and skipped on set', async () => {
+  const broken = {
+    backend: 'broken',
+    get: async () => { throw new Error('connection reset'); },
+    set: async () => { throw new Error('database is locked'); },
+    size: async () => 0
+  };
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  try {
+    const cache = await createAnnotationCache({ store: broken });
+    await expect(cache.set('a', 1)).resolves.toBeUndefined();
+    await expect(cache.get('a')).resolves.toBeUndefined();
+    expect(await cache.stats()).toMatchObject({ backend: 'broken', errors: 2, misses: 1, sets: 0 });
+    expect(error).toHaveBeenCalledTimes(2);
+  } finally {
+    error.mockRestore();
+  }
+});
+
+test('sqlite cache persists across instances', async () => {
+  const file = path.join(os.tmpdir(), `anno-cache-${process.pid}.sqlite`);
+  try {
+    const first = await createAnnotationCache({ backend: 'sqlite', path: file, maxEntries: 2 });
+    await first.set('a', { annotations: [] });
+    await first.set('b', 2);
+    await first.set('c', 3);
+    const second = await createAnnotationCache({ backend: 'sqlite', path: file, maxEntries: 2 });
+    expect(second.backend).toBe('sqlite');
+    expect(await second.get('a')).toBeUndefined();
+    expect(await second.get('c')).toBe(3);
+    expect(await second.purge()).toBe(2);
+  } finally {
+    ['', '-wal', '-shm'].forEach(s => fs.rmSync(file + s, { force: true }));
+  }
+});
+
+test('cache admin routes require ADMIN_TOKEN', async () => {
+  delete process.env.ADMIN_TOKEN;
+  expect((await request(app).post('/cache/purge')).status).toBe(403);
+
+  process.env.ADMIN_TOKEN = 'secret';
+  expect((await request(app).post('/cache/purge').set('Authorization', 'Bearer nope')).status).toBe(401);
+
+  process.env.LLM_PROVIDER = 'mock';
+  const items = [{ id: 'a', name: 'Save', x: 0, y: 0 }];
+  const first = await request(app).post('/annotate').send({ frameId: 'cached', focusableItems: items });
+  const second = await request(app).post('/annotate').send({ frameId: 'cached', focusableItems: items });
+  expect(second.body.notes).toBe('cacheHit');
+
+  const del = await request(app).delete(`/cache/${first.body.checksum}`).set('x-admin-token', 'secret');
+  expect(del.status).toBe(200);
+  const again = await request(app).delete(`/cache/${first.body.checksum}`).set('x-admin-token', 'secret');
+  expect(again.status).toBe(404);
+
+  const stats = await request(app).get('/cache/stats').set('x-admin-token', 'secret');
+  expect(stats.body.stats.backend).toBe('memory');
+});
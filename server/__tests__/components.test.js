@@ -0,0 +1,64 @@
+// server/__tests__/components.test.js
+// Plugin component semantics registry (code.js, loaded outside Figma): rules and variant overrides
+import { loadPlugin, stubFigma } from '../../scripts/load-plugin.js';
+
+const figma = stubFigma();
+const plugin = loadPlugin({ figma });
+
+// The library file's registry: a Button component set with variant overrides
+figma.root.setPluginData('a11y-component-registry', JSON.stringify({
+  version: 1,
+  rules: {
+    'set:button': {
+      key: 'set:button', name: 'Button', role: 'button', focusable: true, label: 'prop:Label',
+      variants: [
+        { when: { State: 'Disabled' }, focusable: false },
+        { when: { Type: 'Icon', Size: 'Small' }, label: 'layer:Icon name' }
+      ]
+    }
+  }
+}));
+
+const buttonSet = { type: 'COMPONENT_SET', key: 'set:button', name: 'Button' };
+const instance = (main, variantProperties) => ({ type: 'INSTANCE', mainComponent: main, variantProperties });
+const variant = key => ({ type: 'COMPONENT', key, parent: buttonSet, getSharedPluginData: () => '' });
+
+test('rules keep known fields only and need a key', () => {
+  const raw = {
+    key: 'k1', role: 'switch', focusable: 'yes', label: 'innerText', traverse: 'stop', color: 'red',
+    variants: [{ when: { State: 'On' }, role: 'checkbox', extra: 1 }, { when: {} }, { role: 'link' }, null]
+  };
+  expect(plugin.cleanRule(raw)).toEqual({
+    key: 'k1', name: 'k1', role: 'switch', traverse: 'stop',
+    variants: [{ when: { State: 'On' }, role: 'checkbox' }]
+  });
+  expect(plugin.cleanRule({ key: 'k2', name: 'Tab', label: 'layer:Title' })).toEqual({ key: 'k2', name: 'Tab', label: 'layer:Title' });
+  expect(() => plugin.cleanRule({ name: 'No key' })).toThrow('A component rule needs a key');
+});
+
+test('variant conditions match every listed property, ignoring case', () => {
+  expect(plugin.matchesVariant({ State: 'disabled' }, { State: 'Disabled', Size: 'Large' })).toBe(true);
+  expect(plugin.matchesVariant({ State: 'Disabled', Size: 'Small' }, { State: 'Disabled', Size: 'Large' })).toBe(false);
+  expect(plugin.matchesVariant({ Theme: 'Dark' }, { State: 'Disabled' })).toBe(false);
+  expect(plugin.matchesVariant({ Count: 2 }, { Count: '2' })).toBe(true);
+});
+
+test('an instance gets its component set rule with the matching variant overrides merged in', () => {
+  expect(plugin.componentRuleFor(instance(variant('v:default'), { State: 'Default', Type: 'Text' })))
+    .toEqual({ key: 'set:button', name: 'Button', role: 'button', focusable: true, label: 'prop:Label' });
+  expect(plugin.componentRuleFor(instance(variant('v:disabled'), { State: 'Disabled', Type: 'Text' })))
+    .toEqual({ key: 'set:button', name: 'Button', role: 'button', focusable: false, label: 'prop:Label' });
+  expect(plugin.componentRuleFor(instance(variant('v:icon'), { State: 'Disabled', Type: 'Icon', Size: 'Small' })))
+    .toEqual({ key: 'set:button', name: 'Button', role: 'button', focusable: false, label: 'layer:Icon name' });
+});
+
+test('a library rule stamped on the main component applies when the file has no registry entry', () => {
+  const stamped = { key: 'lib:chip', name: 'Chip', role: 'button', traverse: 'stop' };
+  const main = { type: 'COMPONENT', key: 'lib:chip', parent: null, getSharedPluginData: (ns, key) => (ns === 'a11y_annotator' && key === 'semantics' ? JSON.stringify(stamped) : '') };
+  expect(plugin.componentRuleFor(instance(main, {}))).toEqual(stamped);
+
+  const plain = { type: 'COMPONENT', key: 'lib:card', parent: null, getSharedPluginData: () => '' };
+  expect(plugin.componentRuleFor(instance(plain, {}))).toBeNull();
+  expect(plugin.componentRuleFor({ type: 'FRAME' })).toBeNull();
+  expect(plugin.componentRuleFor({ type: 'INSTANCE', get mainComponent() { throw new Error('detached'); } })).toBeNull();
+});
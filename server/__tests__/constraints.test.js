@@ -0,0 +1,34 @@
+// server/__tests__/constraints.test.js
+import { normalizeConstraints, applyConstraints } from '../helpers/constraints.js';
+
+const order = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, label: id.toUpperCase(), role: 'button' }));
+const ids = new Set(order.map(it => it.id));
+const run = (raw) => applyConstraints(order, normalizeConstraints(raw, ids));
+
+test('no constraints leaves the order untouched', () => {
+  expect(normalizeConstraints({}, ids)).toBeNull();
+  expect(run(undefined).order).toBe(order);
+});
+
+test('pinned items keep their index, label and role', () => {
+  const { order: out, report } = run({ pins: [{ id: 'e', index: 0, label: 'Skip link', role: 'link' }] });
+  expect(out.map(it => it.id)).toEqual(['e', 'a', 'b', 'c', 'd']);
+  expect(out[0]).toEqual({ id: 'e', label: 'Skip link', role: 'link', source: 'manual' });
+  expect(report).toMatchObject({ pins: 1, pinsHonored: 1 });
+});
+
+test('locked groups stay contiguous where their first member appears', () => {
+  const out = run({ locked: [['d', 'b']] }).order;
+  expect(out.map(it => it.id)).toEqual(['a', 'd', 'b', 'c', 'e']);
+});
+
+test('pinned locked group is anchored by its pinned member', () => {
+  const out = run({ pins: [{ id: 'c', index: 3 }], locked: [['b', 'c']] }).order;
+  expect(out.map(it => it.id)).toEqual(['a', 'd', 'b', 'c', 'e']);
+});
+
+test('excluded items are dropped and unknown ids ignored', () => {
+  const { order: out, report } = run({ exclude: ['b'], pins: [{ id: 'zz', index: 0 }] });
+  expect(out.map(it => it.id)).toEqual(['a', 'c', 'd', 'e']);
+  expect(report.excluded).toBe(1);
+});
@@ -0,0 +1,87 @@
+// server/__tests__/contrast.test.js
+// Plugin contrast maths (code.js, loaded outside Figma)
+import { loadPlugin } from '../../scripts/load-plugin.js';
+
+const plugin = loadPlugin();
+
+const WHITE = { r: 1, g: 1, b: 1 };
+const BLACK = { r: 0, g: 0, b: 0 };
+const GREY_777 = { r: 0x77 / 255, g: 0x77 / 255, b: 0x77 / 255 };
+
+function fromHex(hex) {
+  const v = parseInt(hex.slice(1), 16);
+  return { r: (v >> 16) / 255, g: ((v >> 8) & 255) / 255, b: (v & 255) / 255 };
+}
+
+// Figma-shaped node with an absolute box
+function box(x, y, w, h) {
+  return { x, y, width: w, height: h };
+}
+
+test('contrast ratios match the WCAG reference values', () => {
+  expect(plugin.contrastRatio(BLACK, WHITE)).toBeCloseTo(21, 5);
+  expect(plugin.contrastRatio(WHITE, BLACK)).toBeCloseTo(21, 5);
+  expect(plugin.contrastRatio(GREY_777, WHITE)).toBeCloseTo(4.48, 2);
+  expect(plugin.contrastRatio(WHITE, WHITE)).toBe(1);
+});
+
+test('large text is 24px, or 18.66px when bold', () => {
+  expect(plugin.isLargeText(24, 400)).toBe(true);
+  expect(plugin.isLargeText(23.9, 400)).toBe(false);
+  expect(plugin.isLargeText(18.66, 700)).toBe(true);
+  expect(plugin.isLargeText(18.66, 600)).toBe(false);
+  expect(plugin.isLargeText(18, 700)).toBe(false);
+});
+
+test('suggested colours reach the target ratio', () => {
+  const aa = plugin.suggestForeground(GREY_777, WHITE, 4.5);
+  expect(aa).toMatch(/^#[0-9a-f]{6}$/);
+  expect(plugin.contrastRatio(fromHex(aa), WHITE)).toBeGreaterThanOrEqual(4.5);
+
+  const aaa = plugin.suggestForeground(GREY_777, BLACK, 7);
+  expect(plugin.contrastRatio(fromHex(aaa), BLACK)).toBeGreaterThanOrEqual(7);
+
+  // Mid grey on mid grey can't reach 21:1 either way
+  expect(plugin.suggestForeground(GREY_777, GREY_777, 22)).toBeNull();
+});
+
+test('findings: AA failures are errors, AA passes below AAA are info, AAA passes are silent', () => {
+  const sample = (fg, fontSize, fontWeight) => ({ nodeId: 't', nodeName: 'Caption', text: 'Caption', fg: { color: fg, alpha: 1 }, bg: WHITE, fontSize, fontWeight });
+
+  const error = plugin.contrastFinding(sample(GREY_777, 14, 400));
+  expect(error).toMatchObject({ rule: 'contrast', severity: 'error', ratio: 4.48, foreground: '#777777', background: '#ffffff', wcag: { id: '1.4.3' } });
+  expect(plugin.contrastRatio(fromHex(error.suggestion), WHITE)).toBeGreaterThanOrEqual(4.5);
+
+  expect(plugin.contrastFinding(sample(GREY_777, 24, 400))).toMatchObject({ severity: 'info', wcag: { id: '1.4.6' } });
+  expect(plugin.contrastFinding(sample(BLACK, 14, 400))).toBeNull();
+
+  // Half-transparent black text is blended over the background first
+  expect(plugin.contrastFinding({ nodeId: 't', nodeName: 'Hint', text: 'Hint', fg: { color: BLACK, alpha: 0.5 }, bg: WHITE, fontSize: 14, fontWeight: 400 }))
+    .toMatchObject({ foreground: '#808080', severity: 'error' });
+});
+
+test('fills composite bottom to top; images and gradients need pixel sampling', () => {
+  const red = { r: 1, g: 0, b: 0 };
+  expect(plugin.resolveFills({ fills: [{ type: 'SOLID', color: WHITE }, { type: 'SOLID', color: red, opacity: 0.5 }] }))
+    .toEqual({ color: { r: 1, g: 0.5, b: 0.5 }, alpha: 1, needsSample: false });
+  expect(plugin.resolveFills({ fills: [{ type: 'SOLID', color: red, visible: false }] })).toEqual({ color: null, alpha: 0, needsSample: false });
+  expect(plugin.resolveFills({ fills: [{ type: 'IMAGE' }] }).needsSample).toBe(true);
+});
+
+test('text backgrounds come from the fills beneath, or are left for sampling', () => {
+  const frame = {
+    id: 'f', type: 'FRAME', absoluteBoundingBox: box(0, 0, 400, 400), fills: [{ type: 'SOLID', color: WHITE }],
+    children: [
+      { id: 'card', type: 'RECTANGLE', absoluteBoundingBox: box(0, 0, 200, 100), fills: [{ type: 'SOLID', color: BLACK, opacity: 0.5 }] },
+      { id: 'on-card', type: 'TEXT', name: 'Title', characters: 'Title', absoluteBoundingBox: box(10, 10, 100, 20), fills: [{ type: 'SOLID', color: WHITE }], fontSize: 20, fontWeight: 700 },
+      { id: 'photo', type: 'RECTANGLE', absoluteBoundingBox: box(0, 200, 400, 200), fills: [{ type: 'IMAGE' }] },
+      { id: 'on-photo', type: 'TEXT', name: 'Credit', characters: 'Credit', absoluteBoundingBox: box(10, 300, 100, 20), fills: [{ type: 'SOLID', color: WHITE }] },
+      { id: 'empty', type: 'TEXT', name: 'Empty', characters: '  ', absoluteBoundingBox: box(10, 50, 100, 20), fills: [{ type: 'SOLID', color: BLACK }] }
+    ]
+  };
+  const samples = plugin.collectContrastSamples(frame);
+  expect(samples.map(s => s.nodeId)).toEqual(['on-card', 'on-photo']);
+  expect(samples[0]).toMatchObject({ bg: { r: 0.5, g: 0.5, b: 0.5 }, fontSize: 20, fontWeight: 700, box: { x: 10, y: 10, w: 100, h: 20 } });
+  expect(samples[1].bg).toBeNull();
+  expect(samples[1]).toMatchObject({ fontSize: 16, fontWeight: 400 });
+});
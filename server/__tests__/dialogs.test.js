@@ -0,0 +1,48 @@
+// server/__tests__/dialogs.test.js
+import request from 'supertest';
+import { buildDialogScopes } from '../helpers/dialogs.js';
+import { app } from '../server.js';
+
+const items = [
+  { id: 'filters', name: 'Filters button', role: 'button', box: { x: 10, y: 10, w: 80, h: 40 } },
+  { id: 'list', name: 'Results', role: 'link', box: { x: 10, y: 80, w: 300, h: 40 } },
+  { id: 'close', name: 'Close', role: 'button', box: { x: 330, y: 420, w: 40, h: 40 } },
+  { id: 'price', name: 'Price', role: 'slider', box: { x: 10, y: 480, w: 300, h: 40 } },
+  { id: 'apply', name: 'Apply', role: 'button', box: { x: 10, y: 560, w: 300, h: 44 } }
+];
+const order = items.map(it => ({ id: it.id, label: it.name, role: it.role }));
+const sheet = { id: 'S', name: 'Filters sheet', kind: 'sheet', box: { x: 0, y: 400, w: 375, h: 412 }, itemIds: ['close', 'price', 'apply'] };
+
+test('a sheet gets its own order, skips the close button for initial focus and returns to its trigger', () => {
+  const [scope] = buildDialogScopes(order, items, [sheet]);
+  expect(scope).toMatchObject({
+    id: 'S',
+    kind: 'sheet',
+    trap: true,
+    order: ['close', 'price', 'apply'],
+    initialFocus: 'price',
+    returnFocus: 'filters'
+  });
+});
+
+test('membership falls back to geometry and an explicit trigger wins', () => {
+  const [scope] = buildDialogScopes(order, items, [{ id: 'P', name: 'Menu', kind: 'popover', box: sheet.box, triggerId: 'list' }]);
+  expect(scope.order).toEqual(['close', 'price', 'apply']);
+  expect(scope.trap).toBe(false);
+  expect(scope.returnFocus).toBe('list');
+});
+
+test('headings take initial focus', () => {
+  const withHeading = [{ id: 'h', label: 'Filters', role: 'heading' }].concat(order);
+  const [scope] = buildDialogScopes(withHeading, items, [Object.assign({}, sheet, { itemIds: ['h', 'close', 'price'] })]);
+  expect(scope.initialFocus).toBe('h');
+});
+
+test('/annotate returns dialog scopes', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+  const res = await request(app).post('/annotate').send({
+    platform: 'rn', frameId: 'd1', frameName: 'Search', focusableItems: items, dialogs: [sheet]
+  });
+  expect(res.status).toBe(200);
+  expect(res.body.annotations[0].dialogs[0]).toMatchObject({ id: 'S', initialFocus: 'price', returnFocus: 'filters' });
+});
@@ -0,0 +1,70 @@
+// server/__tests__/direction.test.js
+import request from 'supertest';
+import { resolveFlow, detectDirection, readingComparator } from '../helpers/direction.js';
+import { heuristicOrder } from '../helpers/heuristics.js';
+import { createPromptRegistry } from '../prompts/index.js';
+import { app } from '../server.js';
+
+const ids = order => order.map(it => it.id);
+
+// One row of three buttons and a field below them
+const row = [
+  { id: 'left', name: 'إلغاء', x: 20, y: 100, w: 80, h: 40 },
+  { id: 'mid', name: 'رجوع', x: 140, y: 104, w: 80, h: 40 },
+  { id: 'right', name: 'التالي', x: 260, y: 98, w: 80, h: 40 },
+  { id: 'field', name: 'البريد الإلكتروني', role: 'textbox', x: 20, y: 200, w: 320, h: 40 }
+];
+
+beforeEach(() => {
+  process.env.LLM_PROVIDER = 'mock';
+});
+
+test('explicit direction wins over locale, locale over the frame text', () => {
+  expect(resolveFlow({ direction: 'ltr', locale: 'ar' }, row)).toMatchObject({ direction: 'ltr', source: 'request' });
+  expect(resolveFlow({ locale: 'he-IL' }, [{ name: 'Submit' }])).toMatchObject({ direction: 'rtl', source: 'locale' });
+  expect(resolveFlow({}, row)).toMatchObject({ direction: 'rtl', writingMode: 'horizontal-tb', source: 'text' });
+  expect(resolveFlow({}, [{ name: '123' }])).toMatchObject({ direction: 'ltr', source: 'default' });
+  expect(detectDirection(['שלח', 'OK'])).toBe('rtl');
+  expect(detectDirection(['Continue', 'الى'])).toBe('ltr');
+});
+
+test('comparators and the rule-based engine mirror right-to-left rows', () => {
+  const rtl = { direction: 'rtl', writingMode: 'horizontal-tb' };
+  expect(ids(row.slice().sort(readingComparator(rtl)))).toEqual(['right', 'mid', 'left', 'field']);
+  expect(ids(row.slice().sort(readingComparator()))).toEqual(['left', 'mid', 'right', 'field']);
+  expect(ids(heuristicOrder(row, { platform: 'web', flow: rtl }))).toEqual(['right', 'mid', 'left', 'field']);
+});
+
+test('vertical writing modes read column by column', () => {
+  const columns = [
+    { id: 'a1', name: 'A1', x: 300, y: 20, w: 40, h: 100 },
+    { id: 'a2', name: 'A2', x: 300, y: 140, w: 40, h: 100 },
+    { id: 'b1', name: 'B1', x: 200, y: 20, w: 40, h: 100 }
+  ];
+  const flow = { direction: 'ltr', writingMode: 'vertical-rl' };
+  expect(ids(heuristicOrder(columns, { platform: 'web', flow }))).toEqual(['a1', 'a2', 'b1']);
+  expect(ids(columns.slice().sort(readingComparator(flow)))).toEqual(['a1', 'a2', 'b1']);
+});
+
+test('prompts render the reading order placeholder, defaulting to left-to-right', () => {
+  const registry = createPromptRegistry({ dir: 'prompts/examples', fallback: { id: 'inline-v1', body: '{PLATFORM}: {READING_ORDER}' } });
+  const prompt = registry.get('inline-v1');
+  expect(registry.render(prompt, 'Web')).toBe('Web: top→bottom, left→right');
+  expect(registry.render(prompt, 'Web', { READING_ORDER: 'top→bottom, right→left' })).toBe('Web: top→bottom, right→left');
+});
+
+test('annotate detects an Arabic frame and reports its direction', async () => {
+  const res = await request(app).post('/annotate').send({ platform: 'web', frameId: 'rtl-1', focusableItems: row });
+  const annotation = res.body.annotations[0];
+  expect(annotation).toMatchObject({ direction: 'rtl', writingMode: 'horizontal-tb' });
+  expect(ids(annotation.order)).toEqual(['right', 'mid', 'left', 'field']);
+
+  const heuristic = await request(app).post('/annotate').send({ platform: 'web', mode: 'heuristic', direction: 'ltr', frameId: 'rtl-1', focusableItems: row });
+  expect(ids(heuristic.body.annotations[0].order)).toEqual(['left', 'mid', 'right', 'field']);
+});
+
+test('rejects an unknown direction', async () => {
+  const res = await request(app).post('/annotate').send({ direction: 'sideways', frameId: 'rtl-2', focusableItems: row });
+  expect(res.status).toBe(400);
+  expect(res.body.error).toMatch('Unknown direction "sideways"');
+});
@@ -0,0 +1,88 @@
+// server/__tests__/edits.test.js
+// Plugin manual focus-order edits (code.js, loaded outside Figma): the frame being edited, what a
+// saved edit keeps, and the constraints it sets for AI re-runs
+import { loadPlugin } from '../../scripts/load-plugin.js';
+
+const plugin = loadPlugin();
+
+// Nodes with in-memory plugin data, linked child → parent
+function node(id, type, parent, data) {
+  const store = Object.assign({}, data);
+  return { id, type, parent, getPluginData: key => store[key] || '' };
+}
+
+test('a saved edit keeps plugin items and falls back to ai as the source', () => {
+  expect(plugin.normalizeEditedItem({ id: '1:2', label: 'Pay now', role: 'button', source: 'manual', x: 4 }))
+    .toEqual({ id: '1:2', label: 'Pay now', role: 'button', source: 'manual' });
+  expect(plugin.normalizeEditedItem({ id: '1:3' })).toEqual({ id: '1:3', label: 'Item', role: undefined, source: 'ai' });
+  expect(plugin.normalizeEditedItem({ id: 12, label: 'Not a node id' })).toBeNull();
+  expect(plugin.normalizeEditedItem(null)).toBeNull();
+});
+
+test('legacy ui.js items still map onto plugin items', () => {
+  expect(plugin.normalizeEditedItem({ nodeId: '1:5', name: 'btn', customName: 'Continue', elementType: 'button' }))
+    .toEqual({ id: '1:5', label: 'Continue', role: 'button', source: 'ai' });
+  expect(plugin.normalizeEditedItem({ label: 'No id' })).toBeNull();
+});
+
+test('the edited frame is the nearest one with a saved order, else the outermost frame', () => {
+  const page = node('0:1', 'PAGE', null);
+  const screen = node('1:1', 'FRAME', page);
+  const card = node('1:2', 'FRAME', screen, { 'a11y-focus-order': JSON.stringify({ items: [] }) });
+  const row = node('1:3', 'FRAME', card);
+  const label = node('1:4', 'TEXT', row);
+  expect(plugin.owningFrame(label)).toBe(card);
+  expect(plugin.owningFrame(node('1:5', 'TEXT', node('1:6', 'FRAME', screen)))).toBe(screen);
+  expect(plugin.owningFrame(page)).toBeNull();
+});
+
+test('a released pin survives the edit', () => {
+  expect(plugin.normalizeEditedItem({ id: '1:2', label: 'Pay', role: 'button', source: 'manual', pinned: false }).pinned).toBe(false);
+  expect(plugin.normalizeEditedItem({ id: '1:2', label: 'Pay', role: 'button', source: 'manual', pinned: true })).not.toHaveProperty('pinned');
+});
+
+test('constraints pin edited items until released and lock only the groups the designer linked', () => {
+  const saved = {
+    items: [
+      { id: 'a', label: 'Pay now', role: 'button', source: 'manual' },
+      { id: 'b', label: 'Back', role: 'link', source: 'manual', pinned: false },
+      { id: 'c', label: 'Email', role: 'textbox', source: 'manual' },
+      { id: 'd', label: 'Terms', role: 'link', source: 'ai' }
+    ],
+    locked: [['d', 'c', 'gone'], ['c', 'a'], ['b']],
+    removed: ['x']
+  };
+  expect(plugin.deriveConstraints(saved)).toEqual({
+    pins: [
+      { id: 'a', index: 0, label: 'Pay now', role: 'button' },
+      { id: 'c', index: 2, label: 'Email', role: 'textbox' }
+    ],
+    // adjacent manual items a..c are not locked on their own; unknown ids, repeats and
+    // singletons are dropped and each group follows the current order
+    locked: [['c', 'd']],
+    exclude: ['x']
+  });
+});
+
+test('constraints with nothing pinned, locked or removed are omitted', () => {
+  const items = [{ id: 'a', label: 'Pay', role: 'button', source: 'manual', pinned: false }, { id: 'b', label: 'Back', role: 'link', source: 'ai' }];
+  expect(plugin.deriveConstraints({ items })).toBeUndefined();
+  expect(plugin.deriveConstraints({ items, locked: [['a', 'b']] })).toEqual({ pins: [], locked: [['a', 'b']], exclude: [] });
+});
+
+test('a saved edit keeps the tagged hint and a heading level', () => {
+  const saved = plugin.normalizeEditedItem({ id: '1:2', label: 'Delete', role: 'button', hint: 'Removes the card', source: 'ai' });
+  expect(saved).toEqual({ id: '1:2', label: 'Delete', role: 'button', source: 'ai', hint: 'Removes the card' });
+
+  expect(plugin.normalizeEditedItem({ id: '1:3', label: 'Billing', role: 'heading', level: 2, source: 'manual' }).level).toBe(2);
+  expect(plugin.normalizeEditedItem({ id: '1:3', label: 'Billing', role: 'heading', level: 9 })).not.toHaveProperty('level');
+  expect(plugin.normalizeEditedItem({ id: '1:4', label: 'Next', role: 'button', level: 2 })).not.toHaveProperty('level');
+});
+
+test('a saved edit keeps the control state, known boolean flags only', () => {
+  const raw = { id: '1:6', label: 'Wi-Fi', role: 'switch', state: { checked: true, disabled: false, hover: true, expanded: 'yes' }, source: 'manual' };
+  expect(plugin.normalizeEditedItem(raw)).toEqual({ id: '1:6', label: 'Wi-Fi', role: 'switch', source: 'manual', state: { checked: true, disabled: false } });
+
+  expect(plugin.normalizeEditedItem({ id: '1:7', label: 'Menu', state: { hover: true } })).not.toHaveProperty('state');
+  expect(plugin.normalizeEditedItem({ id: '1:7', label: 'Menu', state: [true] })).not.toHaveProperty('state');
+});
@@ -0,0 +1,37 @@
+// server/__tests__/eval.test.js
+import { kendallTau, scoreFrame, aggregate } from '../eval/metrics.js';
+import { runEval, toMarkdown } from '../eval/run.js';
+
+test('Kendall tau compares relative order of shared items', () => {
+  expect(kendallTau(['a', 'b', 'c'], ['a', 'b', 'c'])).toBe(1);
+  expect(kendallTau(['a', 'b', 'c'], ['c', 'b', 'a'])).toBe(-1);
+  expect(kendallTau(['a', 'b', 'c', 'd'], ['b', 'a', 'c', 'd'])).toBeCloseTo(4 / 6);
+  expect(kendallTau(['a', 'b'], ['a', 'x'])).toBeNull();
+});
+
+test('frame scores report missing and extra ids and role accuracy', () => {
+  const expected = [{ id: 'a', role: 'button' }, { id: 'b', role: 'link' }, { id: 'c', role: 'tab' }];
+  const actual = [{ id: 'b', role: 'button' }, { id: 'a', role: 'button' }, { id: 'z', role: 'button' }];
+  const score = scoreFrame(expected, actual);
+  expect(score).toMatchObject({ kendallTau: -1, exact: false, missing: ['c'], extra: ['z'], roleAccuracy: 0.5 });
+
+  const summary = aggregate([score, scoreFrame(expected, expected), { error: 'boom' }]);
+  expect(summary).toMatchObject({ frames: 3, failed: 1, kendallTau: 0, exactMatchRate: 0.5, missing: 1, extra: 1, roleAccuracy: 0.75 });
+});
+
+test('replays golden frames with recorded responses and compares configs', async () => {
+  const report = await runEval({ golden: ['eval/golden'], providers: ['replay', 'mock'], prompts: ['text-v1'] });
+  expect(report.golden).toBe(2);
+  const [replay, mock] = report.configs;
+  expect(replay).toMatchObject({ provider: 'replay', promptVersion: 'text-v1' });
+
+  // Recorded text-v1 response misses the exercise cards (QA parking lot P1)
+  const cards = replay.frames.find(f => f.frameId === 'eval-workout-cards');
+  expect(cards.kendallTau).toBeLessThan(1);
+  expect(cards.fallback).toBe(false);
+  expect(mock.summary.exactMatchRate).toBe(1);
+
+  const md = toMarkdown(report);
+  expect(md).toContain('| replay · replay · text-v1 |');
+  expect(md).toContain('## Per frame (Kendall τ)');
+});
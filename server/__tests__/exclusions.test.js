@@ -0,0 +1,49 @@
+// server/__tests__/exclusions.test.js
+import request from 'supertest';
+import { cleanExcluded, withoutExcluded } from '../helpers/exclusions.js';
+import { app } from '../server.js';
+
+const items = [
+  { id: 'a', name: 'Continue button', x: 20, y: 300, w: 200, h: 40 },
+  { id: 'b', name: 'Submit button', x: 20, y: 400, w: 200, h: 40 }
+];
+
+beforeEach(() => {
+  process.env.LLM_PROVIDER = 'mock';
+});
+
+test('keeps one entry per id and maps unknown reasons to other', () => {
+  expect(cleanExcluded([
+    { id: 'x', name: 'Header', reason: 'static-text' },
+    { id: 'x', name: 'Header again', reason: 'disabled' },
+    { id: 'y', reason: 'because' },
+    { name: 'no id', reason: 'disabled' },
+    null
+  ])).toEqual([
+    { id: 'x', name: 'Header', reason: 'static-text' },
+    { id: 'y', name: '', reason: 'other' }
+  ]);
+  expect(cleanExcluded('nope')).toEqual([]);
+  expect(withoutExcluded(items, [{ id: 'b' }]).map(it => it.id)).toEqual(['a']);
+});
+
+test('annotate reports excluded nodes and never orders them', async () => {
+  const res = await request(app).post('/annotate').send({
+    platform: 'web',
+    frameId: 'excl-1',
+    focusableItems: items,
+    excluded: [
+      { id: 'b', name: 'Submit button', reason: 'disabled' },
+      { id: 'h', name: 'Header', reason: 'static-text' }
+    ]
+  });
+  const annotation = res.body.annotations[0];
+  expect(annotation.order.map(it => it.id)).toEqual(['a']);
+  expect(annotation.excluded).toEqual([
+    { id: 'b', name: 'Submit button', reason: 'disabled' },
+    { id: 'h', name: 'Header', reason: 'static-text' }
+  ]);
+
+  const none = await request(app).post('/annotate').send({ platform: 'web', frameId: 'excl-2', focusableItems: items });
+  expect(none.body.annotations[0].excluded).toEqual([]);
+});
@@ -0,0 +1,80 @@
+// server/__tests__/exports.test.js
+// Plugin handoff exports (code.js, loaded outside Figma): cell escaping in Markdown, CSV, HTML
+import { loadPlugin } from '../../scripts/load-plugin.js';
+
+const plugin = loadPlugin();
+
+const TRICKY = 'Save "draft" | now\n';
+
+const doc = {
+  format: 'a11y-annotator.focus-order',
+  version: '1.0',
+  generatedAt: '2026-01-01T00:00:00.000Z',
+  file: 'Checkout <beta>',
+  flows: [],
+  frames: [{
+    frameId: '1:1',
+    frameName: 'Cart | mobile',
+    platform: 'web',
+    size: { w: 375, h: 812 },
+    items: [
+      { order: 1, id: '1:2', label: TRICKY, role: 'button', state: null, region: 'main', source: 'manual', bounds: { x: 10, y: 20, w: 100, h: 44 } },
+      { order: 2, id: '1:3', label: 'Total, incl. tax', role: 'text', state: null, region: null, source: 'ai', bounds: null },
+      { order: 3, id: '1:4', label: 'Line one\r\nline two', role: 'link', state: null, region: null, source: 'ai', bounds: null }
+    ],
+    regions: [],
+    dialogs: [],
+    excluded: [{ id: '1:9', name: 'Promo | banner', reason: 'decorative' }]
+  }]
+};
+
+// RFC 4180 reader, to check the CSV round-trips
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n') { row.push(cell); rows.push(row); row = []; cell = ''; }
+    else cell += ch;
+  }
+  return rows;
+}
+
+test('Markdown escapes pipes and folds line breaks so each item stays one table row', () => {
+  const md = plugin.toMarkdown(doc);
+  expect(md).toContain('# Focus Order: Cart | mobile');
+  expect(md).toContain('| 1 | Save "draft" \\| now  | button |');
+  expect(md).toContain('| 3 | Line one line two | link |');
+  expect(md).toContain('- Promo \\| banner (`1:9`): decorative');
+
+  const rows = md.split('\n').filter(line => line.startsWith('| ') && !line.startsWith('| Order'));
+  expect(rows).toHaveLength(3);
+  rows.forEach(line => expect(line.split(/(?<!\\)\|/)).toHaveLength(9));
+});
+
+test('CSV quotes cells with quotes, commas and line breaks and round-trips them', () => {
+  const rows = parseCSV(plugin.toCSV(doc));
+  expect(rows).toHaveLength(4);
+  expect(rows.every(r => r.length === rows[0].length)).toBe(true);
+  expect(rows[1].slice(0, 7)).toEqual(['1:1', 'Cart | mobile', 'web', '1', '1:2', TRICKY, 'button']);
+  expect(rows[1].slice(10)).toEqual(['10', '20', '100', '44']);
+  expect(rows[2][5]).toBe('Total, incl. tax');
+  expect(rows[3][5]).toBe('Line one\r\nline two');
+  expect(plugin.toCSV(doc)).toContain('"Save ""draft"" | now\n"');
+});
+
+test('HTML escapes labels in cells and chip titles', () => {
+  const html = plugin.toHTML(doc, ['data:image/png;base64,AAAA']);
+  expect(html).toContain('<td>Save &quot;draft&quot; | now\n</td>');
+  expect(html).toContain('title="Save &quot;draft&quot; | now\n"');
+  expect(html).toContain('Checkout &lt;beta&gt;');
+  expect(html).not.toContain('"draft"');
+});
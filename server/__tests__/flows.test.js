@@ -0,0 +1,49 @@
+// server/__tests__/flows.test.js
+// Plugin cross-frame flows (code.js, loaded outside Figma): where focus lands after a transition
+import { loadPlugin } from '../../scripts/load-plugin.js';
+
+const plugin = loadPlugin();
+
+// Frame with a saved a11y-focus-order
+function savedFrame(id, saved) {
+  return { id, name: 'Filters', type: 'FRAME', getPluginData: key => (key === 'a11y-focus-order' ? JSON.stringify(saved) : '') };
+}
+
+const items = [
+  { id: 'close', label: 'Close', role: 'button' },
+  { id: 'title', label: 'Filters', role: 'heading' },
+  { id: 'price', label: 'Price', role: 'slider' },
+  { id: 'apply', label: 'Apply', role: 'button' }
+];
+
+test('overlays land on the saved dialog scope\'s initial focus', () => {
+  const dest = savedFrame('9:1', {
+    items,
+    dialogs: [
+      { id: '9:7', name: 'Tooltip', kind: 'popover', order: ['apply'], initialFocus: 'apply' },
+      { id: '9:1', name: 'Filters', kind: 'sheet', order: ['close', 'title', 'price', 'apply'], initialFocus: 'title' }
+    ]
+  });
+  const landing = plugin.focusLanding(dest, 'OVERLAY', 'web');
+  expect(landing.rule).toBe('dialog-initial-focus');
+  expect(landing.item.id).toBe('title');
+
+  const other = savedFrame('9:2', { items, dialogs: [{ id: '9:8', name: 'Sheet', kind: 'sheet', initialFocus: 'price' }] });
+  expect(plugin.focusLanding(other, 'OVERLAY', 'web').item.id).toBe('price');
+});
+
+test('overlays without a usable initial focus fall back to the first control that isn\'t a close button', () => {
+  const noDialogs = plugin.focusLanding(savedFrame('9:1', { items }), 'OVERLAY', 'web');
+  expect(noDialogs.rule).toBe('overlay-initial-focus');
+  expect(noDialogs.item.id).toBe('title');
+
+  // Initial focus on an item no longer in the order
+  const stale = plugin.focusLanding(savedFrame('9:1', { items, dialogs: [{ id: '9:1', initialFocus: 'gone' }] }), 'OVERLAY', 'web');
+  expect(stale.rule).toBe('overlay-initial-focus');
+});
+
+test('screens land on their heading, else the first stop', () => {
+  const dest = savedFrame('9:1', { items, dialogs: [{ id: '9:1', initialFocus: 'apply' }] });
+  expect(plugin.focusLanding(dest, 'NAVIGATE', 'web')).toMatchObject({ rule: 'screen-heading', item: { id: 'title' } });
+  expect(plugin.focusLanding(savedFrame('9:3', { items: items.slice(2) }), 'NAVIGATE', 'web')).toMatchObject({ rule: 'first-in-order', item: { id: 'price' } });
+});
@@ -0,0 +1,65 @@
+// server/__tests__/headings.test.js
+import request from 'supertest';
+import { analyzeHeadings } from '../helpers/headings.js';
+import { app } from '../server.js';
+
+let layer = 0;
+const text = (id, t, fontSize, y, extra) => Object.assign(
+  { id, name: t, text: t, fontSize, fontWeight: 400, box: { x: 16, y, w: 300, h: fontSize * 1.2 }, layerIndex: layer++ },
+  extra
+);
+
+const body = [
+  text('p1', 'Track your workouts and see progress over the weeks.', 16, 120),
+  text('p2', 'Every session is saved automatically to your history.', 16, 320)
+];
+
+test('levels follow the type scale, largest first', () => {
+  const { outline, issues } = analyzeHeadings([
+    text('t', 'Workouts', 32, 20),
+    ...body,
+    text('s1', 'This week', 24, 200),
+    text('s2', 'History', 24, 280),
+    text('btn', 'Start workout', 24, 400, { inControl: true })
+  ]);
+  expect(outline.map(h => [h.id, h.level])).toEqual([['t', 1], ['s1', 2], ['s2', 2]]);
+  expect(issues).toEqual([]);
+});
+
+test('explicit tags and h-names override the scale', () => {
+  const { outline } = analyzeHeadings([
+    text('t', 'Workouts', 32, 20, { level: 2 }),
+    text('n', 'h1 Title', 14, 60, { name: 'H1 / Title' }),
+    ...body
+  ]);
+  expect(outline.map(h => [h.id, h.level, h.source])).toEqual([['t', 2, 'tag'], ['n', 1, 'name']]);
+});
+
+test('flags multiple h1, skipped levels and layer order that contradicts the visual order', () => {
+  layer = 0;
+  const nodes = [
+    text('a', 'Settings', 32, 20),
+    text('c', 'Privacy', 20, 300),
+    text('b', 'Account', 32, 100),
+    ...body,
+    text('d', 'Danger zone', 24, 500, { level: 4 })
+  ];
+  const rules = analyzeHeadings(nodes).issues.map(i => [i.rule, i.nodeId]);
+  expect(rules).toEqual(expect.arrayContaining([
+    ['multiple-h1', 'b'],
+    ['heading-order', 'c'],
+    ['skipped-level', 'd']
+  ]));
+});
+
+test('POST /headings analyzes each frame', async () => {
+  const res = await request(app).post('/headings').send({
+    platform: 'web',
+    frames: [{ frameId: 'f1', frameName: 'Plans', textNodes: [text('x', 'Plans', 28, 10), ...body] }]
+  });
+  expect(res.status).toBe(200);
+  expect(res.body.results[0]).toMatchObject({ frameId: 'f1', outline: [{ id: 'x', level: 1 }] });
+
+  const bad = await request(app).post('/headings').send({});
+  expect(bad.status).toBe(400);
+});
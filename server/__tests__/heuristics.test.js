@@ -0,0 +1,136 @@
+// server/__tests__/heuristics.test.js
+import request from 'supertest';
+import { heuristicOrder } from '../helpers/heuristics.js';
+import { loadRecordings, clearRecordings } from '../providers/replay.js';
+import { app } from '../server.js';
+
+const ids = order => order.map(it => it.id);
+
+beforeEach(() => {
+  process.env.LLM_PROVIDER = 'mock';
+});
+
+afterEach(() => clearRecordings());
+
+test('reads rows beyond a few pixels of drift, and a card before the buttons on it', () => {
+  const order = heuristicOrder([
+    { id: 'more', name: 'More', box: { x: 300, y: 130, w: 40, h: 24 } },
+    { id: 'card', name: 'Workout card', box: { x: 16, y: 120, w: 340, h: 96 } },
+    { id: 'right', name: 'Next', box: { x: 200, y: 420, w: 80, h: 40 } },
+    { id: 'left', name: 'Back', box: { x: 20, y: 432, w: 80, h: 40 } }
+  ], { platform: 'web', frameBox: { x: 0, y: 0, w: 375, h: 800 } });
+
+  expect(ids(order)).toEqual(['card', 'more', 'left', 'right']);
+  expect(order[0]).toEqual({ id: 'card', label: 'Workout card', role: 'button' });
+});
+
+test('puts web skip links first and reads landmarks as regions', () => {
+  const order = heuristicOrder([
+    { id: 'logo', name: 'Logo link', box: { x: 20, y: 10, w: 80, h: 30 } },
+    { id: 'skip', name: 'Skip to content', box: { x: 600, y: 12, w: 120, h: 24 } },
+    { id: 'side', name: 'Filters', box: { x: 20, y: 200, w: 160, h: 40 } },
+    { id: 'main', name: 'Email input', box: { x: 300, y: 180, w: 300, h: 40 } }
+  ], {
+    platform: 'web',
+    frameBox: { x: 0, y: 0, w: 1024, h: 800 },
+    landmarks: [
+      { id: 'nav', name: 'Sidebar nav', box: { x: 0, y: 150, w: 200, h: 600 } },
+      { id: 'content', name: 'Main', box: { x: 220, y: 150, w: 800, h: 600 } }
+    ]
+  });
+
+  expect(ids(order)).toEqual(['skip', 'logo', 'side', 'main']);
+  expect(order[3].role).toBe('textbox');
+});
+
+test('moves a React Native tab bar last in a tall scrolling frame', () => {
+  const order = heuristicOrder([
+    { id: 'title', name: 'Header', box: { x: 16, y: 20, w: 200, h: 30 } },
+    { id: 'tab1', name: 'Home', type: 'INSTANCE', box: { x: 0, y: 760, w: 94, h: 50 }, inference: { rnRole: 'tab' } },
+    { id: 'tab2', name: 'Stats', type: 'INSTANCE', box: { x: 94, y: 760, w: 94, h: 50 }, inference: { rnRole: 'tab' } },
+    { id: 'cta', name: 'Start workout', box: { x: 16, y: 1300, w: 340, h: 48 } }
+  ], { platform: 'rn', frameBox: { x: 0, y: 0, w: 375, h: 1400 } });
+
+  expect(ids(order)).toEqual(['title', 'cta', 'tab1', 'tab2']);
+});
+
+test('heuristic mode needs no provider or key', async () => {
+  delete process.env.ANTHROPIC_API_KEY;
+  const res = await request(app).post('/annotate').send({
+    platform: 'web',
+    mode: 'heuristic',
+    provider: 'anthropic',
+    frameId: 'heur-1',
+    frameName: 'Login',
+    focusableItems: [
+      { id: 'b', name: 'Submit', role: 'button', x: 20, y: 300, w: 100, h: 40 },
+      { id: 'a', name: 'Email', role: 'textbox', x: 20, y: 100, w: 200, h: 40 }
+    ]
+  });
+
+  expect(res.status).toBe(200);
+  const annotation = res.body.annotations[0];
+  expect(ids(annotation.order)).toEqual(['a', 'b']);
+  expect(annotation).toMatchObject({ notes: 'heuristic', provider: 'heuristic', model: null, promptVersion: null });
+});
+
+test('rejects an unknown mode', async () => {
+  const res = await request(app).post('/annotate').send({
+    mode: 'magic',
+    frameId: 'heur-2',
+    focusableItems: [{ id: 'a', name: 'A' }]
+  });
+  expect(res.status).toBe(400);
+  expect(res.body.error).toMatch('Unknown mode "magic"');
+});
+
+test('falls back to the rule-based order when the model fails', async () => {
+  loadRecordings({ 'some-other-frame': { '*': '{}' } });
+  const res = await request(app).post('/annotate').send({
+    platform: 'web',
+    provider: 'replay',
+    frameId: 'heur-3',
+    focusableItems: [
+      { id: 'b', name: 'Submit', x: 20, y: 300, w: 100, h: 40 },
+      { id: 'a', name: 'Forgot password link', x: 20, y: 100, w: 200, h: 20 }
+    ]
+  });
+
+  const annotation = res.body.annotations[0];
+  expect(annotation.notes).toBe('heuristic-fallback');
+  expect(annotation.provider).toBe('replay');
+  expect(annotation.fallback).toBe(true);
+  expect(annotation.order).toEqual([
+    { id: 'a', label: 'Forgot password', role: 'link' },
+    { id: 'b', label: 'Submit', role: 'button' }
+  ]);
+});
+
+test('ai mode without any API key falls back to the rule-based order', async () => {
+  const keys = ['OPENAI_API_KEY', 'AZURE_OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'LOCAL_LLM_BASE_URL'];
+  const saved = keys.map(k => process.env[k]);
+  keys.forEach(k => delete process.env[k]);
+  process.env.LLM_PROVIDER = 'openai';
+  try {
+    const res = await request(app).post('/annotate').send({
+      platform: 'web',
+      frameId: 'heur-4',
+      focusableItems: [
+        { id: 'b', name: 'Submit', x: 20, y: 300, w: 100, h: 40 },
+        { id: 'a', name: 'Email input', x: 20, y: 100, w: 200, h: 40 }
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    const annotation = res.body.annotations[0];
+    expect(ids(annotation.order)).toEqual(['a', 'b']);
+    expect(annotation).toMatchObject({ notes: 'heuristic-fallback', fallback: true, provider: null, model: null, promptVersion: null });
+
+    // A provider the request names must still be configured
+    const named = await request(app).post('/annotate').send({ provider: 'anthropic', frameId: 'heur-4', focusableItems: [{ id: 'a', name: 'A' }] });
+    expect(named.status).toBe(400);
+    expect(named.body.error).toBe('Provider "anthropic" is not configured');
+  } finally {
+    keys.forEach((k, i) => { if (saved[i] === undefined) delete process.env[k]; else process.env[k] = saved[i]; });
+  }
+});
@@ -0,0 +1,93 @@
+// server/__tests__/history.test.js
+// Plugin version history (code.js, loaded outside Figma): append-only versions and diffs
+import { loadPlugin } from '../../scripts/load-plugin.js';
+
+const plugin = loadPlugin();
+
+// Frame with in-memory plugin data
+function frame(data) {
+  const store = Object.assign({}, data);
+  return {
+    id: '1:1',
+    name: 'Checkout',
+    store,
+    getPluginData: key => store[key] || '',
+    setPluginData: (key, value) => { store[key] = value; },
+    getPluginDataKeys: () => Object.keys(store)
+  };
+}
+
+const item = (id, label, role) => ({ id, label, role: role || 'button' });
+const version = (n, items) => ({ version: n, items });
+const statuses = diff => Object.fromEntries(diff.items.map(it => [it.id, it.status]));
+
+test('every save appends a version; quick manual edits by the same person are all kept', () => {
+  const f = frame();
+  const orders = [[item('a', 'Pay')], [item('a', 'Pay now')], [item('a', 'Pay now')], [item('b', 'Back'), item('a', 'Pay now')]];
+  orders.forEach(items => plugin.recordVersion(f, { items }, { source: 'manual' }));
+
+  const history = plugin.historyFor(f);
+  expect(history.map(v => v.version)).toEqual([1, 2, 3, 4]);
+  expect(history.map(v => v.items.length)).toEqual([1, 1, 1, 2]);
+  expect(history[0]).toMatchObject({ source: 'manual', author: { id: 'u1', name: 'Test User' } });
+  expect(Object.keys(f.store).sort()).toEqual(['a11y-focus-history:1', 'a11y-focus-history:2', 'a11y-focus-history:3', 'a11y-focus-history:4']);
+});
+
+test('versions are never rewritten, even past a hundred', () => {
+  const f = frame();
+  for (let i = 0; i < 120; i++) plugin.recordVersion(f, { items: [item('a', 'Pay ' + i)] }, { source: 'ai', model: 'm' });
+  const first = f.store['a11y-focus-history:1'];
+  plugin.recordVersion(f, { items: [item('a', 'Pay')] }, { source: 'manual' });
+
+  const history = plugin.historyFor(f);
+  expect(history).toHaveLength(121);
+  expect(history[0].items[0].label).toBe('Pay 0');
+  expect(f.store['a11y-focus-history:1']).toBe(first);
+});
+
+test('an order saved before history existed becomes version 1 on the first save', () => {
+  const saved = { at: '2025-01-01T00:00:00.000Z', model: 'gpt-4o', checksum: 'c0', items: [item('a', 'Pay'), item('b', 'Back')] };
+  const f = frame({ 'a11y-focus-order': JSON.stringify(saved) });
+  expect(plugin.historyFor(f).map(v => v.version)).toEqual([1]);
+
+  plugin.recordVersion(f, { items: [item('b', 'Back')] }, { source: 'manual' }, saved);
+  const history = plugin.historyFor(f);
+  expect(history.map(v => v.version)).toEqual([1, 2]);
+  expect(history[0]).toMatchObject({ source: 'ai', model: 'gpt-4o', at: '2025-01-01T00:00:00.000Z', checksum: 'c0' });
+  expect(history[0].items.map(it => it.id)).toEqual(['a', 'b']);
+});
+
+test('histories stored as one array by earlier versions are read and continued', () => {
+  const legacy = [version(1, [item('a', 'Pay')]), version(3, [item('a', 'Pay now')])];
+  const f = frame({ 'a11y-focus-history': JSON.stringify(legacy) });
+  plugin.recordVersion(f, { items: [item('a', 'Pay')] }, { source: 'ai' }, { items: [item('a', 'Pay now')] });
+  expect(plugin.historyFor(f).map(v => v.version)).toEqual([1, 3, 4]);
+  expect(f.store['a11y-focus-history']).toBe(JSON.stringify(legacy));
+});
+
+test('diff: added, removed, moved and relabelled items', () => {
+  const from = version(1, [item('a', 'Email', 'textbox'), item('b', 'Password', 'textbox'), item('c', 'Sign in'), item('d', 'Help', 'link')]);
+  const to = version(2, [item('c', 'Sign in'), item('a', 'Email address', 'textbox'), item('b', 'Password', 'textbox'), item('e', 'Sign up', 'link')]);
+  const diff = plugin.diffVersions(from, to);
+
+  expect(diff).toMatchObject({ from: 1, to: 2 });
+  expect(statuses(diff)).toEqual({ c: 'moved', a: 'relabelled', b: 'unchanged', e: 'added' });
+  expect(diff.items.find(it => it.id === 'a').previous).toEqual({ label: 'Email', role: 'textbox' });
+  expect(diff.items.find(it => it.id === 'c')).toMatchObject({ index: 0, fromIndex: 2 });
+  expect(diff.removed).toEqual([{ id: 'd', label: 'Help', role: 'link', fromIndex: 3 }]);
+  expect(diff.counts).toEqual({ added: 1, removed: 1, moved: 1, relabelled: 1, unchanged: 1 });
+});
+
+test('diff: items shifted only by additions or removals are not moved; a role change is a relabel', () => {
+  const from = version(1, [item('a', 'One'), item('b', 'Two'), item('c', 'Three')]);
+  const shifted = plugin.diffVersions(from, version(2, [item('x', 'New'), item('a', 'One'), item('c', 'Three')]));
+  expect(statuses(shifted)).toEqual({ x: 'added', a: 'unchanged', c: 'unchanged' });
+  expect(shifted.counts.moved).toBe(0);
+
+  const both = plugin.diffVersions(from, version(2, [item('c', 'Three', 'link'), item('a', 'One'), item('b', 'Two')]));
+  expect(statuses(both)).toEqual({ c: 'moved', a: 'unchanged', b: 'unchanged' });
+  expect(both.items[0].previous).toEqual({ label: 'Three', role: 'button' });
+  expect(both.counts).toMatchObject({ moved: 1, relabelled: 1 });
+
+  expect(plugin.diffVersions(from, version(2, from.items)).counts).toEqual({ added: 0, removed: 0, moved: 0, relabelled: 0, unchanged: 3 });
+});
@@ -0,0 +1,87 @@
+// server/__tests__/lint.test.js
+// Plugin lint rules over toDTO nodes (code.js, loaded outside Figma)
+import { loadPlugin } from '../../scripts/load-plugin.js';
+
+const plugin = loadPlugin();
+
+// toDTO-shaped node: absolute box, focusable by default
+function node(id, name, box, extra) {
+  return Object.assign({ id, name, type: 'FRAME', focusable: true, abs: box }, extra);
+}
+
+const rules = findings => findings.map(f => f.rule);
+
+test('target size: error below 24×24, warning below 44×44, platform guidance on React Native', () => {
+  const tiny = plugin.lintTargetSize(node('t', 'Close', { x: 0, y: 0, w: 20, h: 40 }), 'web');
+  expect(tiny).toMatchObject({ rule: 'target-size', severity: 'error', nodeId: 't', wcag: { id: '2.5.8' } });
+
+  const small = plugin.lintTargetSize(node('s', 'Close', { x: 0, y: 0, w: 32, h: 32 }), 'rn');
+  expect(small).toMatchObject({ severity: 'warning', wcag: { id: '2.5.5' } });
+  expect(small.message).toMatch('iOS 44pt / Android 48dp');
+  expect(plugin.lintTargetSize(node('s', 'Close', { x: 0, y: 0, w: 32, h: 32 }), 'web').message).not.toMatch('Android');
+
+  expect(plugin.lintTargetSize(node('ok', 'Close', { x: 0, y: 0, w: 44, h: 48 }), 'web')).toBeNull();
+  expect(plugin.lintTargetSize({ id: 'n', name: 'No box' }, 'web')).toBeNull();
+});
+
+test('names: generic layer without text is unnamed, icon-only buttons need a label', () => {
+  expect(plugin.lintName(node('g', 'Frame 12', null), 'web')).toMatchObject({ rule: 'missing-name', severity: 'error', wcag: { id: '4.1.2' } });
+  expect(plugin.lintName(node('g', 'Frame 12', null, { children: [{ id: 't', name: 'Label', text: 'Save' }] }), 'web')).toBeNull();
+
+  const icon = plugin.lintName(node('i', 'Settings', null, { role: 'button' }), 'rn');
+  expect(icon).toMatchObject({ rule: 'icon-only-button', severity: 'warning' });
+  expect(icon.message).toMatch('accessibilityLabel');
+  expect(plugin.lintName(node('i', 'Settings', null, { role: 'button', inference: { text: 'Settings' } }), 'web')).toBeNull();
+
+  expect(plugin.lintGenericName(node('g', 'Group 3', null))).toMatchObject({ rule: 'generic-layer-name', severity: 'info' });
+  expect(plugin.lintGenericName(node('g', 'Checkout button', null))).toBeNull();
+});
+
+test('duplicate labels: same name and role after the first', () => {
+  const items = [
+    node('a', 'Edit', null, { role: 'button' }),
+    node('b', 'edit', null, { role: 'button' }),
+    node('c', 'Edit', null, { role: 'link' }),
+    node('d', 'Frame 2', null, { role: 'button' })
+  ];
+  const findings = plugin.lintDuplicateLabels(items);
+  expect(findings).toHaveLength(1);
+  expect(findings[0]).toMatchObject({ rule: 'duplicate-label', nodeId: 'b', wcag: { id: '2.4.6' } });
+  expect(plugin.lintDuplicateLabels(items.slice(2))).toEqual([]);
+});
+
+test('obscured: a later filled node over half the item, but not its own children', () => {
+  const button = node('btn', 'Pay', { x: 0, y: 100, w: 100, h: 40 }, {
+    z: 0,
+    children: [{ id: 'bg', name: 'Background', abs: { x: 0, y: 100, w: 100, h: 40 }, hasFill: true }]
+  });
+  const banner = { id: 'banner', name: 'Cookie banner', z: 1, hasFill: true, abs: { x: 0, y: 90, w: 400, h: 40 } };
+  const outline = { id: 'outline', name: 'Outline', z: 1, abs: { x: 0, y: 90, w: 400, h: 40 } };
+  const sliver = { id: 'sliver', name: 'Divider', z: 1, hasFill: true, abs: { x: 0, y: 135, w: 400, h: 10 } };
+
+  const covered = plugin.flattenForLint({ id: 'f', name: 'Frame', children: [button, banner] });
+  expect(plugin.lintObscured(covered, 1)).toMatchObject({ rule: 'focus-obscured', severity: 'error', nodeId: 'btn', wcag: { id: '2.4.11' } });
+  expect(plugin.lintObscured(covered, 1).message).toMatch('Cookie banner');
+
+  [[button], [button, outline], [button, sliver]].forEach(children => {
+    const flat = plugin.flattenForLint({ id: 'f', name: 'Frame', children });
+    expect(plugin.lintObscured(flat, 1)).toBeNull();
+  });
+
+  // Painted underneath (lower z) doesn't cover it
+  const under = plugin.flattenForLint({ id: 'f', name: 'Frame', children: [Object.assign({}, banner, { z: 0 }), Object.assign({}, button, { z: 1 })] });
+  expect(plugin.lintObscured(under, 2)).toBeNull();
+});
+
+test('lintFrame checks focusables only and puts errors first', () => {
+  const dto = {
+    id: 'f', name: 'Checkout', children: [
+      node('a', 'Rectangle 4', { x: 0, y: 0, w: 16, h: 16 }),
+      node('b', 'Continue', { x: 0, y: 40, w: 200, h: 48 }, { inference: { text: 'Continue' } }),
+      { id: 'c', name: 'Group 9', abs: { x: 0, y: 100, w: 10, h: 10 } }
+    ]
+  };
+  const findings = plugin.lintFrame(dto, 'web');
+  expect(rules(findings)).toEqual(['target-size', 'missing-name', 'generic-layer-name']);
+  expect(findings.every(f => f.nodeId === 'a')).toBe(true);
+});
@@ -0,0 +1,116 @@
+// server/__tests__/prompts.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createPromptRegistry, validatePrompt, pickWeighted } from '../prompts/index.js';
+import { app } from '../server.js';
+
+const items = [
+  { id: 'a', name: 'Email', role: 'textbox', x: 20, y: 100 },
+  { id: 'b', name: 'Submit', role: 'button', x: 20, y: 300 }
+];
+
+function promptFile(body) {
+  return `# Test prompt\n\n---\n\n## System Prompt\n\n${body}\n\n---\n`;
+}
+
+const dirs = [];
+
+function tempPrompts(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  dirs.push(dir);
+  Object.entries(files).forEach(([name, body]) => fs.writeFileSync(path.join(dir, name), promptFile(body)));
+  return dir;
+}
+
+beforeEach(() => {
+  process.env.LLM_PROVIDER = 'mock';
+});
+
+afterAll(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('loads every versioned prompt and rejects invalid placeholders', () => {
+  expect(validatePrompt('Order items for {PLATFORM}.')).toEqual([]);
+  expect(validatePrompt('Order items for {PLATFORM} on {DEVICE}.')).toEqual(['unknown placeholder {DEVICE}']);
+
+  const dir = tempPrompts({
+    'text-v1.md': 'v1 for {PLATFORM}',
+    'text-v2.md': 'v2 for {PLATFORM}, {PLATFORM} only',
+    'text-v2-concise.md': 'short {PLATFORM}',
+    'vision-v1.md': 'no placeholder here',
+    'notes.md': 'ignored'
+  });
+  const registry = createPromptRegistry({ dir, experiments: {} });
+  expect(registry.list().map(p => p.id).sort()).toEqual(['text-v1', 'text-v2', 'text-v2-concise']);
+  expect(registry.errors).toEqual([{ file: 'vision-v1.md', error: 'missing {PLATFORM} placeholder' }]);
+
+  // Newest version without a variant is the default; every placeholder is replaced
+  const { prompt, via } = registry.select({ kind: 'text' });
+  expect([prompt.id, via]).toEqual(['text-v2', 'default']);
+  expect(registry.render(prompt, 'Web')).toBe('v2 for Web, Web only');
+});
+
+test('experiments pick variants by weight, sticky per seed', () => {
+  const weights = { 'text-v2': 1, 'text-v2-concise': 3 };
+  const picks = Array.from({ length: 400 }, (_, i) => pickWeighted(weights, 'frame-' + i));
+  const concise = picks.filter(id => id === 'text-v2-concise').length;
+  expect(concise).toBeGreaterThan(250);
+  expect(concise).toBeLessThan(350);
+  expect(pickWeighted(weights, 'frame-7')).toBe(pickWeighted(weights, 'frame-7'));
+  expect(pickWeighted({ 'text-v2': 0 }, 'x')).toBeNull();
+
+  const dir = tempPrompts({ 'text-v1.md': 'a {PLATFORM}', 'text-v1-b.md': 'b {PLATFORM}' });
+  const registry = createPromptRegistry({ dir, experiments: { text: { 'text-v1-b': 1 } } });
+  expect(registry.select({ kind: 'text', seed: 'f1' })).toMatchObject({ prompt: { id: 'text-v1-b' }, via: 'experiment' });
+  expect(registry.select({ kind: 'text', requested: 'text-v1' }).via).toBe('request');
+  expect(() => registry.select({ kind: 'text', requested: 'text-v9' })).toThrow('Unknown prompt version "text-v9"');
+});
+
+test('prompts only serve their own kind, pinned or weighted', () => {
+  const dir = tempPrompts({ 'text-v1.md': 'text {PLATFORM}', 'vision-v1.md': 'vision {PLATFORM}', 'vision-v1-b.md': 'b {PLATFORM}' });
+  const registry = createPromptRegistry({ dir, experiments: { text: { 'vision-v1-b': 1 } } });
+  expect(registry.select({ kind: 'text', seed: 'f1' })).toMatchObject({ prompt: { id: 'text-v1' }, via: 'default' });
+  expect(registry.select({ kind: 'text', weights: { 'vision-v1': 1 } })).toMatchObject({ prompt: { id: 'text-v1' }, via: 'default' });
+  expect(registry.select({ kind: 'vision', weights: { 'vision-v1-b': 1, 'text-v1': 5 } })).toMatchObject({ prompt: { id: 'vision-v1-b' }, via: 'experiment' });
+
+  expect(() => registry.select({ kind: 'text', requested: 'vision-v1' })).toThrow('"vision-v1" is a vision prompt; this frame needs a text prompt');
+  let status;
+  try { registry.select({ kind: 'text', requested: 'vision-v1' }); } catch (e) { status = e.status; }
+  expect(status).toBe(400);
+});
+
+test('/annotate rejects a pinned prompt of the wrong kind and ignores wrong-kind experiment weights', async () => {
+  const base = { platform: 'web', frameId: 'p2', frameName: 'Login', focusableItems: items };
+  const pinned = await request(app).post('/annotate').send(Object.assign({ promptVersion: 'vision-v1' }, base));
+  expect(pinned.status).toBe(400);
+  expect(pinned.body.error).toMatch('needs a text prompt');
+
+  const weighted = await request(app).post('/annotate').send(Object.assign({ promptExperiment: { 'vision-v1': 1 } }, base));
+  expect(weighted.status).toBe(200);
+  expect(weighted.body.annotations[0].promptVersion).toMatch(/^text-/);
+});
+
+test('/annotate reports the prompt version and keys the cache by it', async () => {
+  const base = { platform: 'web', frameId: 'p1', frameName: 'Login', focusableItems: items };
+  const v2 = await request(app).post('/annotate').send(base);
+  expect(v2.status).toBe(200);
+  expect(v2.body.annotations[0].promptVersion).toBe('text-v2');
+
+  const v1 = await request(app).post('/annotate').send(Object.assign({ promptVersion: 'text-v1' }, base));
+  expect(v1.body.annotations[0].promptVersion).toBe('text-v1');
+  expect(v1.body.checksum).not.toBe(v2.body.checksum);
+
+  const inline = await request(app).post('/annotate').send(Object.assign({ promptVersion: 'inline-v1' }, base));
+  expect(inline.body.annotations[0].promptVersion).toBe('inline-v1');
+  expect(inline.body.checksum).not.toBe(v2.body.checksum);
+
+  const bad = await request(app).post('/annotate').send(Object.assign({ promptVersion: 'text-v9' }, base));
+  expect(bad.status).toBe(400);
+});
+
+test('GET /prompts lists the registry', async () => {
+  const res = await request(app).get('/prompts');
+  expect(res.body.prompts.map(p => p.id)).toEqual(expect.arrayContaining(['vision-v1', 'vision-v2', 'text-v1', 'text-v2', 'inline-v1']));
+  expect(res.body.prompts.filter(p => p.default).map(p => p.id).sort()).toEqual(['text-v2', 'vision-v2']);
+});
@@ -0,0 +1,55 @@
+// server/__tests__/providers.test.js
+import request from 'supertest';
+import { resolveProvider, parseModelJSON } from '../providers/index.js';
+import { app } from '../server.js';
+
+const items = [
+  { id: 'b', name: 'Submit', role: 'button', x: 20, y: 300 },
+  { id: 'a', name: 'Email', role: 'textbox', x: 20, y: 100 },
+  { id: 'c', name: 'Frame 24', x: 200, y: 102, inference: { rnRole: 'textfield', text: '50' } }
+];
+
+beforeEach(() => {
+  process.env.LLM_PROVIDER = 'mock';
+});
+
+test('mock provider orders items deterministically', async () => {
+  const provider = resolveProvider('mock');
+  const out = await provider.complete({ context: { frameId: 'f1', focusableItems: items } });
+  const parsed = JSON.parse(out.content);
+  expect(parsed.annotations[0].order.map(i => i.id)).toEqual(['a', 'c', 'b']);
+  expect(parsed.annotations[0].order[1]).toEqual({ id: 'c', label: 'Frame 24 (50)', role: 'textfield' });
+});
+
+test('rejects unknown and unconfigured providers', () => {
+  expect(() => resolveProvider('nope')).toThrow('Unknown provider "nope"');
+  delete process.env.ANTHROPIC_API_KEY;
+  expect(() => resolveProvider('anthropic')).toThrow('not configured');
+});
+
+test('parses JSON wrapped in prose', () => {
+  expect(parseModelJSON('Here you go:\n```json\n{"annotations":[]}\n```')).toEqual({ annotations: [] });
+  expect(parseModelJSON('no json')).toBeNull();
+});
+
+test('annotates a batch of frames through the mock provider', async () => {
+  const res = await request(app).post('/annotate').send({
+    platform: 'web',
+    frames: [
+      { frameId: 'f1', frameName: 'One', focusableItems: items },
+      { frameId: 'f2', frameName: 'Two', focusableItems: [items[0]] },
+      { frameId: 'f3', frameName: 'Empty', focusableItems: [] }
+    ]
+  });
+  expect(res.body.ok).toBe(true);
+  expect(res.body.annotations.map(a => a.frameId)).toEqual(['f1', 'f2']);
+  expect(res.body.annotations[0].provider).toBe('mock');
+  expect(res.body.failures).toEqual([{ frameId: 'f3', frameName: 'Empty', error: 'No focusable items provided' }]);
+});
+
+test('returns 400 for an unconfigured provider override', async () => {
+  delete process.env.AZURE_OPENAI_API_KEY;
+  const res = await request(app).post('/annotate').send({ provider: 'azure', frameId: 'f1', focusableItems: items });
+  expect(res.status).toBe(400);
+  expect(res.body.error).toBe('Provider "azure" is not configured');
+});
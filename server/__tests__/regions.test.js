@@ -0,0 +1,55 @@
+// server/__tests__/regions.test.js
+import request from 'supertest';
+import { buildRegions, landmarkRole } from '../helpers/regions.js';
+import { app } from '../server.js';
+
+const items = [
+  { id: 'logo', name: 'Logo link', role: 'link', box: { x: 10, y: 10, w: 40, h: 40 } },
+  { id: 'home', name: 'Home', role: 'link', box: { x: 200, y: 15, w: 60, h: 30 } },
+  { id: 'h1', name: 'Plans', role: 'heading', box: { x: 10, y: 200, w: 300, h: 40 } },
+  { id: 'buy', name: 'Buy', role: 'button', box: { x: 10, y: 300, w: 120, h: 44 } },
+  { id: 'terms', name: 'Terms', role: 'link', box: { x: 10, y: 950, w: 80, h: 20 } }
+];
+const order = items.map(it => ({ id: it.id, label: it.name, role: it.role }));
+const landmarks = [
+  { id: 'L1', name: 'Header', box: { x: 0, y: 0, w: 400, h: 60 } },
+  { id: 'L2', name: 'Top nav', box: { x: 180, y: 5, w: 200, h: 50 } },
+  { id: 'L3', name: 'Footer', box: { x: 0, y: 900, w: 400, h: 100 } },
+  { id: 'L4', name: 'Card', box: { x: 0, y: 100, w: 400, h: 100 } }
+];
+
+test('landmark roles come from explicit tags or container names', () => {
+  expect(landmarkRole('Nav bar')).toBe('banner');
+  expect(landmarkRole('Tab Bar')).toBe('navigation');
+  expect(landmarkRole('Promo', 'footer')).toBe('contentinfo');
+  expect(landmarkRole('Header', 'landmark')).toBe('banner');
+  expect(landmarkRole('Hero', 'landmark')).toBe('region');
+  expect(landmarkRole('Card')).toBeNull();
+});
+
+test('items land in the smallest enclosing landmark, nested landmarks become children', () => {
+  const regions = buildRegions(order, items, landmarks);
+  expect(regions.map(r => r.role)).toEqual(['banner', 'main', 'contentinfo']);
+
+  const [banner, main, footer] = regions;
+  expect(banner.items).toEqual(['logo']);
+  expect(banner.children[0]).toMatchObject({ id: 'L2', role: 'navigation', items: ['home'] });
+  expect(main).toMatchObject({ implicit: true, items: ['h1', 'buy'], box: { x: 10, y: 200, w: 300, h: 144 } });
+  expect(main.sections).toEqual([{ headingId: 'h1', label: 'Plans', items: ['h1', 'buy'] }]);
+  expect(footer.items).toEqual(['terms']);
+});
+
+test('without landmarks everything is in the implicit main region', () => {
+  const regions = buildRegions(order, items, undefined);
+  expect(regions).toHaveLength(1);
+  expect(regions[0].items).toEqual(order.map(it => it.id));
+});
+
+test('/annotate returns the region tree', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+  const res = await request(app).post('/annotate').send({
+    platform: 'web', frameId: 'r1', frameName: 'Pricing', focusableItems: items, landmarks
+  });
+  expect(res.status).toBe(200);
+  expect(res.body.annotations[0].regions.map(r => r.role)).toEqual(['banner', 'main', 'contentinfo']);
+});
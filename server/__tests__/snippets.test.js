@@ -0,0 +1,74 @@
+// server/__tests__/snippets.test.js
+import request from 'supertest';
+import { generateWebSnippet, generateRNSnippet, groupByRegion } from '../helpers/snippets.js';
+import { app } from '../server.js';
+
+const frame = {
+  frameId: '1:1',
+  frameName: 'Sign in',
+  platform: 'web',
+  size: { w: 400, h: 1000 },
+  items: [
+    { id: 'h', label: 'Home', role: 'link', bounds: { x: 10, y: 10, w: 60, h: 30 } },
+    { id: 'e', label: 'Email', role: 'textbox', bounds: { x: 10, y: 300, w: 300, h: 40 } },
+    { id: 's', label: 'Sign "in"', role: 'button', hint: 'Signs you in', bounds: { x: 10, y: 400, w: 120, h: 40 } },
+    { id: 'p', label: 'Privacy', role: 'link', region: 'footer' }
+  ]
+};
+
+test('consecutive items are grouped into landmarks without reordering', () => {
+  const blocks = groupByRegion(frame.items, frame.size);
+  expect(blocks.map(b => [b.region, b.items.map(i => i.id)])).toEqual([
+    ['banner', ['h']],
+    ['main', ['e', 's']],
+    ['contentinfo', ['p']]
+  ]);
+});
+
+test('web snippet emits landmark elements and native controls in focus order', () => {
+  const code = generateWebSnippet(frame);
+  expect(code).toContain('<header>\n  <a href="#">Home</a>\n</header>');
+  expect(code).toContain('<input type="text" aria-label="Email">');
+  expect(code).toContain('<button type="button" aria-description="Signs you in">Sign &quot;in&quot;</button>');
+  expect(code).toContain('<footer>');
+  expect(code).not.toMatch(/tabindex="[1-9]/);
+});
+
+test('React Native snippet emits accessibility props in order', () => {
+  const code = generateRNSnippet(Object.assign({}, frame, { platform: 'rn' }));
+  expect(code).toContain('export default function SignInScreen()');
+  expect(code).toContain('<TextInput accessible accessibilityLabel="Email" />');
+  expect(code).toContain('accessibilityRole="button" accessibilityLabel={"Sign \\"in\\""} accessibilityHint="Signs you in"');
+  expect(code.indexOf('Home')).toBeLessThan(code.indexOf('Privacy'));
+});
+
+test('POST /snippets honours a platform override across frames', async () => {
+  const res = await request(app).post('/snippets').send({ platform: 'rn', frames: [frame] });
+  expect(res.status).toBe(200);
+  expect(res.body.snippets[0]).toMatchObject({ frameId: '1:1', platform: 'rn', language: 'jsx' });
+
+  const single = await request(app).post('/snippets').send(frame);
+  expect(single.body.snippets[0].language).toBe('html');
+});
+
+test('POST /snippets rejects empty orders', async () => {
+  const res = await request(app).post('/snippets').send({ frames: [{ items: [] }] });
+  expect(res.status).toBe(400);
+});
+
+test('snippets carry control state as ARIA attributes and accessibilityState', () => {
+  const stateful = Object.assign({}, frame, {
+    items: [
+      { id: 't', label: 'Notifications', role: 'switch', state: { checked: true } },
+      { id: 'c', label: 'Terms', role: 'checkbox', state: { checked: true, disabled: true } },
+      { id: 'm', label: 'More', role: 'button', state: { expanded: false } }
+    ]
+  });
+  const web = generateWebSnippet(stateful);
+  expect(web).toContain('<button type="button" role="switch" aria-checked="true">Notifications</button>');
+  expect(web).toContain('<input type="checkbox" aria-label="Terms" checked disabled>');
+  expect(web).toContain('<button type="button" aria-expanded="false">More</button>');
+
+  const rn = generateRNSnippet(stateful);
+  expect(rn).toContain('accessibilityRole="checkbox" accessibilityLabel="Terms" accessibilityState={{ checked: true, disabled: true }}');
+});
@@ -0,0 +1,77 @@
+// server/__tests__/stale.test.js
+// Plugin stale annotations (code.js, loaded outside Figma): saved snapshots vs. current layers
+import { loadPlugin, stubFigma } from '../../scripts/load-plugin.js';
+
+const nodes = {};
+const plugin = loadPlugin({ figma: Object.assign(stubFigma(), { getNodeById: id => nodes[id] || null }) });
+
+// A frame at (100, 100) holding one text layer per item; layers can be edited between checks
+function canvas(items) {
+  Object.keys(nodes).forEach(id => delete nodes[id]);
+  const store = {};
+  const frame = {
+    id: 'f', name: 'Checkout', type: 'FRAME', parent: null,
+    absoluteBoundingBox: { x: 100, y: 100, width: 375, height: 812 },
+    getPluginData: key => store[key] || '',
+    setPluginData: (key, value) => { store[key] = value; }
+  };
+  nodes.f = frame;
+  items.forEach(({ id, text, x, y }) => {
+    nodes[id] = { id, name: text, type: 'TEXT', characters: text, parent: frame, absoluteBoundingBox: { x: 100 + x, y: 100 + y, width: 120, height: 44 } };
+  });
+  return frame;
+}
+
+const saved = (frame, data) => frame.setPluginData('a11y-focus-order', JSON.stringify(data));
+const snap = (text, x, y) => ({ name: text, box: { x, y, w: 120, h: 44 }, text });
+
+test('item changes: moves and resizes past the tolerance, renames, text, hidden, deleted and moved out', () => {
+  const frame = canvas([{ id: 'a', text: 'Pay', x: 20, y: 300 }]);
+  expect(plugin.itemChanges(frame, 'a', snap('Pay', 20, 300))).toEqual([]);
+
+  nodes.a.absoluteBoundingBox = { x: 122, y: 401, width: 121, height: 44 };
+  expect(plugin.itemChanges(frame, 'a', snap('Pay', 20, 300))).toEqual([]); // within 2px
+  nodes.a.absoluteBoundingBox = { x: 130, y: 400, width: 160, height: 44 };
+  nodes.a.characters = 'Pay now';
+  nodes.a.visible = false;
+  expect(plugin.itemChanges(frame, 'a', snap('Pay', 20, 300))).toEqual(['hidden', 'moved', 'resized', 'text-changed']);
+  nodes.a.name = 'Primary';
+  expect(plugin.itemChanges(frame, 'a', snap('Pay', 30, 300))).toContain('renamed');
+
+  nodes.a.parent = { id: 'other', type: 'FRAME', parent: null };
+  expect(plugin.itemChanges(frame, 'a', snap('Pay', 20, 300))).toEqual(['left-frame']);
+  delete nodes.a;
+  expect(plugin.itemChanges(frame, 'a', snap('Pay', 20, 300))).toEqual(['deleted']);
+});
+
+test('stale items are listed with their position in the saved order', () => {
+  const frame = canvas([{ id: 'a', text: 'Email', x: 20, y: 100 }, { id: 'b', text: 'Pay', x: 20, y: 300 }]);
+  saved(frame, {
+    items: [{ id: 'a', label: 'Email' }, { id: 'b', label: 'Pay' }, { id: 'c', label: 'Back' }],
+    snapshot: { a: snap('Email', 20, 100), b: snap('Pay', 20, 200) }
+  });
+  expect(plugin.findStale(frame)).toEqual({
+    frameId: 'f',
+    frameName: 'Checkout',
+    stale: [
+      { id: 'b', label: 'Pay', index: 1, changes: ['moved'] },
+      { id: 'c', label: 'Back', index: 2, changes: ['deleted'] }
+    ],
+    added: []
+  });
+  expect(plugin.findStale(canvas([]))).toBeNull();
+});
+
+test('orders saved before snapshots take the current layers as their baseline', () => {
+  const frame = canvas([{ id: 'a', text: 'Email', x: 20, y: 100 }]);
+  saved(frame, { items: [{ id: 'a', label: 'Email' }] });
+  const first = plugin.findStale(frame);
+  expect(first.baseline).toBe('created');
+  expect(first.stale).toEqual([]);
+  expect(JSON.parse(frame.getPluginData('a11y-focus-order')).snapshot).toEqual({ a: snap('Email', 20, 100) });
+
+  nodes.a.characters = 'Work email';
+  const second = plugin.findStale(frame);
+  expect(second).not.toHaveProperty('baseline');
+  expect(second.stale).toEqual([{ id: 'a', label: 'Email', index: 0, changes: ['text-changed'] }]);
+});
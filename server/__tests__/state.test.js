@@ -0,0 +1,58 @@
+// server/__tests__/state.test.js
+import request from 'supertest';
+import { cleanState, withStates } from '../helpers/state.js';
+import { loadRecordings, clearRecordings } from '../providers/replay.js';
+import { app } from '../server.js';
+
+beforeEach(() => {
+  process.env.LLM_PROVIDER = 'mock';
+});
+
+afterEach(() => clearRecordings());
+
+test('keeps only known boolean flags', () => {
+  expect(cleanState({ checked: true, disabled: 'yes', hover: true, selected: false })).toEqual({ checked: true, selected: false });
+  expect(cleanState({ hover: true })).toBeUndefined();
+  expect(cleanState([true])).toBeUndefined();
+  expect(cleanState('on')).toBeUndefined();
+});
+
+test('the design state wins over the model, flag by flag', () => {
+  const order = withStates(
+    [{ id: 'a', label: 'A', role: 'switch', state: { checked: false, expanded: true } }, { id: 'b', label: 'B', role: 'button', state: 'x' }],
+    [{ id: 'a', state: { checked: true } }, { id: 'b' }]
+  );
+  expect(order).toEqual([
+    { id: 'a', label: 'A', role: 'switch', state: { checked: true, expanded: true } },
+    { id: 'b', label: 'B', role: 'button' }
+  ]);
+});
+
+test('annotate validates the model state and carries the submitted one', async () => {
+  loadRecordings({
+    'state-1': {
+      '*': JSON.stringify({
+        annotations: [{
+          frameId: 'state-1',
+          order: [
+            { id: 'tab', label: 'Stats', role: 'tab', state: { selected: 'very', pressed: false } },
+            { id: 'toggle', label: 'Notifications', role: 'switch' }
+          ]
+        }]
+      })
+    }
+  });
+  const res = await request(app).post('/annotate').send({
+    platform: 'web',
+    provider: 'replay',
+    frameId: 'state-1',
+    focusableItems: [
+      { id: 'tab', name: 'Tab', x: 0, y: 0, w: 80, h: 40 },
+      { id: 'toggle', name: 'Toggle', role: 'switch', state: { checked: true, focused: true }, x: 0, y: 100, w: 200, h: 40 }
+    ]
+  });
+  expect(res.body.annotations[0].order).toEqual([
+    { id: 'tab', label: 'Stats', role: 'tab', state: { pressed: false } },
+    { id: 'toggle', label: 'Notifications', role: 'switch', state: { checked: true } }
+  ]);
+});
@@ -0,0 +1,84 @@
+// server/__tests__/stream.test.js
+import request from 'supertest';
+import { partialOrder } from '../helpers/partial.js';
+import { readEventStream } from '../providers/stream.js';
+import { app } from '../server.js';
+
+const items = [
+  { id: 'email', name: 'Email input', role: 'textbox', x: 20, y: 100, w: 320, h: 40 },
+  { id: 'password', name: 'Password input', role: 'textbox', x: 20, y: 160, w: 320, h: 40 },
+  { id: 'submit', name: 'Sign in button', x: 20, y: 220, w: 320, h: 44 }
+];
+
+// "event: x\ndata: {...}\n\n" blocks → [{ event, data }]; comment lines are skipped
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = {};
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event: ')) event.event = line.slice(7);
+      else if (line.startsWith('data: ')) event.data = JSON.parse(line.slice(6));
+    });
+    return event;
+  }).filter(e => e.event);
+}
+
+beforeEach(() => {
+  process.env.LLM_PROVIDER = 'mock';
+});
+
+test('partial orders keep only the items closed so far', () => {
+  const text = '{"annotations":[{"frameId":"1","order":[{"id":"a","label":"Say \\"hi\\" {"},{"id":"b","lab';
+  expect(partialOrder(text)).toEqual([{ id: 'a', label: 'Say "hi" {' }]);
+  expect(partialOrder('{"annotations":[{"order":[{"id":"a"}],"notes":{"id":"x"}}]}')).toEqual([{ id: 'a' }]);
+  expect(partialOrder('{"annotations":[')).toEqual([]);
+});
+
+test('provider event streams keep characters split across chunks and surface handler errors', async () => {
+  const bytes = Buffer.from('data: {"text":"إرسال"}\n\ndata: [DONE]\n\n');
+  const split = bytes.indexOf(Buffer.from('ر')) + 1; // inside the two-byte letter
+  async function* body() {
+    yield bytes.subarray(0, split);
+    yield bytes.subarray(split);
+  }
+  const events = [];
+  await readEventStream(body(), e => events.push(e));
+  expect(events).toEqual([{ text: 'إرسال' }]);
+
+  await expect(readEventStream(body(), () => { throw new Error('handler failed'); })).rejects.toThrow('handler failed');
+});
+
+test('streams stages and partial orders, then the /annotate response', async () => {
+  const res = await request(app).post('/annotate/stream').send({ platform: 'web', frameId: 'stream-1', frameName: 'Sign in', focusableItems: items });
+  expect(res.status).toBe(200);
+  expect(res.headers['content-type']).toMatch('text/event-stream');
+
+  const events = parseEvents(res.text);
+  const stages = events.filter(e => e.event === 'stage').map(e => e.data.stage);
+  expect(stages).toEqual(['received', 'cache', 'model', 'validation', 'done']);
+  expect(events[0].data).toMatchObject({ frameId: 'stream-1', frameName: 'Sign in', items: 3, excluded: 0 });
+
+  const partials = events.filter(e => e.event === 'partial');
+  expect(partials.length).toBeGreaterThan(0);
+  expect(partials[partials.length - 1].data.order.map(it => it.id)).toEqual(['email', 'password', 'submit']);
+
+  const done = events[events.length - 1];
+  expect(done.event).toBe('done');
+  expect(done.data.ok).toBe(true);
+  expect(done.data.annotations[0].order.map(it => it.id)).toEqual(['email', 'password', 'submit']);
+
+  const again = parseEvents((await request(app).post('/annotate/stream').send({ platform: 'web', frameId: 'stream-1', frameName: 'Sign in', focusableItems: items })).text);
+  expect(again.filter(e => e.event === 'stage').map(e => e.data.stage)).toEqual(['received', 'cache', 'done']);
+  expect(again[1].data.hit).toBe(true);
+  expect(again[again.length - 1].data.notes).toBe('cacheHit');
+});
+
+test('rule-based mode reports the rules stage; bad requests stay JSON', async () => {
+  const res = await request(app).post('/annotate/stream').send({ platform: 'web', mode: 'heuristic', frameId: 'stream-2', focusableItems: items });
+  const stages = parseEvents(res.text).filter(e => e.event === 'stage');
+  expect(stages.map(e => e.data.stage)).toEqual(['received', 'cache', 'rules', 'done']);
+  expect(stages[2].data.fallback).toBe(false);
+
+  const bad = await request(app).post('/annotate/stream').send({ frameId: 'stream-3', focusableItems: [] });
+  expect(bad.status).toBe(400);
+  expect(bad.body).toEqual({ ok: false, error: 'No focusable items provided' });
+});
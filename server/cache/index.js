@@ -0,0 +1,111 @@
+// cache/index.js
+// Bounded annotation cache: LRU + TTL over a pluggable store. Store errors on get / set
+// are logged and counted, never thrown: a failed lookup is a miss and a failed write is
+// skipped, so a flaky Redis or a locked SQLite file can't fail an annotation.
+// Stores share one async surface:
+//   get(key) → undefined | { expired: true } | { value }
+//   set(key, value, ttlMs) → number of entries evicted
+//   delete(key) → boolean, clear() → number removed, size() → number
+import crypto from 'crypto';
+import { createMemoryStore } from './memory.js';
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24h
+
+// Collision-safe cache key for a request fingerprint
+function cacheKey(raw) {
+  return crypto.createHash('sha256').update(typeof raw === 'string' ? raw : JSON.stringify(raw)).digest('hex');
+}
+
+async function createStore(backend, opts) {
+  if (backend === 'sqlite') {
+    const { createSqliteStore } = await import('./sqlite.js');
+    return createSqliteStore(opts);
+  }
+  if (backend === 'redis') {
+    const { createRedisStore } = await import('./redis.js');
+    return createRedisStore(opts);
+  }
+  return createMemoryStore(opts);
+}
+
+/**
+ * Create the annotation cache. Falls back to memory if the chosen backend can't start
+ * (missing optional dependency, unreachable Redis) so the server still boots.
+ * @param {Object} [opts] - { backend, maxEntries, ttlMs, path, url, store? } (store: a ready store, used as is)
+ */
+async function createAnnotationCache(opts = {}) {
+  const maxEntries = opts.maxEntries || DEFAULT_MAX_ENTRIES;
+  const ttlMs = opts.ttlMs || DEFAULT_TTL_MS;
+  const storeOpts = Object.assign({}, opts, { maxEntries });
+
+  let store;
+  try {
+    store = opts.store || await createStore(opts.backend || 'memory', storeOpts);
+  } catch (e) {
+    console.error(`[SRV] Cache backend "${opts.backend}" unavailable, using memory:`, e && e.message || e);
+    store = createMemoryStore(storeOpts);
+  }
+
+  const counters = { hits: 0, misses: 0, sets: 0, evictions: 0, expired: 0, deletes: 0, purges: 0, errors: 0 };
+
+  return {
+    backend: store.backend,
+    async get(key) {
+      let res;
+      try {
+        res = await store.get(key);
+      } catch (e) {
+        counters.errors++;
+        console.error(`[SRV] Cache get failed (${store.backend}), treating as a miss:`, e && e.message || e);
+      }
+      if (res && res.expired) counters.expired++;
+      if (!res || res.expired) {
+        counters.misses++;
+        return undefined;
+      }
+      counters.hits++;
+      return res.value;
+    },
+    async set(key, value) {
+      try {
+        counters.evictions += await store.set(key, value, ttlMs);
+        counters.sets++;
+      } catch (e) {
+        counters.errors++;
+        console.error(`[SRV] Cache set failed (${store.backend}), not cached:`, e && e.message || e);
+      }
+    },
+    async delete(key) {
+      const removed = await store.delete(key);
+      if (removed) counters.deletes++;
+      return removed;
+    },
+    async purge() {
+      counters.purges++;
+      return store.clear();
+    },
+    async stats() {
+      const lookups = counters.hits + counters.misses;
+      return Object.assign({
+        backend: store.backend,
+        size: await store.size(),
+        maxEntries,
+        ttlMs,
+        hitRate: lookups ? counters.hits / lookups : 0
+      }, counters);
+    }
+  };
+}
+
+function cacheOptionsFromEnv(env = process.env) {
+  return {
+    backend: env.CACHE_BACKEND || 'memory',
+    maxEntries: Number(env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+    ttlMs: Number(env.CACHE_TTL_MS) || DEFAULT_TTL_MS,
+    path: env.CACHE_SQLITE_PATH || 'annotation-cache.sqlite',
+    url: env.CACHE_REDIS_URL || 'redis://localhost:6379'
+  };
+}
+
+export { createAnnotationCache, cacheOptionsFromEnv, cacheKey };
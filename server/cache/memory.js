@@ -0,0 +1,45 @@
+// cache/memory.js
+// In-process LRU store. Map iteration order is insertion order, so re-inserting
+// on read keeps the least recently used entry at the front.
+
+function createMemoryStore({ maxEntries }) {
+  const map = new Map();
+
+  return {
+    backend: 'memory',
+    async get(key) {
+      const entry = map.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        map.delete(key);
+        return { expired: true };
+      }
+      map.delete(key);
+      map.set(key, entry);
+      return { value: entry.value };
+    },
+    async set(key, value, ttlMs) {
+      map.delete(key);
+      map.set(key, { value, expiresAt: Date.now() + ttlMs });
+      let evicted = 0;
+      while (map.size > maxEntries) {
+        map.delete(map.keys().next().value);
+        evicted++;
+      }
+      return evicted;
+    },
+    async delete(key) {
+      return map.delete(key);
+    },
+    async clear() {
+      const n = map.size;
+      map.clear();
+      return n;
+    },
+    async size() {
+      return map.size;
+    }
+  };
+}
+
+export { createMemoryStore };
@@ -0,0 +1,54 @@
+// cache/redis.js
+// Redis-compatible store (Redis, Valkey, KeyDB, Upstash). TTL is native;
+// LRU bounding uses a sorted set of last-access times next to the values.
+// ioredis is an optional dependency and only loaded when selected.
+
+async function createRedisStore({ maxEntries, url, prefix = 'a11y:anno:' }) {
+  const { default: Redis } = await import('ioredis');
+  const redis = new Redis(url, { lazyConnect: true, maxRetriesPerRequest: 2 });
+  await redis.connect();
+  const index = `${prefix}lru`;
+
+  return {
+    backend: 'redis',
+    async get(key) {
+      const raw = await redis.get(prefix + key);
+      if (raw === null) {
+        // Expired by Redis TTL: drop the stale index entry
+        const removed = await redis.zrem(index, key);
+        return removed ? { expired: true } : undefined;
+      }
+      await redis.zadd(index, Date.now(), key);
+      return { value: JSON.parse(raw) };
+    },
+    async set(key, value, ttlMs) {
+      await redis.multi()
+        .set(prefix + key, JSON.stringify(value), 'PX', ttlMs)
+        .zadd(index, Date.now(), key)
+        .exec();
+      const over = (await redis.zcard(index)) - maxEntries;
+      if (over <= 0) return 0;
+      const victims = await redis.zrange(index, 0, over - 1);
+      await redis.multi()
+        .del(...victims.map(k => prefix + k))
+        .zrem(index, ...victims)
+        .exec();
+      return victims.length;
+    },
+    async delete(key) {
+      const [[, removed]] = await redis.multi().del(prefix + key).zrem(index, key).exec();
+      return removed > 0;
+    },
+    async clear() {
+      const keys = await redis.zrange(index, 0, -1);
+      if (keys.length) await redis.del(...keys.map(k => prefix + k));
+      await redis.del(index);
+      return keys.length;
+    },
+    async size() {
+      return redis.zcard(index);
+    }
+  };
+}
+
+export { createRedisStore };
@@ -0,0 +1,59 @@
+// cache/sqlite.js
+// File-backed store so the cache survives restarts (e.g. a Render persistent disk).
+// better-sqlite3 is an optional dependency and only loaded when selected.
+
+async function createSqliteStore({ maxEntries, path }) {
+  const { default: Database } = await import('better-sqlite3');
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS annotation_cache (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    last_access INTEGER NOT NULL
+  )`);
+
+  const stmts = {
+    get: db.prepare('SELECT value, expires_at FROM annotation_cache WHERE key = ?'),
+    touch: db.prepare('UPDATE annotation_cache SET last_access = ? WHERE key = ?'),
+    upsert: db.prepare(`INSERT INTO annotation_cache (key, value, expires_at, last_access) VALUES (?, ?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at, last_access = excluded.last_access`),
+    del: db.prepare('DELETE FROM annotation_cache WHERE key = ?'),
+    clear: db.prepare('DELETE FROM annotation_cache'),
+    count: db.prepare('SELECT COUNT(*) AS n FROM annotation_cache'),
+    evict: db.prepare(`DELETE FROM annotation_cache WHERE key IN (
+      SELECT key FROM annotation_cache ORDER BY last_access ASC LIMIT ?)`)
+  };
+
+  return {
+    backend: 'sqlite',
+    async get(key) {
+      const row = stmts.get.get(key);
+      if (!row) return undefined;
+      const now = Date.now();
+      if (row.expires_at <= now) {
+        stmts.del.run(key);
+        return { expired: true };
+      }
+      stmts.touch.run(now, key);
+      return { value: JSON.parse(row.value) };
+    },
+    async set(key, value, ttlMs) {
+      const now = Date.now();
+      stmts.upsert.run(key, JSON.stringify(value), now + ttlMs, now);
+      const over = stmts.count.get().n - maxEntries;
+      return over > 0 ? stmts.evict.run(over).changes : 0;
+    },
+    async delete(key) {
+      return stmts.del.run(key).changes > 0;
+    },
+    async clear() {
+      return stmts.clear.run().changes;
+    },
+    async size() {
+      return stmts.count.get().n;
+    }
+  };
+}
+
+export { createSqliteStore };
@@ -0,0 +1,72 @@
+// eval/metrics.js
+// Ordering metrics for one annotated frame against its golden order, and their
+// aggregate over a run.
+//
+// Expected: [{ id, role? }] in the correct focus order
+// Actual:   [{ id, role }] from /annotate
+// Score:    { kendallTau, exact, missing: [id], extra: [id], roleAccuracy }
+
+/**
+ * Kendall tau-a over the items both orders contain: 1 = same relative order, -1 = reversed.
+ * @param {Array<string>} expectedIds
+ * @param {Array<string>} actualIds
+ * @returns {number|null} null when fewer than two items are shared
+ */
+function kendallTau(expectedIds, actualIds) {
+  const pos = new Map(actualIds.map((id, i) => [id, i]));
+  const shared = expectedIds.filter(id => pos.has(id));
+  if (shared.length < 2) return null;
+  let concordant = 0;
+  let discordant = 0;
+  for (let i = 0; i < shared.length; i++) {
+    for (let j = i + 1; j < shared.length; j++) {
+      if (pos.get(shared[i]) < pos.get(shared[j])) concordant++;
+      else discordant++;
+    }
+  }
+  return (concordant - discordant) / (concordant + discordant);
+}
+
+function scoreFrame(expected, actual) {
+  const expectedIds = expected.map(it => it.id);
+  const actualIds = actual.map(it => it.id);
+  const actualSet = new Set(actualIds);
+  const expectedSet = new Set(expectedIds);
+
+  const roleOf = new Map(actual.map(it => [it.id, it.role]));
+  const withRole = expected.filter(it => it.role && actualSet.has(it.id));
+  const rolesRight = withRole.filter(it => roleOf.get(it.id) === it.role).length;
+
+  return {
+    kendallTau: kendallTau(expectedIds, actualIds),
+    exact: expectedIds.length === actualIds.length && expectedIds.every((id, i) => actualIds[i] === id),
+    missing: expectedIds.filter(id => !actualSet.has(id)),
+    extra: actualIds.filter(id => !expectedSet.has(id)),
+    roleAccuracy: withRole.length ? rolesRight / withRole.length : null
+  };
+}
+
+function mean(values) {
+  const xs = values.filter(v => typeof v === 'number');
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+}
+
+/**
+ * Roll frame scores up into one row of the comparison report.
+ * @param {Array<Object>} scores - scoreFrame results (failed frames as { error })
+ * @returns {Object} { frames, failed, kendallTau, exactMatchRate, missing, extra, roleAccuracy }
+ */
+function aggregate(scores) {
+  const ok = scores.filter(s => !s.error);
+  return {
+    frames: scores.length,
+    failed: scores.length - ok.length,
+    kendallTau: mean(ok.map(s => s.kendallTau)),
+    exactMatchRate: ok.length ? ok.filter(s => s.exact).length / ok.length : null,
+    missing: ok.reduce((a, s) => a + s.missing.length, 0),
+    extra: ok.reduce((a, s) => a + s.extra.length, 0),
+    roleAccuracy: mean(ok.map(s => s.roleAccuracy))
+  };
+}
+
+export { kendallTau, scoreFrame, aggregate };
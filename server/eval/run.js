@@ -0,0 +1,240 @@
+// eval/run.js
+// Offline evaluation: replays golden frame payloads through /annotate for every
+// provider × model × prompt version and scores the orders against the golden ones.
+//
+//   node eval/run.js [--golden eval/golden,prompts/examples] [--provider replay,mock,heuristic]
+//                    [--models gpt-4o-mini] [--prompts text-v1,inline-v1] [--out eval/reports]
+//
+// Golden file: { name, description?, request: single-frame /annotate body,
+//                expected: [{ id, role? }], recorded?: { [promptVersion | '*']: model response } }
+// prompts/examples files ({ input, expectedOutput }) are accepted as well.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { scoreFrame, aggregate } from './metrics.js';
+
+const SERVER_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const DEFAULTS = {
+  golden: ['eval/golden', 'prompts/examples'],
+  providers: ['replay', 'mock', 'heuristic'],
+  models: [undefined],
+  prompts: [undefined],
+  out: 'eval/reports'
+};
+
+function parseArgs(argv) {
+  const options = {};
+  const list = v => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--golden': options.golden = list(value); i++; break;
+      case '--provider': case '--providers': options.providers = list(value); i++; break;
+      case '--models': options.models = list(value); i++; break;
+      case '--prompts': options.prompts = list(value); i++; break;
+      case '--out': options.out = value; i++; break;
+      default: throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+// prompts/examples shape → golden shape
+function fromExample(doc) {
+  const frame = doc.input.frames[0];
+  const annotation = doc.expectedOutput.annotations[0];
+  return {
+    name: frame.name,
+    description: doc.description,
+    request: {
+      platform: doc.input.platform,
+      frameId: frame.id,
+      frameName: frame.name,
+      frameBox: frame.box,
+      focusableItems: frame.children.map(c => ({ id: c.id, name: c.name, type: c.type, role: c.role, x: c.x, y: c.y, w: c.w, h: c.h }))
+    },
+    expected: annotation.order.map(it => ({ id: it.id, role: it.role }))
+  };
+}
+
+function loadGolden(dirs) {
+  const frames = [];
+  for (const dir of dirs) {
+    const abs = path.resolve(SERVER_DIR, dir);
+    if (!fs.existsSync(abs)) continue;
+    for (const file of fs.readdirSync(abs).filter(f => f.endsWith('.json')).sort()) {
+      const doc = JSON.parse(fs.readFileSync(path.join(abs, file), 'utf-8'));
+      const golden = doc.input && doc.expectedOutput ? fromExample(doc) : doc;
+      if (!golden.request || !Array.isArray(golden.expected)) {
+        console.warn(`[EVAL] Skipping ${file}: no request/expected`);
+        continue;
+      }
+      frames.push(Object.assign({ file: path.join(dir, file) }, golden));
+    }
+  }
+  return frames;
+}
+
+// Server in this process on a free port; the cache stays in memory so runs don't leak into it
+async function startServer() {
+  process.env.NODE_ENV = 'test';
+  process.env.CACHE_BACKEND = 'memory';
+  const { app } = await import('../server.js');
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  return { url: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(r => server.close(r)) };
+}
+
+async function annotateGolden(url, golden, config) {
+  const body = Object.assign({}, golden.request);
+  // "heuristic" is the rule-based mode rather than a provider
+  if (config.provider === 'heuristic') body.mode = 'heuristic';
+  else if (config.provider) body.provider = config.provider;
+  if (config.model) body.model = config.model;
+  if (config.promptVersion) body.promptVersion = config.promptVersion;
+
+  const res = await fetch(`${url}/annotate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const json = await res.json();
+  const annotation = json.annotations && json.annotations[0];
+  if (!res.ok || !annotation) {
+    throw new Error(json.error || (json.failures && json.failures[0] && json.failures[0].error) || `HTTP ${res.status}`);
+  }
+  return annotation;
+}
+
+/**
+ * Run every golden frame through every configuration.
+ * @param {Object} [options] - { golden: [dir], providers, models, prompts }
+ * @returns {Promise<Object>} report: { generatedAt, golden, configs: [{ label, provider, model, promptVersion, summary, frames }] }
+ */
+async function runEval(options = {}) {
+  const opts = Object.assign({}, DEFAULTS, options);
+  const goldens = loadGolden(opts.golden);
+  if (!goldens.length) throw new Error(`No golden frames in ${opts.golden.join(', ')}`);
+
+  const { loadRecordings } = await import('../providers/replay.js');
+  loadRecordings(Object.fromEntries(goldens.filter(g => g.recorded).map(g => [g.request.frameId, g.recorded])));
+
+  const server = await startServer();
+  const configs = [];
+  try {
+    for (const provider of opts.providers) {
+      for (const model of opts.models) {
+        for (const promptVersion of opts.prompts) {
+          const frames = [];
+          for (const golden of goldens) {
+            const row = { name: golden.name, file: golden.file, frameId: golden.request.frameId };
+            try {
+              const annotation = await annotateGolden(server.url, golden, { provider, model, promptVersion });
+              Object.assign(row, scoreFrame(golden.expected, annotation.order), {
+                model: annotation.model,
+                promptVersion: annotation.promptVersion,
+                fallback: annotation.notes === 'heuristic-fallback'
+              });
+            } catch (e) {
+              row.error = e.message;
+            }
+            frames.push(row);
+          }
+          const seen = frames.find(f => !f.error) || {};
+          configs.push({
+            label: [provider, model || seen.model || 'default', promptVersion || seen.promptVersion || 'default'].join(' · '),
+            provider,
+            model: model || seen.model || null,
+            promptVersion: promptVersion || seen.promptVersion || null,
+            summary: Object.assign(aggregate(frames), { fallbacks: frames.filter(f => f.fallback).length }),
+            frames
+          });
+        }
+      }
+    }
+  } finally {
+    await server.close();
+  }
+  return { generatedAt: new Date().toISOString(), golden: goldens.length, configs };
+}
+
+function pct(v) {
+  return v === null ? '–' : Math.round(v * 100) + '%';
+}
+
+function num(v) {
+  return v === null ? '–' : v.toFixed(2);
+}
+
+function delta(v, base, fmt) {
+  if (v === null || base === null) return '–';
+  const d = v - base;
+  return (d >= 0 ? '+' : '') + fmt(d);
+}
+
+/**
+ * Markdown comparison: one row per configuration (deltas against the first), then τ per frame.
+ * @param {Object} report - runEval result
+ * @returns {string}
+ */
+function toMarkdown(report) {
+  const base = report.configs[0].summary;
+  const lines = [
+    '# Focus order evaluation',
+    '',
+    `Generated ${report.generatedAt} · ${report.golden} golden frame${report.golden === 1 ? '' : 's'}`,
+    '',
+    '| Config | Kendall τ | Δτ | Exact match | Δ exact | Missing | Extra | Role accuracy | Fallbacks | Failed |',
+    '|--------|-----------|----|-------------|---------|---------|-------|---------------|-----------|--------|'
+  ];
+  report.configs.forEach((c, i) => {
+    const s = c.summary;
+    const dTau = i ? delta(s.kendallTau, base.kendallTau, d => d.toFixed(2)) : '–';
+    const dExact = i ? delta(s.exactMatchRate, base.exactMatchRate, d => Math.round(d * 100) + 'pp') : '–';
+    lines.push(`| ${c.label} | ${num(s.kendallTau)} | ${dTau} | ${pct(s.exactMatchRate)} | ${dExact} | ` +
+      `${s.missing} | ${s.extra} | ${pct(s.roleAccuracy)} | ${s.fallbacks} | ${s.failed} |`);
+  });
+
+  lines.push('', '## Per frame (Kendall τ)', '');
+  lines.push('| Frame | ' + report.configs.map(c => c.label).join(' | ') + ' |');
+  lines.push('|-------|' + report.configs.map(() => '---').join('|') + '|');
+  report.configs[0].frames.forEach((f, i) => {
+    const cells = report.configs.map(c => {
+      const r = c.frames[i];
+      if (r.error) return 'error';
+      const notes = [];
+      if (r.missing.length) notes.push('missing ' + r.missing.join(', '));
+      if (r.extra.length) notes.push('extra ' + r.extra.join(', '));
+      if (r.fallback) notes.push('fallback');
+      return num(r.kendallTau) + (r.exact ? ' ✓' : '') + (notes.length ? ' (' + notes.join('; ') + ')' : '');
+    });
+    lines.push(`| ${f.name} | ${cells.join(' | ')} |`);
+  });
+
+  const errors = report.configs.flatMap(c => c.frames.filter(f => f.error).map(f => `- ${c.label} · ${f.name}: ${f.error}`));
+  if (errors.length) lines.push('', '## Errors', '', ...errors);
+  return lines.join('\n') + '\n';
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const report = await runEval(options);
+  const out = path.resolve(SERVER_DIR, options.out || DEFAULTS.out);
+  fs.mkdirSync(out, { recursive: true });
+  fs.writeFileSync(path.join(out, 'eval-report.json'), JSON.stringify(report, null, 2));
+  const markdown = toMarkdown(report);
+  fs.writeFileSync(path.join(out, 'eval-report.md'), markdown);
+  console.log(markdown);
+  console.log(`[EVAL] Reports written to ${out}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(e => {
+    console.error('[EVAL]', e.message);
+    process.exitCode = 1;
+  });
+}
+
+export { runEval, toMarkdown, loadGolden, parseArgs };
@@ -0,0 +1,110 @@
+// helpers/constraints.js
+// Human decisions from manual edits, enforced on every AI re-run:
+//   pins:    [{ id, index, label?, role? }]  keep the item at this position (and its label/role)
+//   locked:  [[id, id, ...]]                 groups the designer locked together; keep them
+//                                            contiguous, in this order
+//   exclude: [id, ...]                       items a designer removed; never re-added
+
+function normalizeConstraints(raw, validIds) {
+  if (!raw || typeof raw !== 'object') return null;
+  const pins = (Array.isArray(raw.pins) ? raw.pins : [])
+    .filter(p => p && typeof p.id === 'string' && validIds.has(p.id) && Number.isInteger(p.index) && p.index >= 0)
+    .map(p => ({
+      id: p.id,
+      index: p.index,
+      label: typeof p.label === 'string' ? p.label : undefined,
+      role: typeof p.role === 'string' ? p.role : undefined
+    }));
+  const locked = (Array.isArray(raw.locked) ? raw.locked : [])
+    .map(g => (Array.isArray(g) ? g.filter(id => typeof id === 'string' && validIds.has(id)) : []))
+    .filter(g => g.length > 1);
+  const exclude = (Array.isArray(raw.exclude) ? raw.exclude : []).filter(id => typeof id === 'string');
+
+  if (!pins.length && !locked.length && !exclude.length) return null;
+  return { pins, locked, exclude };
+}
+
+// Split the order into units: locked groups become one multi-item unit placed where
+// their earliest member appears; everything else is a unit of one
+function buildUnits(order, locked) {
+  const byId = new Map(order.map(it => [it.id, it]));
+  const groupOf = new Map();
+  const claimed = new Set();
+  locked.forEach(group => {
+    const members = group.filter(id => byId.has(id) && !claimed.has(id));
+    if (members.length < 2) return;
+    members.forEach(id => { claimed.add(id); groupOf.set(id, members); });
+  });
+
+  const units = [];
+  const emitted = new Set();
+  for (const it of order) {
+    if (emitted.has(it.id)) continue;
+    const members = groupOf.get(it.id) || [it.id];
+    members.forEach(id => emitted.add(id));
+    units.push(members.map(id => byId.get(id)));
+  }
+  return units;
+}
+
+/**
+ * Re-arrange a sanitized order so human constraints win.
+ * Pinned units are placed at their index when possible; free units keep the model's
+ * relative order and fill the remaining slots. Locked groups always stay contiguous.
+ * @param {Array<{id,label,role}>} order
+ * @param {Object|null} constraints - from normalizeConstraints
+ * @returns {{ order: Array, report: Object|null }}
+ */
+function applyConstraints(order, constraints) {
+  if (!constraints) return { order, report: null };
+
+  const excluded = new Set(constraints.exclude);
+  const kept = order.filter(it => !excluded.has(it.id));
+  const pinById = new Map(constraints.pins.map(p => [p.id, p]));
+  const units = buildUnits(kept, constraints.locked);
+
+  // A unit is anchored if any member is pinned: anchor = pin index - member offset
+  const anchored = [];
+  const free = [];
+  units.forEach(unit => {
+    const offset = unit.findIndex(it => pinById.has(it.id));
+    if (offset === -1) free.push(unit);
+    else anchored.push({ unit, anchor: Math.max(0, pinById.get(unit[offset].id).index - offset) });
+  });
+  anchored.sort((a, b) => a.anchor - b.anchor);
+
+  const result = [];
+  let a = 0;
+  let f = 0;
+  while (a < anchored.length || f < free.length) {
+    const nextAnchor = a < anchored.length ? anchored[a] : null;
+    if (nextAnchor && (nextAnchor.anchor <= result.length || f >= free.length)) {
+      result.push(...anchored[a++].unit);
+    } else {
+      result.push(...free[f++]);
+    }
+  }
+
+  // Manual labels and roles override the model's
+  const final = result.map(it => {
+    const pin = pinById.get(it.id);
+    if (!pin) return it;
+    return Object.assign({}, it, {
+      label: pin.label || it.label,
+      role: pin.role || it.role,
+      source: 'manual'
+    });
+  });
+
+  return {
+    order: final,
+    report: {
+      pins: constraints.pins.length,
+      pinsHonored: constraints.pins.filter(p => final[p.index] && final[p.index].id === p.id).length,
+      locked: constraints.locked.length,
+      excluded: order.length - kept.length
+    }
+  };
+}
+
+export { normalizeConstraints, applyConstraints };
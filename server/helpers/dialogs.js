@@ -0,0 +1,102 @@
+// helpers/dialogs.js
+// Contained focus scopes for dialogs, sheets, drawers and popovers found by the plugin.
+// Each scope gets its own order (the final order filtered to its members), an initial-focus
+// target and the control focus returns to when it closes.
+//
+// Dialog (from the plugin): { id, name, kind, box, itemIds, triggerId? }
+// Scope: { id, name, kind, trap, box, order: [id], initialFocus, returnFocus }
+
+const DIALOG_KINDS = ['modal', 'alert', 'sheet', 'drawer', 'popover'];
+// Popovers and menus close on outside interaction; everything else traps focus
+const NON_TRAPPING = ['popover'];
+
+const CLOSE_RE = /\b(close|dismiss|cancel|back|x|×)\b/i;
+const STOP_WORDS = /\b(modal|dialog|sheet|bottom|drawer|popover|overlay|popup|alert|action|menu|side|open|show|button|btn)\b/gi;
+
+function words(s) {
+  return String(s || '').replace(STOP_WORDS, ' ').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+function contains(outer, inner) {
+  const cx = inner.x + inner.w / 2;
+  const cy = inner.y + inner.h / 2;
+  return cx >= outer.x && cx <= outer.x + outer.w && cy >= outer.y && cy <= outer.y + outer.h;
+}
+
+function normalizeDialogs(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(d => d && typeof d.id === 'string')
+    .map(d => ({
+      id: d.id,
+      name: String(d.name || ''),
+      kind: DIALOG_KINDS.includes(d.kind) ? d.kind : 'modal',
+      box: d.box || null,
+      itemIds: Array.isArray(d.itemIds) ? d.itemIds.filter(id => typeof id === 'string') : null,
+      triggerId: typeof d.triggerId === 'string' ? d.triggerId : null
+    }));
+}
+
+// APG: a heading for content-heavy dialogs, else the first control that isn't a close button
+function initialFocusOf(scopeItems) {
+  if (!scopeItems.length) return null;
+  const heading = scopeItems.find(it => it.role === 'heading' || it.role === 'header');
+  if (heading) return heading.id;
+  const firstAction = scopeItems.find(it => !CLOSE_RE.test(it.label || ''));
+  return (firstAction || scopeItems[0]).id;
+}
+
+// The page control whose label shares the most words with the dialog name ("Filters" → "Filters sheet")
+function guessTrigger(dialog, pageItems) {
+  const target = new Set(words(dialog.name));
+  if (!target.size) return null;
+  let best = null;
+  let bestScore = 0;
+  for (const it of pageItems) {
+    const score = words(it.label).filter(w => target.has(w)).length;
+    if (score > bestScore) {
+      best = it;
+      bestScore = score;
+    }
+  }
+  return best ? best.id : null;
+}
+
+/**
+ * Split dialog members out of the final order into contained scopes.
+ * @param {Array<Object>} order - Final { id, label, role } order
+ * @param {Array<Object>} focusableItems - Request items (box used when a dialog has no itemIds)
+ * @param {Array<Object>} rawDialogs - Dialogs detected by the plugin
+ * @returns {Array<Object>} Scopes, in the order given
+ */
+function buildDialogScopes(order, focusableItems, rawDialogs) {
+  const dialogs = normalizeDialogs(rawDialogs);
+  if (!dialogs.length) return [];
+  const boxes = new Map((focusableItems || []).map(it => [it.id, it.box]));
+  const claimed = new Set();
+
+  const scopes = dialogs.map(d => {
+    const members = d.itemIds
+      ? new Set(d.itemIds)
+      : new Set(order.filter(it => d.box && boxes.get(it.id) && contains(d.box, boxes.get(it.id))).map(it => it.id));
+    const scopeItems = order.filter(it => members.has(it.id) && !claimed.has(it.id));
+    scopeItems.forEach(it => claimed.add(it.id));
+    return { dialog: d, scopeItems };
+  });
+
+  const pageItems = order.filter(it => !claimed.has(it.id));
+  const validIds = new Set(order.map(it => it.id));
+
+  return scopes.map(({ dialog: d, scopeItems }) => ({
+    id: d.id,
+    name: d.name,
+    kind: d.kind,
+    trap: !NON_TRAPPING.includes(d.kind),
+    box: d.box,
+    order: scopeItems.map(it => it.id),
+    initialFocus: initialFocusOf(scopeItems),
+    returnFocus: d.triggerId && validIds.has(d.triggerId) && !claimed.has(d.triggerId) ? d.triggerId : guessTrigger(d, pageItems)
+  }));
+}
+
+export { buildDialogScopes };
@@ -0,0 +1,96 @@
+// helpers/direction.js
+// Reading flow of a frame: horizontal direction (ltr / rtl) and writing mode
+// (horizontal-tb, or vertical-rl / vertical-lr for vertical CJK layouts). An explicit
+// `direction` / `writingMode` wins, then the locale's script, then the text in the
+// frame (Hebrew / Arabic letters outnumbering Latin ones), else left-to-right.
+//
+// Flow: { direction: 'ltr' | 'rtl', writingMode: 'horizontal-tb' | 'vertical-rl' | 'vertical-lr', source }
+
+const DIRECTIONS = ['ltr', 'rtl'];
+const WRITING_MODES = ['horizontal-tb', 'vertical-rl', 'vertical-lr'];
+const RTL_LANGUAGES = ['ar', 'he', 'iw', 'fa', 'ur', 'yi', 'ps', 'sd', 'ug', 'dv', 'ckb'];
+const RTL_CHARS = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/g;  // Hebrew, Arabic, Syriac, Thaana, N'Ko + presentation forms
+const LTR_CHARS = /[A-Za-z\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF]/g;  // Latin, Greek, Cyrillic
+const ROW_TOLERANCE = 6;
+
+const DEFAULT_FLOW = Object.freeze({ direction: 'ltr', writingMode: 'horizontal-tb', source: 'default' });
+
+function directionOfLocale(locale) {
+  const lang = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  if (!lang) return null;
+  return RTL_LANGUAGES.includes(lang) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Guess the direction from text: rtl when right-to-left letters outnumber left-to-right ones.
+ * @param {Array<string>} texts
+ * @returns {'ltr'|'rtl'|null} null when there are no letters to go by
+ */
+function detectDirection(texts) {
+  const all = (texts || []).filter(Boolean).join(' ');
+  const rtl = (all.match(RTL_CHARS) || []).length;
+  const ltr = (all.match(LTR_CHARS) || []).length;
+  if (!rtl && !ltr) return null;
+  return rtl > ltr ? 'rtl' : 'ltr';
+}
+
+// Names and inferred text of the submitted items
+function itemTexts(focusableItems) {
+  return (focusableItems || []).flatMap(it => [it && it.name, it && it.inference && it.inference.text]);
+}
+
+/**
+ * Resolve the reading flow for one frame.
+ * @param {Object} options - { direction?, writingMode?, locale? }
+ * @param {Array<Object>} [focusableItems] - Used for detection when direction and locale are absent
+ * @returns {Object} flow
+ */
+function resolveFlow(options = {}, focusableItems) {
+  const writingMode = WRITING_MODES.includes(options.writingMode) ? options.writingMode : 'horizontal-tb';
+  if (DIRECTIONS.includes(options.direction)) return { direction: options.direction, writingMode, source: 'request' };
+  const fromLocale = directionOfLocale(options.locale);
+  if (fromLocale) return { direction: fromLocale, writingMode, source: 'locale' };
+  const detected = detectDirection(itemTexts(focusableItems));
+  if (detected) return { direction: detected, writingMode, source: 'text' };
+  return Object.assign({}, DEFAULT_FLOW, { writingMode });
+}
+
+function isDefaultFlow(flow) {
+  return !flow || (flow.direction !== 'rtl' && (!flow.writingMode || flow.writingMode === 'horizontal-tb'));
+}
+
+/**
+ * Comparator over { x, y } items: rows with a small tolerance, then along the row in the
+ * flow's direction; vertical modes read columns first.
+ * @param {Object} [flow]
+ * @returns {Function} (a, b) => number
+ */
+function readingComparator(flow) {
+  const f = flow || DEFAULT_FLOW;
+  const num = v => (typeof v === 'number' ? v : 0);
+  if (f.writingMode === 'vertical-rl' || f.writingMode === 'vertical-lr') {
+    const sign = f.writingMode === 'vertical-rl' ? -1 : 1;
+    return (a, b) => {
+      const dx = num(a.x) - num(b.x);
+      if (Math.abs(dx) > ROW_TOLERANCE) return sign * dx;
+      return num(a.y) - num(b.y);
+    };
+  }
+  // Right-to-left rows compare right edges, so a wide item isn't read late
+  const rtl = f.direction === 'rtl';
+  return (a, b) => {
+    const dy = num(a.y) - num(b.y);
+    if (Math.abs(dy) > ROW_TOLERANCE) return dy;
+    return rtl ? (num(b.x) + num(b.w)) - (num(a.x) + num(a.w)) : num(a.x) - num(b.x);
+  };
+}
+
+// Phrase for prompts: "top→bottom, right→left"
+function flowLabel(flow) {
+  const f = flow || DEFAULT_FLOW;
+  if (f.writingMode === 'vertical-rl') return 'right→left by column, top→bottom within a column';
+  if (f.writingMode === 'vertical-lr') return 'left→right by column, top→bottom within a column';
+  return f.direction === 'rtl' ? 'top→bottom, right→left' : 'top→bottom, left→right';
+}
+
+export { resolveFlow, detectDirection, readingComparator, flowLabel, isDefaultFlow, DEFAULT_FLOW, DIRECTIONS, WRITING_MODES };
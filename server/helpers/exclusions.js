@@ -0,0 +1,46 @@
+// helpers/exclusions.js
+// Nodes the plugin's exclusion rules kept out of the focus order (disabled variants,
+// faded layers, decorative tags, pure text headers on the web). The list comes back
+// on each annotation as `excluded` so reviewers can audit what was dropped; an item
+// that is both submitted and excluded is dropped before ordering.
+//
+// Entry: { id, name, reason: 'decorative' | 'disabled' | 'low-opacity' | 'static-text' | 'other' }
+
+const EXCLUSION_REASONS = ['decorative', 'disabled', 'low-opacity', 'static-text'];
+const MAX_EXCLUDED = 500;
+
+/**
+ * Validate the client's list: string ids, once each, known reasons (else 'other').
+ * @param {*} excluded
+ * @returns {Array<Object>} [{ id, name, reason }]
+ */
+function cleanExcluded(excluded) {
+  if (!Array.isArray(excluded)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const e of excluded) {
+    if (!e || typeof e.id !== 'string' || seen.has(e.id)) continue;
+    seen.add(e.id);
+    out.push({
+      id: e.id,
+      name: String(e.name || '').slice(0, 200),
+      reason: EXCLUSION_REASONS.includes(e.reason) ? e.reason : 'other'
+    });
+    if (out.length >= MAX_EXCLUDED) break;
+  }
+  return out;
+}
+
+/**
+ * Focusable items minus the excluded ones.
+ * @param {Array<Object>} focusableItems
+ * @param {Array<Object>} excluded - cleanExcluded result
+ * @returns {Array<Object>}
+ */
+function withoutExcluded(focusableItems, excluded) {
+  if (!excluded.length) return focusableItems;
+  const ids = new Set(excluded.map(e => e.id));
+  return focusableItems.filter(it => !(it && ids.has(it.id)));
+}
+
+export { cleanExcluded, withoutExcluded, EXCLUSION_REASONS };
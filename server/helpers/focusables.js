@@ -59,4 +59,4 @@ function extractAndOrder(root, cap) {
   return out;
 }
 
-export { extractAndOrder };
+export { extractAndOrder, isLikelyHeading };
@@ -0,0 +1,118 @@
+// helpers/headings.js
+// Heading outline for a frame: which text layers are headings, their h1–h6 level from the
+// type scale (explicit tags and h1/h2… layer names win), and outline problems.
+//
+// Candidate (from the plugin): { id, name, text, fontSize, fontWeight, box: { x, y, w, h },
+//                                layerIndex, level?, inControl? }
+// Finding: { rule, severity, nodeId, nodeName, message, wcag: { id, name, level } } (same shape as plugin lint)
+
+import { isLikelyHeading } from './focusables.js';
+
+const WCAG = {
+  infoRelationships: { id: '1.3.1', name: 'Info and Relationships', level: 'A' },
+  meaningfulSequence: { id: '1.3.2', name: 'Meaningful Sequence', level: 'A' }
+};
+
+const HEADING_SCALE = 1.2;   // at least this much larger than body text
+const MAX_HEADING_CHARS = 120;
+const ROW_TOLERANCE = 6;     // px, same as readingOrder
+
+function finding(rule, severity, h, message, wcag) {
+  return { rule, severity, nodeId: h ? h.id : null, nodeName: h ? h.name : null, message, wcag };
+}
+
+// Body size = font size covering the most characters
+function bodyFontSize(candidates) {
+  const weight = new Map();
+  for (const c of candidates) {
+    const n = (c.text || '').length;
+    weight.set(c.fontSize, (weight.get(c.fontSize) || 0) + n);
+  }
+  let best = null;
+  let bestWeight = -1;
+  for (const [size, w] of weight) {
+    if (w > bestWeight || (w === bestWeight && size < best)) {
+      best = size;
+      bestWeight = w;
+    }
+  }
+  return best;
+}
+
+function namedLevel(name) {
+  const m = /^h([1-6])\b/i.exec(String(name || '').trim());
+  return m ? Number(m[1]) : null;
+}
+
+function visualOrder(a, b) {
+  const dy = a.box.y - b.box.y;
+  if (Math.abs(dy) > ROW_TOLERANCE) return dy;
+  return a.box.x - b.box.x;
+}
+
+function isHeadingCandidate(c, body) {
+  if (c.level) return true;
+  if (c.inControl || !c.text || c.text.length > MAX_HEADING_CHARS) return false;
+  if (namedLevel(c.name)) return true;
+  return isLikelyHeading(c) || (body && c.fontSize >= body * HEADING_SCALE);
+}
+
+/**
+ * Infer the heading outline for one frame and validate it.
+ * @param {Array<Object>} rawCandidates - Text layer candidates from the plugin
+ * @param {Object} [options] - { platform }
+ * @returns {{ outline: Array<Object>, issues: Array<Object> }}
+ */
+function analyzeHeadings(rawCandidates, options = {}) {
+  const candidates = (Array.isArray(rawCandidates) ? rawCandidates : []).filter(c =>
+    c && typeof c.id === 'string' && c.box && Number.isFinite(c.fontSize));
+  const body = bodyFontSize(candidates);
+  const headings = candidates.filter(c => isHeadingCandidate(c, body)).sort(visualOrder);
+
+  // Distinct sizes among inferred headings, largest first → h1, h2, …
+  const sizes = [...new Set(headings.filter(h => !h.level && !namedLevel(h.name)).map(h => h.fontSize))]
+    .sort((a, b) => b - a);
+  const outline = headings.map(h => {
+    const explicit = Number.isInteger(h.level) && h.level >= 1 && h.level <= 6 ? h.level : null;
+    const named = namedLevel(h.name);
+    const level = explicit || named || Math.min(6, sizes.indexOf(h.fontSize) + 1);
+    return {
+      id: h.id,
+      name: h.name,
+      text: h.text,
+      level,
+      source: explicit ? 'tag' : named ? 'name' : 'type-scale',
+      fontSize: h.fontSize,
+      box: h.box
+    };
+  });
+
+  const issues = [];
+  const h1s = outline.filter(h => h.level === 1);
+  if (outline.length && h1s.length === 0 && options.platform !== 'rn') {
+    issues.push(finding('missing-h1', 'info', null, 'No level 1 heading on this screen', WCAG.infoRelationships));
+  }
+  h1s.slice(1).forEach(h => issues.push(finding('multiple-h1', 'warning', h,
+    `"${h.text}" is another level 1 heading (first is "${h1s[0].text}")`, WCAG.infoRelationships)));
+
+  // Layer order is what usually becomes DOM order; it must match what people see
+  const byLayer = new Map(headings.map(c => [c.id, c.layerIndex]));
+  let prevLevel = 0;
+  outline.forEach((h, i) => {
+    if (h.level > prevLevel + 1) {
+      issues.push(finding('skipped-level', 'warning', h,
+        `"${h.text}" jumps from ${prevLevel ? 'h' + prevLevel : 'the top'} to h${h.level}`, WCAG.infoRelationships));
+    }
+    prevLevel = h.level;
+
+    const prev = outline[i - 1];
+    if (prev && Number.isFinite(byLayer.get(h.id)) && Number.isFinite(byLayer.get(prev.id)) && byLayer.get(h.id) < byLayer.get(prev.id)) {
+      issues.push(finding('heading-order', 'warning', h,
+        `"${h.text}" comes before "${prev.text}" in the layer order but after it visually`, WCAG.meaningfulSequence));
+    }
+  });
+
+  return { outline, issues };
+}
+
+export { analyzeHeadings };
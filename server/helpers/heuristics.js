@@ -0,0 +1,192 @@
+// helpers/heuristics.js
+// Rule-based focus order: no model, no API key. Serves requests with mode: 'heuristic'
+// and is the fallback whenever the model fails. Items are grouped into regions (plugin
+// landmarks, else the top and bottom bands of the frame); regions are read top to
+// bottom, and inside a region items cluster into rows by vertical overlap and rows into
+// columns by horizontal overlap, so a card is followed by the buttons on it. Right-to-left
+// frames mirror every horizontal step; vertical writing modes read columns first.
+//
+// Item (from the plugin): { id, name, type, role?, box?: { x, y, w, h }, x, y, w, h, inference? }
+// Result: [{ id, label, role }]
+
+import { landmarkRole } from './regions.js';
+import { DEFAULT_FLOW } from './direction.js';
+
+const BAND = 0.12;          // top / bottom share of the frame read as header / tab bar
+const OVERLAP = 0.5;        // share of the smaller extent two items must share to be one row / column
+const SKIP_LINK_RE = /\bskip (to|navigation|nav|main|content)\b/i;
+
+// Checked in order; the first match wins
+const ROLE_NAMES = [
+  ['heading', /^h[1-6]\b|\b(heading|title)\b/i],
+  ['link', /\b(link|learn more|details|forgot)\b/i],
+  ['switch', /\b(switch|toggle)\b/i],
+  ['checkbox', /\bcheck ?box\b/i],
+  ['tab', /\btab\b/i],
+  ['textbox', /\b(input|text ?field|textbox|email|password)\b/i],
+  ['search', /\bsearch\b/i]
+];
+const VAGUE_ROLES = ['generic', 'landmark', 'item', 'none', ''];
+// accessibilityRole names where they differ from ARIA
+const RN_ROLES = { heading: 'header', textbox: 'textfield' };
+
+function roleFor(item, platform) {
+  const explicit = String(item.role || '').toLowerCase();
+  if (!VAGUE_ROLES.includes(explicit)) return explicit;
+  if (platform === 'rn' && item.inference && item.inference.rnRole) return item.inference.rnRole;
+  const hit = ROLE_NAMES.find(([, re]) => re.test(item.name || ''));
+  const role = hit ? hit[0] : 'button';
+  return platform === 'rn' ? RN_ROLES[role] || role : role;
+}
+
+// "btn-primary Sign in button" → "Sign in"; visible text wins when the plugin inferred it
+function labelFor(item, index) {
+  const text = item.inference && item.inference.text;
+  if (text) return String(text).trim();
+  const name = String(item.name || '')
+    .replace(/^(button|btn|link|input)[-_ ]+/i, '')
+    .replace(/[-_ ]+(button|btn|link|input)$/i, '')
+    .replace(/[-_]+/g, ' ')
+    .trim();
+  return name || `Item ${index + 1}`;
+}
+
+function boxOf(item) {
+  const b = item.box && Number.isFinite(item.box.x) ? item.box : { x: item.x, y: item.y, w: item.w, h: item.h };
+  return [b.x, b.y].every(Number.isFinite) ? { x: b.x, y: b.y, w: b.w || 0, h: b.h || 0 } : null;
+}
+
+function contains(outer, inner) {
+  const cx = inner.x + inner.w / 2;
+  const cy = inner.y + inner.h / 2;
+  return cx >= outer.x && cx <= outer.x + outer.w && cy >= outer.y && cy <= outer.y + outer.h;
+}
+
+function overlapShare(a0, a1, b0, b1) {
+  const shared = Math.min(a1, b1) - Math.max(a0, b0);
+  const smaller = Math.min(a1 - a0, b1 - b0);
+  if (smaller <= 0) return a0 === b0 ? 1 : 0;
+  return Math.max(0, shared) / smaller;
+}
+
+// Greedy 1-D clustering along one axis ('y' → rows, 'x' → columns)
+function cluster(entries, axis) {
+  const size = axis === 'y' ? 'h' : 'w';
+  const sorted = entries.slice().sort((a, b) => a.box[axis] - b.box[axis]);
+  const groups = [];
+  for (const e of sorted) {
+    const last = groups[groups.length - 1];
+    const start = e.box[axis];
+    const end = start + e.box[size];
+    if (last && overlapShare(last.start, last.end, start, end) >= OVERLAP) {
+      last.items.push(e);
+      last.end = Math.max(last.end, end);
+    } else {
+      groups.push({ start, end, items: [e] });
+    }
+  }
+  return groups;
+}
+
+function isVertical(flow) {
+  return flow.writingMode === 'vertical-rl' || flow.writingMode === 'vertical-lr';
+}
+
+// Right-to-left rows and vertical-rl columns read the x axis backwards
+function isMirrored(flow) {
+  return isVertical(flow) ? flow.writingMode === 'vertical-rl' : flow.direction === 'rtl';
+}
+
+function alongX(groups, flow) {
+  return isMirrored(flow) ? groups.slice().reverse() : groups;
+}
+
+// Horizontal: rows top to bottom; within a row, columns along the direction; within a column, top to bottom.
+// Vertical: columns along the writing mode; within a column, top to bottom.
+function readRegion(entries, flow) {
+  const out = [];
+  const byY = items => items.slice().sort((a, b) => a.box.y - b.box.y);
+  if (isVertical(flow)) {
+    alongX(cluster(entries, 'x'), flow).forEach(col => out.push(...byY(col.items)));
+    return out;
+  }
+  cluster(entries, 'y').forEach(row => {
+    alongX(cluster(row.items, 'x'), flow).forEach(col => out.push(...byY(col.items)));
+  });
+  return out;
+}
+
+function frameHeight(frameBox, entries) {
+  if (frameBox && Number.isFinite(frameBox.h) && frameBox.h > 0) return frameBox.h;
+  return Math.max(1, ...entries.map(e => e.box.y + e.box.h));
+}
+
+/**
+ * Order focusable items without a model.
+ * @param {Array<Object>} focusableItems - Items as sent to /annotate
+ * @param {Object} [options] - { platform, landmarks, frameBox, flow } (flow from helpers/direction.js)
+ * @returns {Array<Object>} [{ id, label, role }]
+ */
+function heuristicOrder(focusableItems, options = {}) {
+  const platform = options.platform === 'rn' ? 'rn' : 'web';
+  const flow = options.flow || DEFAULT_FLOW;
+  const rtl = flow.direction === 'rtl';
+  const entries = (focusableItems || [])
+    .filter(it => it && typeof it.id === 'string')
+    .map((it, i) => ({ item: it, index: i, box: boxOf(it), role: roleFor(it, platform) }));
+  const placed = entries.filter(e => e.box);
+  const unplaced = entries.filter(e => !e.box);
+
+  const landmarks = (options.landmarks || [])
+    .filter(l => l && l.box && typeof l.id === 'string')
+    .map(l => ({ id: l.id, role: landmarkRole(l.name, l.role), box: l.box }))
+    .filter(l => l.role)
+    .sort((a, b) => a.box.w * a.box.h - b.box.w * b.box.h);
+
+  // Smallest landmark around the item, else the header / bottom band, else main
+  const height = frameHeight(options.frameBox, placed);
+  const regions = new Map();
+  placed.forEach(e => {
+    const lm = landmarks.find(l => contains(l.box, e.box));
+    const cy = e.box.y + e.box.h / 2;
+    const key = lm ? lm.id : cy < height * BAND ? 'top' : cy > height * (1 - BAND) ? 'bottom' : 'main';
+    if (!regions.has(key)) regions.set(key, { key, role: lm ? lm.role : key, box: lm ? lm.box : null, entries: [] });
+    regions.get(key).entries.push(e);
+  });
+
+  // Landmarks by their own box, so a sidebar reads before the main column beside it
+  const top = r => r.box ? r.box.y : Math.min(...r.entries.map(e => e.box.y));
+  const left = r => r.box ? r.box.x : Math.min(...r.entries.map(e => e.box.x));
+  const right = r => r.box ? r.box.x + r.box.w : Math.max(...r.entries.map(e => e.box.x + e.box.w));
+  const across = (a, b) => isMirrored(flow) ? right(b) - right(a) : left(a) - left(b);
+  const ordered = [...regions.values()].sort((a, b) => isVertical(flow)
+    ? across(a, b) || (top(a) - top(b))
+    : (top(a) - top(b)) || across(a, b));
+
+  let sequence = [];
+  const last = [];
+  ordered.forEach(r => {
+    const read = readRegion(r.entries, flow);
+    // React Native: the tab bar is the last stop even when content scrolls past it
+    const isTabBar = platform === 'rn' && (r.role === 'navigation' || (r.key === 'bottom' && read.some(e => e.role === 'tab')));
+    if (isTabBar) last.push(...read);
+    else sequence.push(...read);
+  });
+  if (platform === 'rn') {
+    // Bottom tab rows that weren't in a band or landmark (tall scrolling frames)
+    const tabRow = cluster(sequence.filter(e => e.role === 'tab' && e.box.y > height / 2), 'y').filter(row => row.items.length > 1);
+    const moved = new Set(tabRow.flatMap(row => row.items));
+    sequence = sequence.filter(e => !moved.has(e)).concat([...moved].sort((a, b) => rtl ? b.box.x - a.box.x : a.box.x - b.box.x));
+  }
+  sequence = sequence.concat(last, unplaced);
+
+  // Web: skip links come first wherever they sit
+  if (platform === 'web') {
+    const skip = sequence.filter(e => SKIP_LINK_RE.test(e.item.name || ''));
+    sequence = skip.concat(sequence.filter(e => !skip.includes(e)));
+  }
+
+  return sequence.map(e => ({ id: e.item.id, label: labelFor(e.item, e.index), role: e.role }));
+}
+
+export { heuristicOrder };
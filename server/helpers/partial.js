@@ -0,0 +1,51 @@
+// helpers/partial.js
+// Reads the focus order out of a model reply that is still streaming: every item object
+// in the first "order" array that has been closed so far, in order. Incomplete items and
+// anything after the array are ignored, so the result only ever grows as text arrives.
+//
+// '{"annotations":[{"frameId":"1","order":[{"id":"a","label":"Email"},{"id":"b","lab'
+//   → [{ id: 'a', label: 'Email' }]
+
+const ORDER_KEY_RE = /"order"\s*:\s*\[/;
+
+/**
+ * Complete items of the order array in partial JSON.
+ * @param {string} text - The reply so far
+ * @returns {Array<Object>} parsed items (objects with a string id)
+ */
+function partialOrder(text) {
+  const match = ORDER_KEY_RE.exec(text || '');
+  if (!match) return [];
+  const items = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+  for (let i = match.index + match[0].length; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') {
+      if (depth === 0 && ch === '{') start = i;
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      if (depth === 0) break; // end of the order array
+      depth--;
+      if (depth === 0 && ch === '}' && start !== -1) {
+        try {
+          const item = JSON.parse(text.slice(start, i + 1));
+          if (item && typeof item.id === 'string') items.push(item);
+        } catch (e) { /* not an item */ }
+        start = -1;
+      }
+    }
+  }
+  return items;
+}
+
+export { partialOrder };
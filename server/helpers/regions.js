@@ -0,0 +1,145 @@
+// helpers/regions.js
+// Page structure for handoff: which focus items belong to which landmark, and which
+// heading section inside it. Landmark candidates come from the plugin (containers
+// tagged with an a11y-role or named like one); boxes are frame-relative { x, y, w, h }.
+//
+// Region: { id, role, label, box, implicit?, items: [id], sections?: [{ headingId, label, items }], children: [Region] }
+
+const LANDMARK_ROLES = ['banner', 'navigation', 'search', 'main', 'complementary', 'contentinfo', 'form', 'region'];
+
+// Checked in order: "nav bar" is an iOS top bar (banner), not a navigation list
+const LANDMARK_NAMES = [
+  ['banner', /\b(header|masthead|banner|app ?bar|top ?bar|nav ?bar|toolbar)\b/i],
+  ['navigation', /\b(nav|navigation|menu|tab ?bar|bottom ?nav|breadcrumbs?)\b/i],
+  ['contentinfo', /\bfooter\b/i],
+  ['search', /\bsearch ?(bar|box|area)?\b/i],
+  ['complementary', /\b(sidebar|side ?panel|aside)\b/i],
+  ['form', /\bform\b/i],
+  ['main', /\b(main|content)\b/i]
+];
+const ROLE_ALIASES = { header: 'banner', nav: 'navigation', footer: 'contentinfo', aside: 'complementary' };
+
+const HEADING_ROLES = ['heading', 'header'];
+
+function landmarkRole(name, role) {
+  const r = String(role || '').toLowerCase();
+  const explicit = ROLE_ALIASES[r] || r;
+  if (LANDMARK_ROLES.includes(explicit)) return explicit;
+  for (const [candidate, re] of LANDMARK_NAMES) {
+    if (re.test(name || '')) return candidate;
+  }
+  // The plugin's generic name guess ("hero", "top nav") still marks a region
+  return explicit === 'landmark' ? 'region' : null;
+}
+
+function validBox(b) {
+  return b && [b.x, b.y, b.w, b.h].every(Number.isFinite) && b.w > 0 && b.h > 0;
+}
+
+function itemBox(item) {
+  if (validBox(item.box)) return item.box;
+  const b = { x: item.x, y: item.y, w: item.w, h: item.h };
+  return validBox(b) ? b : null;
+}
+
+function contains(outer, inner) {
+  const cx = inner.x + inner.w / 2;
+  const cy = inner.y + inner.h / 2;
+  return cx >= outer.x && cx <= outer.x + outer.w && cy >= outer.y && cy <= outer.y + outer.h;
+}
+
+function area(b) {
+  return b.w * b.h;
+}
+
+function union(boxes) {
+  if (!boxes.length) return null;
+  const x = Math.min(...boxes.map(b => b.x));
+  const y = Math.min(...boxes.map(b => b.y));
+  const r = Math.max(...boxes.map(b => b.x + b.w));
+  const btm = Math.max(...boxes.map(b => b.y + b.h));
+  return { x, y, w: r - x, h: btm - y };
+}
+
+function normalizeLandmarks(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(l => l && typeof l.id === 'string' && validBox(l.box))
+    .map(l => ({ id: l.id, label: String(l.name || l.label || ''), role: landmarkRole(l.name, l.role), box: l.box }))
+    .filter(l => l.role);
+}
+
+// Items in focus order, split at every heading item into sections
+function sectionsOf(items, byId) {
+  if (!items.some(id => HEADING_ROLES.includes(byId.get(id).role))) return undefined;
+  const sections = [];
+  let current = null;
+  for (const id of items) {
+    const it = byId.get(id);
+    if (HEADING_ROLES.includes(it.role) || !current) {
+      const isHeading = HEADING_ROLES.includes(it.role);
+      current = { headingId: isHeading ? id : null, label: isHeading ? it.label : null, items: [] };
+      sections.push(current);
+    }
+    current.items.push(id);
+  }
+  return sections;
+}
+
+/**
+ * Build the region tree for an annotated order.
+ * @param {Array<Object>} order - Final { id, label, role } focus order
+ * @param {Array<Object>} focusableItems - Request items (box or x/y/w/h for geometry)
+ * @param {Array<Object>} rawLandmarks - [{ id, name, role?, box }] from the plugin
+ * @returns {Array<Object>} Top-level regions in focus order
+ */
+function buildRegions(order, focusableItems, rawLandmarks) {
+  const landmarks = normalizeLandmarks(rawLandmarks);
+  const boxes = new Map((focusableItems || []).map(it => [it.id, itemBox(it)]));
+  const byId = new Map(order.map(it => [it.id, it]));
+
+  // Smallest enclosing landmark is the parent; items go to the smallest landmark around them
+  const nodes = landmarks
+    .sort((a, b) => area(a.box) - area(b.box))
+    .map(l => ({ id: l.id, role: l.role, label: l.label, box: l.box, items: [], children: [] }));
+  const parentOf = new Map();
+  nodes.forEach((n, i) => {
+    const parent = nodes.slice(i + 1).find(p => area(p.box) > area(n.box) && contains(p.box, n.box));
+    if (parent) parentOf.set(n, parent);
+  });
+
+  const main = { id: 'implicit-main', role: 'main', label: '', box: null, implicit: true, items: [], children: [] };
+  for (const it of order) {
+    const box = boxes.get(it.id);
+    const home = (box && nodes.find(n => contains(n.box, box))) || main;
+    home.items.push(it.id);
+  }
+
+  const firstIndex = new Map(order.map((it, i) => [it.id, i]));
+  const rank = (n) => {
+    const own = n.items.length ? firstIndex.get(n.items[0]) : Infinity;
+    return Math.min(own, ...n.children.map(rank));
+  };
+  const byRank = (a, b) => (rank(a) - rank(b)) || ((a.box ? a.box.y : 0) - (b.box ? b.box.y : 0));
+
+  const roots = [];
+  for (const n of nodes) {
+    const parent = parentOf.get(n);
+    if (parent) parent.children.push(n);
+    else roots.push(n);
+  }
+  if (main.items.length) {
+    main.box = union(main.items.map(id => boxes.get(id)).filter(Boolean));
+    roots.push(main);
+  }
+
+  const finish = (n) => {
+    n.children.sort(byRank).forEach(finish);
+    const sections = sectionsOf(n.items, byId);
+    if (sections) n.sections = sections;
+    return n;
+  };
+  return roots.sort(byRank).map(finish);
+}
+
+export { buildRegions, landmarkRole };
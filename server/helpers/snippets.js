@@ -0,0 +1,201 @@
+// helpers/snippets.js
+// Starter code from a saved focus order. DOM / JSX order == focus order, so neither
+// output uses positive tabindex; landmarks wrap the items that belong to them.
+//
+// Input frame: { frameName, platform, size?: { w, h },
+//                items: [{ id, label, role, hint?, state?, region?, bounds?: { x, y, w, h } }] }
+// state (helpers/state.js) becomes ARIA / native attributes on the web and
+// accessibilityState in React Native.
+
+import { cleanState } from './state.js';
+
+const LANDMARKS = ['banner', 'navigation', 'search', 'main', 'complementary', 'contentinfo'];
+const LANDMARK_TAG = {
+  banner: 'header',
+  navigation: 'nav',
+  search: 'search',
+  main: 'main',
+  complementary: 'aside',
+  contentinfo: 'footer'
+};
+const REGION_ALIASES = { header: 'banner', nav: 'navigation', footer: 'contentinfo', aside: 'complementary' };
+
+// Items without an explicit region: top band → banner, bottom band → contentinfo, else main
+const EDGE_BAND = 0.12;
+
+function regionOf(item, size) {
+  const r = String(item.region || '').toLowerCase();
+  const named = REGION_ALIASES[r] || r;
+  if (LANDMARKS.includes(named)) return named;
+  const b = item.bounds;
+  if (!b || !size || !size.h) return 'main';
+  const cy = b.y + b.h / 2;
+  if (cy < size.h * EDGE_BAND) return 'banner';
+  if (cy > size.h * (1 - EDGE_BAND)) return 'contentinfo';
+  return 'main';
+}
+
+// Consecutive items in the same region form one landmark block (order is never changed)
+function groupByRegion(items, size) {
+  const blocks = [];
+  for (const item of items) {
+    const region = regionOf(item, size);
+    const last = blocks[blocks.length - 1];
+    if (last && last.region === region) last.items.push(item);
+    else blocks.push({ region, items: [item] });
+  }
+  return blocks;
+}
+
+function escapeHtml(s) {
+  return String(s == null ? '' : s)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Roles rendered as native form controls, which take `checked` / `disabled` themselves
+const NATIVE_ROLES = ['button', 'switch', 'tab', 'menuitem', 'textbox', 'input', 'textfield', 'search', 'searchbox',
+  'checkbox', 'radio', 'slider', 'adjustable', 'combobox', 'select'];
+
+// " aria-checked="true" disabled"; switches and tabs always say whether they're on
+function webState(role, state) {
+  const attrs = [];
+  if (role === 'checkbox' || role === 'radio') {
+    if (state.checked) attrs.push('checked');
+  } else if (role === 'switch' || typeof state.checked === 'boolean') {
+    attrs.push(`aria-checked="${state.checked === true}"`);
+  }
+  if (role === 'tab' || typeof state.selected === 'boolean') attrs.push(`aria-selected="${state.selected === true}"`);
+  if (typeof state.expanded === 'boolean') attrs.push(`aria-expanded="${state.expanded}"`);
+  if (typeof state.pressed === 'boolean') attrs.push(`aria-pressed="${state.pressed}"`);
+  if (state.disabled) attrs.push(NATIVE_ROLES.includes(role) ? 'disabled' : 'aria-disabled="true"');
+  return attrs.map(a => ' ' + a).join('');
+}
+
+function htmlElement(item) {
+  const label = escapeHtml(item.label);
+  const role = String(item.role || 'button').toLowerCase();
+  const hint = item.hint ? ` aria-description="${escapeHtml(item.hint)}"` : '';
+  const state = webState(role, cleanState(item.state) || {});
+  switch (role) {
+    case 'link': return `<a href="#"${state}${hint}>${label}</a>`;
+    case 'textbox':
+    case 'input':
+    case 'textfield': return `<input type="text" aria-label="${label}"${state}${hint}>`;
+    case 'search':
+    case 'searchbox': return `<input type="search" aria-label="${label}"${state}${hint}>`;
+    case 'checkbox': return `<input type="checkbox" aria-label="${label}"${state}${hint}>`;
+    case 'radio': return `<input type="radio" aria-label="${label}"${state}${hint}>`;
+    case 'slider':
+    case 'adjustable': return `<input type="range" aria-label="${label}"${state}${hint}>`;
+    case 'combobox':
+    case 'select': return `<select aria-label="${label}"${state}${hint}></select>`;
+    case 'switch': return `<button type="button" role="switch"${state}${hint}>${label}</button>`;
+    case 'tab': return `<button type="button" role="tab"${state}${hint}>${label}</button>`;
+    case 'menuitem': return `<button type="button" role="menuitem"${state}${hint}>${label}</button>`;
+    case 'heading':
+    case 'header': return `<h2 tabindex="-1">${label}</h2>`;
+    case 'image':
+    case 'img': return `<img src="" alt="${label}">`;
+    case 'button': return `<button type="button"${state}${hint}>${label}</button>`;
+    default: return `<div role="${escapeHtml(role)}" tabindex="0" aria-label="${label}"${state}${hint}></div>`;
+  }
+}
+
+function generateWebSnippet(frame) {
+  const lines = [`<!-- Focus order: ${escapeHtml(frame.frameName)} (web). DOM order is the focus order; avoid positive tabindex. -->`];
+  for (const block of groupByRegion(frame.items || [], frame.size)) {
+    const tag = LANDMARK_TAG[block.region];
+    lines.push(`<${tag}>`);
+    for (const item of block.items) lines.push(`  ${htmlElement(item)}`);
+    lines.push(`</${tag}>`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// accessibilityRole only accepts a fixed set in React Native
+const RN_ROLE = {
+  button: 'button',
+  link: 'link',
+  search: 'search',
+  searchbox: 'search',
+  image: 'image',
+  img: 'image',
+  heading: 'header',
+  header: 'header',
+  checkbox: 'checkbox',
+  radio: 'radio',
+  switch: 'switch',
+  tab: 'tab',
+  tablist: 'tablist',
+  menuitem: 'menuitem',
+  slider: 'adjustable',
+  adjustable: 'adjustable',
+  combobox: 'combobox',
+  select: 'combobox',
+  progressbar: 'progressbar',
+  text: 'text',
+  alert: 'alert'
+};
+const RN_INPUT_ROLES = ['textbox', 'input', 'textfield'];
+
+function jsxAttr(s) {
+  const str = String(s == null ? '' : s);
+  return /["{}\\\n]/.test(str) ? `{${JSON.stringify(str)}}` : `"${str}"`;
+}
+
+function jsxText(s) {
+  return String(s == null ? '' : s).replace(/[{}<>]/g, c => `{'${c}'}`);
+}
+
+// " accessibilityState={{ checked: true, disabled: true }}"
+function rnState(state) {
+  if (!state) return '';
+  return ` accessibilityState={{ ${Object.keys(state).map(k => `${k}: ${state[k]}`).join(', ')} }}`;
+}
+
+function rnElement(item, indent) {
+  const role = String(item.role || 'button').toLowerCase();
+  const hint = item.hint ? ` accessibilityHint=${jsxAttr(item.hint)}` : '';
+  const label = ` accessibilityLabel=${jsxAttr(item.label)}`;
+  const state = rnState(cleanState(item.state));
+  if (RN_INPUT_ROLES.includes(role)) {
+    return `${indent}<TextInput accessible${label}${hint}${state} />`;
+  }
+  const rnRole = RN_ROLE[role] || 'button';
+  const tag = rnRole === 'header' || rnRole === 'text' ? 'Text' : 'Pressable';
+  const press = tag === 'Pressable' ? ' onPress={() => {}}' : '';
+  const open = `${indent}<${tag} accessible accessibilityRole="${rnRole}"${label}${hint}${state}${press}>`;
+  if (tag === 'Text') return `${open}${jsxText(item.label)}</Text>`;
+  return `${open}\n${indent}  <Text>${jsxText(item.label)}</Text>\n${indent}</Pressable>`;
+}
+
+function componentName(frameName) {
+  const words = String(frameName || '').match(/[A-Za-z0-9]+/g) || [];
+  const base = words.map(w => w[0].toUpperCase() + w.slice(1)).join('') || 'Annotated';
+  return (/^[0-9]/.test(base) ? 'Screen' : '') + base + (/Screen$/.test(base) ? '' : 'Screen');
+}
+
+function generateRNSnippet(frame) {
+  const name = componentName(frame.frameName);
+  const lines = [
+    "import React from 'react';",
+    "import { View, Text, Pressable, TextInput } from 'react-native';",
+    '',
+    `// Focus order: ${String(frame.frameName || '').replace(/\n/g, ' ')} (React Native). JSX order is the screen-reader order.`,
+    `export default function ${name}() {`,
+    '  return (',
+    '    <View>'
+  ];
+  for (const item of frame.items || []) lines.push(rnElement(item, '      '));
+  lines.push('    </View>', '  );', '}');
+  return lines.join('\n') + '\n';
+}
+
+function generateSnippet(frame, platform) {
+  const target = platform || frame.platform || 'web';
+  return target === 'rn'
+    ? { language: 'jsx', code: generateRNSnippet(frame) }
+    : { language: 'html', code: generateWebSnippet(frame) };
+}
+
+export { generateSnippet, generateWebSnippet, generateRNSnippet, groupByRegion };
@@ -0,0 +1,41 @@
+// helpers/state.js
+// Control state read by the plugin from an instance's component / variant properties
+// (Checked=On, State=Selected, Expanded=true…). Only the five ARIA-style flags below
+// survive, each a boolean; anything else is dropped. The design's state wins over
+// whatever the model returns for the same item.
+//
+// State: { checked?, selected?, expanded?, disabled?, pressed? } (booleans)
+
+const STATE_KEYS = ['checked', 'selected', 'expanded', 'disabled', 'pressed'];
+
+/**
+ * Keep the known flags with boolean values.
+ * @param {*} state
+ * @returns {Object|undefined} undefined when nothing is left
+ */
+function cleanState(state) {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) return undefined;
+  const out = {};
+  for (const key of STATE_KEYS) {
+    if (typeof state[key] === 'boolean') out[key] = state[key];
+  }
+  return Object.keys(out).length ? out : undefined;
+}
+
+/**
+ * Put the submitted items' state on an order (over any state the model gave).
+ * @param {Array<Object>} order - [{ id, label, role, state? }]
+ * @param {Array<Object>} focusableItems - Items as sent to /annotate
+ * @returns {Array<Object>} order with `state` where known
+ */
+function withStates(order, focusableItems) {
+  const byId = new Map((focusableItems || []).map(it => [it && it.id, cleanState(it && it.state)]));
+  return order.map(it => {
+    const state = cleanState(Object.assign({}, it.state, byId.get(it.id)));
+    const out = Object.assign({}, it);
+    delete out.state;
+    return state ? Object.assign(out, { state }) : out;
+  });
+}
+
+export { cleanState, withStates, STATE_KEYS };
@@ -0,0 +1,169 @@
+// prompts/index.js
+// Versioned system prompt registry. Every `<kind>-v<N>[-<variant>].md` file in this
+// directory is loaded at startup (kind = vision | text) and validated; a request can pin
+// a version, and experiments spread frames across variants by weight.
+//
+// Prompt: { id, kind, version, variant, file, body }
+// Placeholders: {PLATFORM} (required), {READING_ORDER} (optional, the frame's reading direction)
+// Experiments (prompts/experiments.json or PROMPT_EXPERIMENTS): { vision: { id: weight }, text: { id: weight } }
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const PROMPT_FILE_RE = /^(vision|text)-v(\d+)(?:-([a-z0-9-]+))?\.md$/;
+const PLACEHOLDERS = ['PLATFORM', 'READING_ORDER'];
+// Optional placeholders and what they render as when the caller gives no value
+const PLACEHOLDER_DEFAULTS = { READING_ORDER: 'top→bottom, left→right' };
+const KINDS = ['vision', 'text'];
+
+// System prompt = the section between "## System Prompt" and the next "---"
+function extractSystemPrompt(content) {
+  const match = content.match(/## System Prompt\s+([\s\S]*?)\n---/);
+  if (match && match[1]) return match[1].trim();
+  const rest = content.split('## System Prompt')[1];
+  return rest ? rest.trim() : content.trim();
+}
+
+function validatePrompt(body) {
+  const errors = [];
+  if (!body) errors.push('empty system prompt');
+  const used = [...new Set((body.match(/\{([A-Z_]+)\}/g) || []).map(p => p.slice(1, -1)))];
+  used.filter(p => !PLACEHOLDERS.includes(p)).forEach(p => errors.push(`unknown placeholder {${p}}`));
+  if (!used.includes('PLATFORM')) errors.push('missing {PLATFORM} placeholder');
+  return errors;
+}
+
+function loadPromptDir(dir) {
+  const prompts = new Map();
+  const errors = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const m = PROMPT_FILE_RE.exec(file);
+    if (!m) continue;
+    const id = file.replace(/\.md$/, '');
+    try {
+      const body = extractSystemPrompt(fs.readFileSync(path.join(dir, file), 'utf-8'));
+      const problems = validatePrompt(body);
+      if (problems.length) {
+        errors.push({ file, error: problems.join('; ') });
+        continue;
+      }
+      prompts.set(id, { id, kind: m[1], version: Number(m[2]), variant: m[3] || null, file, body });
+    } catch (e) {
+      errors.push({ file, error: e.message });
+    }
+  }
+  return { prompts, errors };
+}
+
+function experimentsFromEnv(dir) {
+  try {
+    if (process.env.PROMPT_EXPERIMENTS) return JSON.parse(process.env.PROMPT_EXPERIMENTS);
+    const file = path.join(dir, 'experiments.json');
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {};
+  } catch (e) {
+    console.error('[SRV] Ignoring invalid prompt experiments:', e.message);
+    return {};
+  }
+}
+
+// Deterministic for a seed, so a frame keeps its variant (and its cache entry) across runs
+function pickWeighted(weights, seed) {
+  const entries = Object.entries(weights).filter(([, w]) => Number.isFinite(w) && w > 0);
+  if (!entries.length) return null;
+  const total = entries.reduce((a, [, w]) => a + w, 0);
+  const r = seed
+    ? parseInt(crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, 8), 16) / 0x100000000
+    : Math.random();
+  let acc = 0;
+  for (const [id, w] of entries) {
+    acc += w / total;
+    if (r < acc) return id;
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Load every prompt in a directory.
+ * @param {Object} [options] - { dir, experiments, fallback: { id, body } used when a kind has no prompt }
+ * @returns {Object} registry: get, list, select, render, errors
+ */
+function createPromptRegistry(options = {}) {
+  const dir = options.dir || path.dirname(fileURLToPath(import.meta.url));
+  const { prompts, errors } = loadPromptDir(dir);
+  const experiments = options.experiments || experimentsFromEnv(dir);
+  const fallback = options.fallback ? Object.assign({ kind: null, version: 1, variant: null, file: null }, options.fallback) : null;
+
+  const get = (id) => prompts.get(id) || (fallback && fallback.id === id ? fallback : null);
+
+  // Newest version without a variant suffix
+  function defaultFor(kind) {
+    const base = [...prompts.values()].filter(p => p.kind === kind && !p.variant).sort((a, b) => b.version - a.version);
+    return base[0] || [...prompts.values()].find(p => p.kind === kind) || fallback;
+  }
+
+  // A prompt serves a kind when it was written for it (the fallback serves both)
+  const serves = (prompt, kind) => !kind || !prompt.kind || prompt.kind === kind;
+
+  // Weights for prompts that exist and serve this kind
+  function knownWeights(weights, kind) {
+    if (!weights || typeof weights !== 'object') return null;
+    const known = Object.fromEntries(Object.entries(weights).filter(([id]) => get(id) && serves(get(id), kind)));
+    return Object.keys(known).length ? known : null;
+  }
+
+  /**
+   * Pick the prompt for one frame.
+   * @param {Object} req - { kind, requested?: id, weights?: { id: weight }, seed? }
+   * @returns {{ prompt: Object, via: 'request'|'experiment'|'default' }}
+   * @throws {Error} unknown requested version, or one written for the other kind (err.status = 400)
+   */
+  function select({ kind, requested, weights, seed }) {
+    if (requested) {
+      const prompt = get(requested);
+      if (!prompt) {
+        const err = new Error(`Unknown prompt version "${requested}"`);
+        err.status = 400;
+        throw err;
+      }
+      if (!serves(prompt, kind)) {
+        const err = new Error(`Prompt version "${requested}" is a ${prompt.kind} prompt; this frame needs a ${kind} prompt`);
+        err.status = 400;
+        throw err;
+      }
+      return { prompt, via: 'request' };
+    }
+    const pool = knownWeights(weights, kind) || knownWeights(experiments[kind], kind);
+    const picked = pool && pickWeighted(pool, seed);
+    if (picked) return { prompt: get(picked), via: 'experiment' };
+    return { prompt: defaultFor(kind), via: 'default' };
+  }
+
+  /**
+   * Fill a prompt's placeholders.
+   * @param {Object} prompt
+   * @param {string} platformLabel - "React Native" / "Web (ARIA/WCAG)"
+   * @param {Object} [vars] - Optional placeholders, e.g. { READING_ORDER: 'top→bottom, right→left' }
+   * @returns {string}
+   */
+  function render(prompt, platformLabel, vars = {}) {
+    const values = Object.assign({}, PLACEHOLDER_DEFAULTS, vars, { PLATFORM: platformLabel });
+    return Object.keys(values).reduce((body, key) => body.split(`{${key}}`).join(values[key]), prompt.body);
+  }
+
+  function list() {
+    const all = [...prompts.values()].concat(fallback ? [fallback] : []);
+    return all.map(p => ({
+      id: p.id,
+      kind: p.kind,
+      version: p.version,
+      variant: p.variant,
+      default: KINDS.some(k => defaultFor(k) === p),
+      weights: Object.fromEntries(KINDS.filter(k => experiments[k] && experiments[k][p.id]).map(k => [k, experiments[k][p.id]]))
+    }));
+  }
+
+  return { get, list, select, render, errors, experiments };
+}
+
+export { createPromptRegistry, validatePrompt, pickWeighted, extractSystemPrompt };
@@ -0,0 +1,89 @@
+// providers/anthropic.js
+// Anthropic Messages API over plain HTTP (no SDK dependency).
+import fetch from 'node-fetch';
+import { readEventStream } from './stream.js';
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+
+// Split a data URL into the { media_type, data } pair Anthropic expects
+function toImageBlock(dataUrl) {
+  const match = /^data:([^;]+);base64,(.*)$/.exec(dataUrl || '');
+  if (!match) return null;
+  return { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } };
+}
+
+// Text deltas go to onText; input tokens come with message_start, output tokens with message_delta
+async function readStreamedMessage(body, onText) {
+  let text = '';
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  await readEventStream(body, event => {
+    if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+      text += event.delta.text;
+      onText(event.delta.text);
+    } else if (event.type === 'message_start' && event.message && event.message.usage) {
+      usage.input_tokens = event.message.usage.input_tokens || 0;
+    } else if (event.type === 'message_delta' && event.usage) {
+      usage.output_tokens = event.usage.output_tokens || 0;
+    }
+  });
+  return {
+    content: text,
+    usage: {
+      promptTokens: usage.input_tokens,
+      completionTokens: usage.output_tokens,
+      totalTokens: usage.input_tokens + usage.output_tokens
+    }
+  };
+}
+
+const anthropicProvider = {
+  name: 'anthropic',
+  isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY),
+  models: () => ({
+    vision: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+    text: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest'
+  }),
+  async complete(req) {
+    const content = [];
+    const imageBlock = req.image ? toImageBlock(req.image) : null;
+    if (imageBlock) content.push(imageBlock);
+    content.push({ type: 'text', text: req.text + '\n\nRespond with the JSON object only.' });
+
+    const res = await fetch(process.env.ANTHROPIC_BASE_URL || ANTHROPIC_URL, {
+      method: 'POST',
+      headers: {
+        'x-api-key': process.env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: req.model,
+        max_tokens: 4096,
+        temperature: 0.0,
+        system: req.system,
+        messages: [{ role: 'user', content }],
+        stream: typeof req.onText === 'function'
+      })
+    });
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`Anthropic HTTP ${res.status}: ${text || res.statusText}`);
+    }
+
+    if (typeof req.onText === 'function') return readStreamedMessage(res.body, req.onText);
+
+    const body = await res.json();
+    const usage = body.usage || {};
+    return {
+      content: (body.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+      usage: {
+        promptTokens: usage.input_tokens || 0,
+        completionTokens: usage.output_tokens || 0,
+        totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+      }
+    };
+  }
+};
+
+export { anthropicProvider };
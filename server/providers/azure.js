@@ -0,0 +1,20 @@
+// providers/azure.js
+// Azure OpenAI: same chat API, but models are addressed by deployment name.
+import { AzureOpenAI } from 'openai';
+import { createChatProvider } from './openai.js';
+
+const azureProvider = createChatProvider({
+  name: 'azure',
+  isConfigured: () => Boolean(process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_ENDPOINT),
+  getClient: () => new AzureOpenAI({
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-08-01-preview'
+  }),
+  models: () => ({
+    vision: process.env.AZURE_OPENAI_VISION_DEPLOYMENT || process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4o',
+    text: process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4o-mini'
+  })
+});
+
+export { azureProvider };
@@ -0,0 +1,80 @@
+// providers/index.js
+// LLM provider registry. Every provider exposes the same surface:
+//   name, isConfigured(), models() → { vision, text }, complete(req) → { content, usage }
+// where req = { model, system, text, image, context, onText? }. With onText the reply is
+// streamed: onText(chunk) is called as text arrives (see providers/stream.js).
+import { openaiProvider } from './openai.js';
+import { azureProvider } from './azure.js';
+import { anthropicProvider } from './anthropic.js';
+import { localProvider } from './local.js';
+import { mockProvider } from './mock.js';
+import { replayProvider } from './replay.js';
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  azure: azureProvider,
+  anthropic: anthropicProvider,
+  local: localProvider,
+  mock: mockProvider,
+  replay: replayProvider
+};
+
+function defaultProviderName() {
+  return process.env.LLM_PROVIDER || 'openai';
+}
+
+/**
+ * Look up a provider by name (request override) or LLM_PROVIDER, configured or not.
+ * @param {string} [name]
+ * @returns {Object} provider
+ * @throws {Error} unknown provider (err.status = 400)
+ */
+function findProvider(name) {
+  const key = (name || defaultProviderName()).toLowerCase();
+  const provider = PROVIDERS[key];
+  if (!provider) {
+    const err = new Error(`Unknown provider "${key}"`);
+    err.status = 400;
+    throw err;
+  }
+  return provider;
+}
+
+/**
+ * Pick a provider by name (request override) or fall back to LLM_PROVIDER.
+ * @param {string} [name]
+ * @returns {Object} provider
+ * @throws {Error} unknown or unconfigured provider (err.status = 400)
+ */
+function resolveProvider(name) {
+  const key = (name || defaultProviderName()).toLowerCase();
+  const provider = findProvider(key);
+  if (!provider.isConfigured()) {
+    const err = new Error(`Provider "${key}" is not configured`);
+    err.status = 400;
+    throw err;
+  }
+  return provider;
+}
+
+function listProviders() {
+  return Object.keys(PROVIDERS).map(name => ({
+    name,
+    configured: PROVIDERS[name].isConfigured(),
+    models: PROVIDERS[name].models()
+  }));
+}
+
+// Models without a JSON mode may wrap the object in prose or code fences
+function parseModelJSON(content) {
+  if (typeof content !== 'string') return null;
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    const match = content.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try { return JSON.parse(match[0]); } catch (e2) { return null; }
+  }
+}
+
+export { resolveProvider, findProvider, listProviders, defaultProviderName, parseModelJSON };
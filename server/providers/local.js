@@ -0,0 +1,21 @@
+// providers/local.js
+// Any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, llama.cpp server).
+// Many local servers reject response_format, so JSON mode is opt-in.
+import OpenAI from 'openai';
+import { createChatProvider } from './openai.js';
+
+const localProvider = createChatProvider({
+  name: 'local',
+  isConfigured: () => Boolean(process.env.LOCAL_LLM_BASE_URL),
+  getClient: () => new OpenAI({
+    baseURL: process.env.LOCAL_LLM_BASE_URL,
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local'
+  }),
+  models: () => ({
+    vision: process.env.LOCAL_LLM_VISION_MODEL || process.env.LOCAL_LLM_MODEL || 'llava',
+    text: process.env.LOCAL_LLM_MODEL || 'llama3.1'
+  }),
+  jsonMode: () => process.env.LOCAL_LLM_JSON_MODE === 'true'
+});
+
+export { localProvider };
@@ -0,0 +1,39 @@
+// providers/mock.js
+// Deterministic stand-in for CI and air-gapped runs: no network, no key.
+// Orders the submitted items top-to-bottom, then along the frame's reading direction,
+// and echoes client roles, so the rest of the pipeline (sanitize, cache, render) is exercised.
+import { readingComparator } from '../helpers/direction.js';
+import { emitInChunks } from './stream.js';
+
+function mockLabel(item) {
+  const text = item.inference && item.inference.text;
+  return text ? `${item.name || 'Item'} (${text})` : (item.name || 'Item');
+}
+
+function mockRole(item) {
+  if (item.role) return item.role;
+  if (item.inference && item.inference.rnRole) return item.inference.rnRole;
+  return 'button';
+}
+
+const mockProvider = {
+  name: 'mock',
+  isConfigured: () => true,
+  models: () => ({ vision: 'mock-vision', text: 'mock-text' }),
+  async complete(req) {
+    const context = req.context || {};
+    const items = (context.focusableItems || []).slice().sort(readingComparator(context.flow));
+    const out = {
+      annotations: [{
+        frameId: context.frameId,
+        order: items.map(item => ({ id: item.id, label: mockLabel(item), role: mockRole(item) })),
+        notes: 'mock-provider'
+      }]
+    };
+    const content = JSON.stringify(out);
+    emitInChunks(content, req.onText);
+    return { content, usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 } };
+  }
+};
+
+export { mockProvider };
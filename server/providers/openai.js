@@ -0,0 +1,102 @@
+// providers/openai.js
+// OpenAI chat completions (also reused by the Azure and local providers,
+// which speak the same wire format through a differently configured client).
+import OpenAI from 'openai';
+
+/**
+ * Build OpenAI-style chat messages from a provider-neutral request.
+ * @param {{ system: string, text: string, image: string|null }} req
+ */
+function toChatMessages(req) {
+  if (req.image) {
+    return [
+      { role: 'system', content: req.system },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: req.text },
+          // Vision API format with image; 'high' detail gives better quality analysis
+          { type: 'image_url', image_url: { url: req.image, detail: 'high' } }
+        ]
+      }
+    ];
+  }
+  return [
+    { role: 'system', content: req.system },
+    { role: 'user', content: req.text }
+  ];
+}
+
+// Same call with stream: true; usage arrives on the last chunk
+async function streamCompletion(client, params, onText) {
+  const stream = await client.chat.completions.create(Object.assign({}, params, {
+    stream: true,
+    stream_options: { include_usage: true }
+  }));
+  let content = '';
+  let usage = {};
+  for await (const chunk of stream) {
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+    if (delta) {
+      content += delta;
+      onText(delta);
+    }
+    if (chunk.usage) usage = chunk.usage;
+  }
+  return {
+    content,
+    usage: {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || 0
+    }
+  };
+}
+
+/**
+ * Wrap any OpenAI-compatible client as a provider.
+ * @param {Object} opts - { name, getClient, isConfigured, models, jsonMode }
+ * jsonMode may be a boolean or a function read at call time.
+ */
+function createChatProvider({ name, getClient, isConfigured, models, jsonMode = true }) {
+  let client = null;
+  return {
+    name,
+    isConfigured,
+    models,
+    async complete(req) {
+      if (!client) client = getClient();
+      const useJson = typeof jsonMode === 'function' ? jsonMode() : jsonMode;
+      const params = Object.assign({
+        model: req.model,
+        temperature: 0.0,  // Deterministic output for consistency
+        messages: toChatMessages(req)
+      }, useJson ? { response_format: { type: 'json_object' } } : {});
+
+      if (typeof req.onText === 'function') return streamCompletion(client, params, req.onText);
+
+      const completion = await client.chat.completions.create(params);
+      const usage = completion.usage || {};
+      return {
+        content: completion.choices[0].message.content,
+        usage: {
+          promptTokens: usage.prompt_tokens || 0,
+          completionTokens: usage.completion_tokens || 0,
+          totalTokens: usage.total_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+const openaiProvider = createChatProvider({
+  name: 'openai',
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  getClient: () => new OpenAI({ apiKey: process.env.OPENAI_API_KEY }),
+  models: () => ({
+    vision: process.env.VISION_MODEL || 'gpt-4o',
+    text: process.env.MODEL || 'gpt-4o-mini'
+  })
+});
+
+export { openaiProvider, createChatProvider, toChatMessages };
@@ -0,0 +1,40 @@
+// providers/replay.js
+// Serves recorded model responses so evaluations are reproducible offline. Recordings
+// are keyed by frame id, then by prompt version ("*" matches any version); a frame with
+// no recording fails like a model error, so the server's fallback path is exercised.
+import { emitInChunks } from './stream.js';
+
+const recordings = new Map();
+
+/**
+ * Register recorded responses.
+ * @param {Object} byFrame - { [frameId]: { [promptVersion | '*']: string | Object } }
+ */
+function loadRecordings(byFrame) {
+  Object.entries(byFrame || {}).forEach(([frameId, byPrompt]) => {
+    recordings.set(frameId, Object.assign({}, recordings.get(frameId), byPrompt));
+  });
+}
+
+function clearRecordings() {
+  recordings.clear();
+}
+
+const replayProvider = {
+  name: 'replay',
+  isConfigured: () => recordings.size > 0,
+  models: () => ({ vision: 'replay', text: 'replay' }),
+  async complete(req) {
+    const context = req.context || {};
+    const byPrompt = recordings.get(context.frameId) || {};
+    const recorded = byPrompt[context.promptVersion] || byPrompt['*'];
+    if (!recorded) {
+      throw new Error(`No recorded response for ${context.frameId} (${context.promptVersion})`);
+    }
+    const content = typeof recorded === 'string' ? recorded : JSON.stringify(recorded);
+    emitInChunks(content, req.onText);
+    return { content, usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 } };
+  }
+};
+
+export { replayProvider, loadRecordings, clearRecordings };
@@ -0,0 +1,46 @@
+// providers/stream.js
+// Streaming helpers shared by the providers. A request may carry onText(chunk): providers
+// call it with each piece of the reply as it arrives (offline providers replay their
+// whole reply in small pieces), and still resolve with the full content at the end.
+
+const CHUNK_SIZE = 48;
+
+/**
+ * Hand a finished reply to onText in fixed-size pieces.
+ * @param {string} content
+ * @param {Function} [onText]
+ */
+function emitInChunks(content, onText) {
+  if (typeof onText !== 'function' || typeof content !== 'string') return;
+  for (let i = 0; i < content.length; i += CHUNK_SIZE) onText(content.slice(i, i + CHUNK_SIZE));
+}
+
+/**
+ * Read a server-sent event stream (node-fetch body) and call onEvent(data) for every
+ * `data:` line that parses as JSON.
+ * @param {AsyncIterable<Buffer>} body
+ * @param {Function} onEvent
+ */
+async function readEventStream(body, onEvent) {
+  // One decoder for the whole body, so a character split across chunks survives
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, end).trim();
+      buffer = buffer.slice(end + 1);
+      if (!line.startsWith('data:')) continue;
+      let event;
+      try {
+        event = JSON.parse(line.slice(5));
+      } catch (e) {
+        continue; // keep-alives and [DONE]
+      }
+      onEvent(event);
+    }
+  }
+}
+
+export { emitInChunks, readEventStream };
@@ -1,62 +1,35 @@
 import express from 'express';
 import cors from 'cors';
-import crypto from 'crypto';
-import OpenAI from 'openai';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { resolveProvider, findProvider, listProviders, defaultProviderName, parseModelJSON } from './providers/index.js';
+import { createAnnotationCache, cacheOptionsFromEnv, cacheKey } from './cache/index.js';
+import { normalizeConstraints, applyConstraints } from './helpers/constraints.js';
+import { generateSnippet } from './helpers/snippets.js';
+import { buildRegions } from './helpers/regions.js';
+import { analyzeHeadings } from './helpers/headings.js';
+import { buildDialogScopes } from './helpers/dialogs.js';
+import { heuristicOrder } from './helpers/heuristics.js';
+import { cleanState, withStates } from './helpers/state.js';
+import { cleanExcluded, withoutExcluded } from './helpers/exclusions.js';
+import { partialOrder } from './helpers/partial.js';
+import { resolveFlow, flowLabel, isDefaultFlow, DIRECTIONS, WRITING_MODES } from './helpers/direction.js';
+import { createPromptRegistry } from './prompts/index.js';
 
 const app = express();
 
-// ES module __dirname equivalent
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // CORS + body parsing
-app.use(cors({ origin: '*', methods: ['GET','POST','OPTIONS'] }));
-app.use(express.json({ limit: '4mb' })); // increased for larger frame trees
+app.use(cors({ origin: '*', methods: ['GET','POST','DELETE','OPTIONS'] }));
+app.use(express.json({ limit: '32mb' })); // batches carry one @2x screenshot per frame
 
 // quick health check (must be FAST)
 app.get('/health', (req, res) => res.status(200).send('ok'));
 
-// ---- OpenAI client ----
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-// ---- Prompt loading from files ----
-function loadPrompt(filename) {
-  try {
-    const promptPath = path.join(__dirname, 'prompts', filename);
-    const content = fs.readFileSync(promptPath, 'utf-8');
-    
-    // Extract prompt section (between "## System Prompt" and next "---")
-    const match = content.match(/## System Prompt\s+([\s\S]*?)\n---/);
-    if (match && match[1]) {
-      return match[1].trim();
-    }
-    
-    // Fallback: return everything after System Prompt header
-    const fallback = content.split('## System Prompt')[1];
-    return fallback ? fallback.trim() : content;
-  } catch (e) {
-    console.error(`[SRV] Failed to load prompt ${filename}:`, e.message);
-    return null;
-  }
-}
-
-// Load prompts from markdown files
-const PROMPTS = {
-  vision: loadPrompt('vision-v1.md'),
-  text: loadPrompt('text-v1.md')
-};
-
-console.log('[SRV] Prompts loaded:', {
-  vision: PROMPTS.vision ? 'OK' : 'FAILED',
-  text: PROMPTS.text ? 'OK' : 'FAILED'
-});
+// ---- LLM providers ----
+// Default comes from LLM_PROVIDER; a request may override with { provider, model }.
+app.get('/providers', (req, res) => res.json({ ok: true, default: defaultProviderName(), providers: listProviders() }));
 
 // ---- Prompts (versioned) ----
-// Keep prompts as constants so we can A/B test easily.
-// V1 focuses on nested component traversal guidance.
+// Built-in last resort when no prompt file of a kind loads; requests can also pin it as
+// "inline-v1". V1 focuses on nested component traversal guidance.
 const SYSTEM_PROMPT_V1 = `
 You are an accessibility engine (version a11y-v1) that assigns a logical keyboard/touch focus order for a single Figma frame.
 You will receive a JSON tree of nodes (name, type, visible, x, y, w, h, children[]) which may contain nested components.
@@ -75,7 +48,7 @@ Return a strict JSON object:
 Rules:
 - Always traverse NESTED structures: e.g., BottomNav -> Segment -> TabLabel. Prefer leaf interactive elements over container frames.
 - Include only nodes that should receive focus.
-- Prefer top-to-bottom, then left-to-right order unless strong semantics override (nav, modal, primary CTA).
+- Prefer {READING_ORDER} order unless strong semantics override (nav, modal, primary CTA).
 - Use ARIA roles when possible (button, link, textbox/input, tab, navigation, main, header, footer).
 - Never invent node IDs; only use IDs present in the input tree.
 - If uncertain, include fewer items rather than guessing and add a short explanation in "notes".
@@ -96,15 +69,44 @@ Input tree:
 Desired order: ["tab1", "seg2", "cta"] with roles ["tab", "tab", "button"].
 `;
 
-// ---- In-memory cache ----
-const ANNO_CACHE = new Map();
+// Every prompts/<kind>-v<N>[-<variant>].md; experiments split frames across variants by weight
+const PROMPTS = createPromptRegistry({ fallback: { id: 'inline-v1', body: SYSTEM_PROMPT_V1 } });
+PROMPTS.errors.forEach(e => console.error(`[SRV] Prompt ${e.file} rejected: ${e.error}`));
+console.log('[SRV] Prompts loaded:', PROMPTS.list().map(p => p.id).join(', '));
+
+app.get('/prompts', (req, res) => res.json({ ok: true, prompts: PROMPTS.list(), experiments: PROMPTS.experiments, errors: PROMPTS.errors }));
+
+// ---- Annotation cache ----
+// LRU + TTL over memory, SQLite or Redis (CACHE_BACKEND); keys are SHA-256 checksums.
+const ANNO_CACHE = await createAnnotationCache(cacheOptionsFromEnv());
+console.log('[SRV] Annotation cache backend:', ANNO_CACHE.backend);
+
+// Admin routes require ADMIN_TOKEN (Bearer or x-admin-token); disabled when unset
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(403).json({ ok: false, error: 'Admin routes disabled (set ADMIN_TOKEN)' });
+  const auth = req.get('authorization') || '';
+  const given = auth.startsWith('Bearer ') ? auth.slice(7) : req.get('x-admin-token');
+  if (given !== token) return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  return next();
+}
+
+app.get('/cache/stats', requireAdmin, async (req, res) => {
+  res.json({ ok: true, stats: await ANNO_CACHE.stats() });
+});
+
+app.delete('/cache/:checksum', requireAdmin, async (req, res) => {
+  const removed = await ANNO_CACHE.delete(req.params.checksum);
+  res.status(removed ? 200 : 404).json({ ok: removed, checksum: req.params.checksum });
+});
+
+app.post('/cache/purge', requireAdmin, async (req, res) => {
+  const removed = await ANNO_CACHE.purge();
+  console.log(`[SRV] Cache purged (${removed} entries)`);
+  res.json({ ok: true, removed });
+});
 
 // ---- Utils ----
-function quickHash(str) {
-  let h = 0, i = 0, len = str.length;
-  while (i < len) { h = (h << 5) - h + str.charCodeAt(i++) | 0; }
-  return (h >>> 0).toString(16);
-}
 
 function flattenIds(node, out) {
   if (!node) return;
@@ -116,48 +118,6 @@ function flattenIds(node, out) {
   return out;
 }
 
-function readingOrder(a, b) {
-  const ay = typeof a.y === 'number' ? a.y : 0;
-  const by = typeof b.y === 'number' ? b.y : 0;
-  if (Math.abs(ay - by) > 6) return ay - by;
-  const ax = typeof a.x === 'number' ? a.x : 0;
-  const bx = typeof b.x === 'number' ? b.x : 0;
-  return ax - bx;
-}
-
-function guessLabelRole(name) {
-  const n = (name || '').toLowerCase();
-  if (/\b(button|cta|start|submit|save|next|continue|swap)\b/.test(n)) return { label: 'primary-cta', role: 'button' };
-  if (/\b(link|learn more|details|back)\b/.test(n)) return { label: 'link', role: 'link' };
-  if (/\b(input|email|password|search|textbox)\b/.test(n)) return { label: 'input', role: 'textbox' };
-  if (/\b(nav|navigation|menu)\b/.test(n)) return { label: 'navigation', role: 'navigation' };
-  if (/\b(header|title|app bar|top nav)\b/.test(n)) return { label: 'header', role: 'landmark' };
-  return { label: 'item', role: 'generic' };
-}
-
-function heuristicFallback(frame) {
-  // depth-first gather nodes with simple filters
-  const acc = [];
-  (function walk(n) {
-    if (!n || n.visible === false) return;
-    const hasSize = typeof n.w === 'number' && typeof n.h === 'number' ? (n.w > 0 && n.h > 0) : true;
-    if (hasSize) acc.push(n);
-    if (Array.isArray(n.children)) for (const c of n.children) walk(c);
-  })(frame.tree || { children: frame.children || [] });
-
-  acc.sort(readingOrder);
-  const seen = new Set();
-  const order = [];
-  for (const n of acc) {
-    if (!n.id || seen.has(n.id)) continue;
-    seen.add(n.id);
-    const { label, role } = guessLabelRole(n.name);
-    order.push({ id: n.id, label, role });
-    if (order.length >= 25) break;
-  }
-  return [{ frameId: frame.id, order, notes: 'heuristic-fallback' }];
-}
-
 function sanitizeOutput(modelOut, validIds, frameId) {
   try {
     const ann = modelOut && modelOut.annotations && modelOut.annotations[0];
@@ -176,6 +136,8 @@ function sanitizeOutput(modelOut, validIds, frameId) {
         label: String(it.label || 'item'),
         role: it.role ? String(it.role) : undefined,
       };
+      const state = cleanState(it.state);
+      if (state) item.state = state;
       
       // Don't send Vision coordinates - client will use Figma node coordinates for accuracy
       // Vision coordinates are often inaccurate for small/low-contrast elements
@@ -188,156 +150,460 @@ function sanitizeOutput(modelOut, validIds, frameId) {
   }
 }
 
-// ---- /annotate endpoint ----
-app.post('/annotate', async (req, res) => {
-  try {
-    const { platform, image, frameId, frameName, frameBox, focusableItems } = req.body || {};
-    
-    if (!Array.isArray(focusableItems) || focusableItems.length === 0) {
-      return res.status(400).json({ ok: false, error: 'No focusable items provided' });
-    }
-    
-    console.log(`[SRV] Received ${focusableItems.length} focusable items for ordering`);
-
-    // Build checksum (include image presence in cache key)
-    const keyRaw = JSON.stringify({ platform, hasImage: !!image, frameId, frameName, frameBox, focusableItems });
-    const checksum = quickHash(keyRaw);
-
-    // Cache hit?
-    const cached = ANNO_CACHE.get(checksum);
-    if (cached) {
-      console.log('[SRV] Cache hit for', frameId);
-      return res.json({ ok: true, checksum, annotations: cached.annotations, notes: 'cacheHit' });
-    }
+// ---- Batch limits ----
+// Whole flows are annotated in one call; cap the batch so a runaway selection
+// can't tie the model up for minutes. Frames run a few at a time.
+const MAX_BATCH_FRAMES = Number(process.env.MAX_BATCH_FRAMES) || 40;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3;
+
+// ---- Ordering modes ----
+// 'ai' (default): provider + prompt, with the rule-based order as fallback.
+// 'heuristic': rule-based order only (helpers/heuristics.js), no API key needed.
+const MODES = ['ai', 'heuristic'];
+
+// Normalize the request body into a list of frame jobs.
+// Accepts the single-frame shape (top-level frameId/focusableItems) and the
+// batch shape ({ frames: [{ frameId, frameName, frameBox, focusableItems, image }] }).
+function normalizeFrames(body) {
+  const { platform, image, frameId, frameName, frameBox, focusableItems, excluded, landmarks, dialogs, constraints, frames, mode, provider, model, promptVersion, promptExperiment, direction, writingMode, locale } = body || {};
+
+  if (Array.isArray(frames) && frames.length > 0) {
+    return frames.map(f => ({
+      platform,
+      mode,
+      provider,
+      model,
+      promptVersion,
+      promptExperiment,
+      direction: (f && f.direction) || direction,
+      writingMode: (f && f.writingMode) || writingMode,
+      locale: (f && f.locale) || locale,
+      image: f && f.image,
+      frameId: f && (f.frameId || f.id),
+      frameName: f && (f.frameName || f.name),
+      frameBox: f && (f.frameBox || f.box),
+      focusableItems: f && f.focusableItems,
+      excluded: f && f.excluded,
+      landmarks: f && f.landmarks,
+      dialogs: f && f.dialogs,
+      constraints: f && f.constraints
+    }));
+  }
+
+  return [{ platform, mode, provider, model, promptVersion, promptExperiment, direction, writingMode, locale, image, frameId, frameName, frameBox, focusableItems, excluded, landmarks, dialogs, constraints }];
+}
+
+function buildUserText(platformLabel, frameName, focusableItems, flow) {
+  const reading = isDefaultFlow(flow) ? '' : `\nReading order: ${flowLabel(flow)} (${flow.direction}, ${flow.writingMode})`;
+  return `Platform: ${platformLabel}\nFrame: ${frameName || ''}${reading}\n\nFocusable Items (${focusableItems.length} total - ALL must be included in output):\n${JSON.stringify(focusableItems, null, 2)}`;
+}
+
+// Append any items the model dropped so every focusable item is annotated; returns how many
+function completeOrder(annotation, focusableItems) {
+  const returnedCount = annotation.order.length;
+  console.log(`[SRV] AI returned ${returnedCount} of ${focusableItems.length} items`);
+  if (returnedCount >= focusableItems.length) return 0;
+
+  console.warn(`[SRV] AI missed ${focusableItems.length - returnedCount} items! Adding them.`);
+  const returnedIds = new Set(annotation.order.map(item => item.id));
+  const missingItems = focusableItems.filter(item => !returnedIds.has(item.id));
+
+  // Add missing items at the end with their original data
+  missingItems.forEach(item => {
+    annotation.order.push({
+      id: item.id,
+      label: item.name || 'Unknown',
+      role: item.role || 'button'
+    });
+  });
+  console.log(`[SRV] Added ${missingItems.length} missing items to complete the list`);
+  return missingItems.length;
+}
+
+// Items of the reply so far, for the progress view (only submitted ids, first time each)
+function streamedItems(text, validIds) {
+  const seen = new Set();
+  return partialOrder(text)
+    .filter(it => validIds.has(it.id) && !seen.has(it.id) && seen.add(it.id))
+    .map(it => ({ id: it.id, label: String(it.label || 'item'), role: it.role ? String(it.role) : undefined }));
+}
+
+// Ask the provider for an order; null when the call or its output is unusable.
+// With `report` the reply is streamed and partial orders are reported as they grow.
+async function modelAnnotations(frame, { provider, model, prompt, hasImage, validIds, flow, report }) {
+  const { platform, image, frameId, frameName, focusableItems } = frame;
+
+  // Platform-aware prompt selection and injection
+  const platformLabel = platform === 'rn' ? 'React Native' : 'Web (ARIA/WCAG)';
+
+  const systemPrompt = PROMPTS.render(prompt, platformLabel, { READING_ORDER: flowLabel(flow) });
 
-    // Valid IDs set for validation (all focusable item IDs)
-    const validIds = new Set(focusableItems.map(item => item.id));
-
-    // Platform-aware prompt selection and injection
-    const platformLabel = platform === 'rn' ? 'React Native' : 'Web (ARIA/WCAG)';
-    const hasImage = image && typeof image === 'string' && image.startsWith('data:image');
-    
-    // Select prompt based on image presence
-    const basePrompt = hasImage ? PROMPTS.vision : PROMPTS.text;
-    const systemPrompt = basePrompt ? basePrompt.replace('{PLATFORM}', platformLabel) : SYSTEM_PROMPT_V1;
-    
-    // Select model based on image presence
-    const model = hasImage ? 'gpt-4o' : (process.env.MODEL || 'gpt-4o-mini');
-    
-    console.log(`[SRV] Using ${model} with ${hasImage ? 'vision' : 'text'} prompt for ${platformLabel}`);
-
-    // Build messages array
-    let messages;
-    if (hasImage) {
-      // Vision API format with image
-      messages = [
-        { role: 'system', content: systemPrompt },
-        { 
-          role: 'user', 
-          content: [
-            { 
-              type: 'text', 
-              text: `Platform: ${platformLabel}\nFrame: ${frameName || ''}\n\nFocusable Items (${focusableItems.length} total - ALL must be included in output):\n${JSON.stringify(focusableItems, null, 2)}` 
-            },
-            { 
-              type: 'image_url', 
-              image_url: { 
-                url: image,
-                detail: 'high'  // Better quality analysis
-              } 
-            }
-          ]
-        }
-      ];
-    } else {
-      // Text-only format
-      messages = [
-        { role: 'system', content: systemPrompt },
-        { 
-          role: 'user', 
-          content: `Platform: ${platformLabel}\nFrame: ${frameName || ''}\n\nFocusable Items (${focusableItems.length} total - ALL must be included in output):\n${JSON.stringify(focusableItems, null, 2)}` 
-        }
-      ];
+  console.log(`[SRV] Using ${provider.name}/${model} with prompt ${prompt.id} for ${platformLabel}`);
+
+  if (report) report('model', { provider: provider.name, model, promptVersion: prompt.id });
+  let streamed = '';
+  let reported = 0;
+  const onText = report ? chunk => {
+    streamed += chunk;
+    const order = streamedItems(streamed, validIds);
+    if (order.length > reported) {
+      reported = order.length;
+      report('partial', { order });
     }
+  } : undefined;
 
-    let modelOut = null;
-    try {
-      const completion = await openai.chat.completions.create({
-        model,
-        temperature: 0.0,  // Deterministic output for consistency
-        response_format: { type: 'json_object' },
-        messages,
-      });
-      modelOut = JSON.parse(completion.choices[0].message.content);
-      
-      // Log token usage and estimated cost
-      const usage = completion.usage;
-      const cost = (usage.prompt_tokens * 0.00001) + (usage.completion_tokens * 0.00003);
-      console.log(`[SRV] Tokens: ${usage.total_tokens}, Est. cost: $${cost.toFixed(4)}`);
-      
-    } catch (e) {
-      console.error('[SRV] OpenAI error:', e && e.message || e);
+  let modelOut = null;
+  try {
+    const completion = await provider.complete({
+      model,
+      system: systemPrompt,
+      text: buildUserText(platformLabel, frameName, focusableItems, flow),
+      image: hasImage ? image : null,
+      context: { platform, frameId, focusableItems, promptVersion: prompt.id, flow },
+      onText
+    });
+    modelOut = parseModelJSON(completion.content);
+
+    // Log token usage and estimated cost
+    const usage = completion.usage;
+    const cost = (usage.promptTokens * 0.00001) + (usage.completionTokens * 0.00003);
+    console.log(`[SRV] Tokens: ${usage.totalTokens}, Est. cost: $${cost.toFixed(4)}`);
+
+  } catch (e) {
+    console.error(`[SRV] ${provider.name} error:`, e && e.message || e);
+  }
+
+  // Validate & sanitize
+  if (!modelOut) return null;
+  const annotations = sanitizeOutput(modelOut, validIds, frameId);
+  const returned = annotations && annotations[0] ? annotations[0].order.length : 0;
+  if (report) report('validation', { returned, expected: focusableItems.length });
+  if (annotations && annotations[0]) {
+    const added = completeOrder(annotations[0], focusableItems);
+    if (report && added) report('repair', { added });
+  }
+  return annotations;
+}
+
+function hasImageData(image) {
+  return !!image && typeof image === 'string' && image.startsWith('data:image');
+}
+
+// Frames with a screenshot get a vision prompt, the rest a text prompt
+function promptKind(image) {
+  return hasImageData(image) ? 'vision' : 'text';
+}
+
+/**
+ * Annotate one frame: cache lookup, model call, validation and fallback.
+ * @param {Object} frame - { platform, mode, provider, model, promptVersion, promptExperiment, direction, writingMode, locale, image, frameId, frameName, frameBox, focusableItems, excluded, landmarks, dialogs, constraints }
+ * @param {Function} [report] - report(stage, detail) for streamed progress: received, cache, model,
+ *   partial ({ order }), validation, repair, rules, done
+ * @returns {Promise<{ checksum: string, annotation: Object, cacheHit: boolean }>}
+ */
+async function annotateFrame(frame, report) {
+  const { platform, image, frameId, frameName, frameBox } = frame;
+
+  // Nodes the plugin's exclusion rules dropped; none of them may become a stop
+  const excluded = cleanExcluded(frame.excluded);
+  const focusableItems = withoutExcluded(frame.focusableItems, excluded);
+  if (report) report('received', { items: focusableItems.length, excluded: excluded.length });
+
+  console.log(`[SRV] Received ${focusableItems.length} focusable items for ordering (frame ${frameId})`);
+
+  // Explicit direction, else the locale, else the frame's own text
+  const flow = resolveFlow(frame, focusableItems);
+
+  // Rule-based mode never touches a provider, so it works without any API key; so does
+  // 'ai' mode when the default provider has no credentials (the rules stand in for it)
+  const heuristic = frame.mode === 'heuristic';
+  const candidate = heuristic ? null : findProvider(frame.provider);
+  const unconfigured = Boolean(candidate) && !candidate.isConfigured();
+  const rules = heuristic || unconfigured;
+  const provider = rules ? null : candidate;
+  if (unconfigured) console.log(`[SRV] Provider "${candidate.name}" is not configured; using rule-based ordering`);
+  const hasImage = hasImageData(image);
+
+  // Select model based on image presence unless the request pins one
+  const models = rules ? null : provider.models();
+  const model = rules ? null : frame.model || (hasImage ? models.vision : models.text);
+
+  // Pinned version, else an experiment variant (sticky per frame), else the newest prompt
+  const prompt = rules ? null : PROMPTS.select({
+    kind: promptKind(image),
+    requested: frame.promptVersion,
+    weights: frame.promptExperiment,
+    seed: frameId
+  }).prompt;
+
+  // Build checksum (include mode, image presence, provider/model and prompt version in cache key)
+  const engine = rules
+    ? { mode: 'heuristic', fallback: unconfigured }
+    : { provider: provider.name, model, promptVersion: prompt.id, hasImage: !!image };
+  const keyRaw = JSON.stringify(Object.assign(engine, { platform, direction: flow.direction, writingMode: flow.writingMode, frameId, frameName, frameBox, focusableItems, excluded, landmarks: frame.landmarks, dialogs: frame.dialogs, constraints: frame.constraints }));
+  const checksum = cacheKey(keyRaw);
+
+  // Cache hit?
+  const cached = await ANNO_CACHE.get(checksum);
+  if (report) report('cache', { hit: Boolean(cached) });
+  if (cached) {
+    console.log('[SRV] Cache hit for', frameId);
+    if (report) report('done', { items: cached.annotations[0].order.length, cacheHit: true });
+    return { checksum, annotation: cached.annotations[0], cacheHit: true };
+  }
+
+  // Valid IDs set for validation (all focusable item IDs)
+  const validIds = new Set(focusableItems.map(item => item.id));
+
+  let annotations = null;
+  if (!rules) {
+    annotations = await modelAnnotations(Object.assign({}, frame, { focusableItems }), { provider, model, prompt, hasImage, validIds, flow, report });
+  }
+
+  // Rule-based order: the requested mode, or the fallback when the model gave nothing usable
+  if (!annotations || !annotations[0] || !annotations[0].order || annotations[0].order.length === 0) {
+    console.log(heuristic ? '[SRV] Using rule-based ordering' : '[SRV] Using heuristic fallback');
+    if (report) report('rules', { fallback: !heuristic });
+    annotations = [{
+      frameId: frameId,
+      order: heuristicOrder(focusableItems, { platform, landmarks: frame.landmarks, frameBox, flow }),
+      notes: heuristic ? 'heuristic' : 'heuristic-fallback'
+    }];
+  }
+
+  // Checked / selected / expanded… from the design's variant properties
+  annotations[0].order = withStates(annotations[0].order, focusableItems);
+
+  // Human edits win over the model: pins, locked groups, exclusions
+  const constraints = normalizeConstraints(frame.constraints, validIds);
+  const constrained = applyConstraints(annotations[0].order, constraints);
+  annotations[0].order = constrained.order;
+  if (constrained.report) {
+    annotations[0].constraints = constrained.report;
+    console.log('[SRV] Constraints applied', constrained.report);
+  }
+
+  // Landmark / heading-section tree over the final order
+  annotations[0].regions = buildRegions(annotations[0].order, focusableItems, frame.landmarks);
+
+  // Contained focus order, initial and return focus for each dialog / sheet / drawer
+  annotations[0].dialogs = buildDialogScopes(annotations[0].order, focusableItems, frame.dialogs);
+
+  annotations[0].excluded = excluded;
+  annotations[0].direction = flow.direction;
+  annotations[0].writingMode = flow.writingMode;
+  annotations[0].provider = heuristic ? 'heuristic' : provider ? provider.name : null;
+  annotations[0].model = model;
+  annotations[0].promptVersion = rules ? null : prompt.id;
+  annotations[0].fallback = annotations[0].notes === 'heuristic-fallback';
+
+  await ANNO_CACHE.set(checksum, { annotations });
+  if (report) report('done', { items: annotations[0].order.length, cacheHit: false });
+  return { checksum, annotation: annotations[0], cacheHit: false };
+}
+
+// Run async jobs with bounded concurrency, preserving input order in results
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
     }
+  }
+  const workers = [];
+  for (let w = 0; w < Math.min(limit, items.length); w++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
+// Validate an /annotate body into frame jobs; { status, error } when it can't run at all
+function prepareAnnotate(body) {
+  const jobs = normalizeFrames(body);
+  const isBatch = Array.isArray(body && body.frames) && body.frames.length > 0;
+
+  if (jobs.length > MAX_BATCH_FRAMES) {
+    return { status: 400, error: `Too many frames (max ${MAX_BATCH_FRAMES})` };
+  }
+
+  const valid = jobs.filter(f => Array.isArray(f.focusableItems) && f.focusableItems.length > 0);
+  if (valid.length === 0) {
+    return { status: 400, error: 'No focusable items provided' };
+  }
 
-    // Validate & sanitize
-    let annotations = null;
-    if (modelOut) {
-      annotations = sanitizeOutput(modelOut, validIds || new Set(), frameId);
-      if (annotations && annotations[0]) {
-        const returnedCount = annotations[0].order.length;
-        console.log(`[SRV] AI returned ${returnedCount} of ${focusableItems.length} items`);
-        
-        // Validate completeness - AI should return ALL focusable items
-        if (returnedCount < focusableItems.length) {
-          console.warn(`[SRV] AI missed ${focusableItems.length - returnedCount} items! Adding them.`);
-          
-          // Find missing items
-          const returnedIds = new Set(annotations[0].order.map(item => item.id));
-          const missingItems = focusableItems.filter(item => !returnedIds.has(item.id));
-          
-          // Add missing items at the end with their original data
-          missingItems.forEach(item => {
-            annotations[0].order.push({
-              id: item.id,
-              label: item.name || 'Unknown',
-              role: item.role || 'button'
-            });
-          });
-          
-          console.log(`[SRV] Added ${missingItems.length} missing items to complete the list`);
-        }
-      }
+  if (jobs[0].mode && !MODES.includes(jobs[0].mode)) {
+    return { status: 400, error: `Unknown mode "${jobs[0].mode}" (expected ${MODES.join(' or ')})` };
+  }
+  const badFlow = jobs.find(f => (f.direction && !DIRECTIONS.includes(f.direction)) || (f.writingMode && !WRITING_MODES.includes(f.writingMode)));
+  if (badFlow) {
+    return { status: 400, error: `Unknown direction "${badFlow.direction}" or writing mode "${badFlow.writingMode}" (expected ${DIRECTIONS.join(' / ')}, ${WRITING_MODES.join(' / ')})` };
+  }
+
+  // Fail fast on an unknown provider, an unconfigured one the request names, or an unknown
+  // prompt version instead of once per frame. An unconfigured default falls back to the rules.
+  try {
+    if (jobs[0].mode !== 'heuristic') {
+      if (jobs[0].provider) resolveProvider(jobs[0].provider);
+      else findProvider();
     }
+    if (jobs[0].promptVersion) valid.forEach(f => PROMPTS.select({ kind: promptKind(f.image), requested: f.promptVersion }));
+  } catch (e) {
+    return { status: e.status || 400, error: e.message };
+  }
+
+  const failures = jobs
+    .filter(f => valid.indexOf(f) === -1)
+    .map(f => ({ frameId: f.frameId, frameName: f.frameName, error: 'No focusable items provided' }));
+
+  if (isBatch) console.log(`[SRV] Batch of ${jobs.length} frames (${failures.length} without focusables)`);
+  return { jobs, valid, failures, isBatch };
+}
 
-    // Fallback if needed (create simple heuristic order from focusableItems)
-    if (!annotations || !annotations[0] || !annotations[0].order || annotations[0].order.length === 0) {
-      console.log('[SRV] Using heuristic fallback');
-      annotations = [{
-        frameId: frameId,
-        order: focusableItems.map((item, idx) => ({
-          id: item.id,
-          label: item.name || `Item ${idx + 1}`,
-          role: item.role || 'button'
-        })),
-        notes: 'heuristic-fallback'
-      }];
+/**
+ * Annotate the prepared frames and build the /annotate response.
+ * @param {Object} prepared - prepareAnnotate result
+ * @param {Object} [hooks] - { reportFor(frame) → report(stage, detail), onFailure(failure) } for streaming
+ * @returns {Promise<Object>} { ok, checksum, annotations, failures, notes? }
+ */
+async function runAnnotate({ valid, failures, isBatch }, hooks = {}) {
+  const results = await mapWithConcurrency(valid, BATCH_CONCURRENCY, async (frame) => {
+    try {
+      return await annotateFrame(frame, hooks.reportFor && hooks.reportFor(frame));
+    } catch (e) {
+      console.error('[SRV] frame failed', frame.frameId, e && e.message || e);
+      const failure = { frameId: frame.frameId, frameName: frame.frameName, error: String(e && e.message || e) };
+      failures.push(failure);
+      if (hooks.onFailure) hooks.onFailure(failure);
+      return null;
     }
+  });
+
+  const done = results.filter(Boolean);
+  const annotations = done.map(r => Object.assign({}, r.annotation, { checksum: r.checksum }));
+  const checksum = done.length === 1 ? done[0].checksum : cacheKey(done.map(r => r.checksum).join('|'));
+  const payload = { ok: annotations.length > 0, checksum, annotations, failures };
+  if (!isBatch && done.length === 1 && done[0].cacheHit) payload.notes = 'cacheHit';
+  return payload;
+}
 
-    // Cache and return
-    const payload = { ok: true, checksum, annotations };
-    ANNO_CACHE.set(checksum, payload);
-    return res.json(payload);
+// ---- /annotate endpoint ----
+// Single frame: { platform, mode?, provider?, model?, promptVersion?, promptExperiment?, direction?, writingMode?, locale?, image, frameId, frameName, frameBox, focusableItems, excluded?, landmarks?, dialogs?, constraints? }
+// Batch:        { platform, mode?, provider?, model?, promptVersion?, promptExperiment?, direction?, writingMode?, locale?, frames: [{ frameId, frameName, frameBox, focusableItems, excluded?, image, direction?, writingMode?, locale?, landmarks?, dialogs?, constraints? }] }
+// Response:     { ok, checksum, annotations: [{ frameId, order: [{ id, label, role, state? }], excluded: [{ id, name, reason }], regions, dialogs, notes, fallback, direction, writingMode, provider, model, promptVersion, checksum }], failures: [{ frameId, error }] }
+app.post('/annotate', async (req, res) => {
+  try {
+    const prepared = prepareAnnotate(req.body);
+    if (prepared.error) return res.status(prepared.status).json({ ok: false, error: prepared.error });
+    return res.json(await runAnnotate(prepared));
   } catch (err) {
     console.error('[SRV] /annotate error', err);
     return res.status(500).json({ ok: false, error: String(err && err.message || err) });
   }
 });
 
+// ---- /annotate/stream endpoint ----
+// Same body as /annotate. Invalid requests get the same JSON 400; otherwise the response is
+// Server-Sent Events, each data line one JSON object:
+//   event: stage    { frameId, frameName, stage, ...detail }  stage: received { items, excluded } · cache { hit }
+//                   · model { provider, model, promptVersion } · validation { returned, expected } · repair { added }
+//                   · rules { fallback } · done { items, cacheHit }
+//   event: partial  { frameId, frameName, order: [{ id, label, role }] }  the model's order so far, as it streams
+//   event: failure  { frameId, frameName, error }
+//   event: done     the /annotate response
+//   event: error    { ok: false, error }
+// Comment lines (": ping") keep idle connections open while the model thinks.
+const STREAM_PING_MS = 15000;
+
+app.post('/annotate/stream', async (req, res) => {
+  let prepared;
+  try {
+    prepared = prepareAnnotate(req.body);
+  } catch (err) {
+    console.error('[SRV] /annotate/stream error', err);
+    return res.status(500).json({ ok: false, error: String(err && err.message || err) });
+  }
+  if (prepared.error) return res.status(prepared.status).json({ ok: false, error: prepared.error });
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // The work still finishes (and fills the cache) when the plugin goes away; only the writes stop
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const ping = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, STREAM_PING_MS);
+
+  try {
+    const payload = await runAnnotate(prepared, {
+      reportFor: frame => (stage, detail) => {
+        const head = { frameId: frame.frameId, frameName: frame.frameName };
+        if (stage === 'partial') send('partial', Object.assign(head, detail));
+        else send('stage', Object.assign(head, { stage }, detail));
+      },
+      onFailure: failure => send('failure', failure)
+    });
+    send('done', payload);
+  } catch (err) {
+    console.error('[SRV] /annotate/stream error', err);
+    send('error', { ok: false, error: String(err && err.message || err) });
+  } finally {
+    clearInterval(ping);
+    res.end();
+  }
+});
+
+// ---- /snippets endpoint ----
+// Body: a plugin export document { platform?, frames: [{ frameId, frameName, platform, size, items }] }
+//       or a single frame { platform, frameId, frameName, size, items }. `platform` at the top
+//       level overrides each frame's own platform.
+// Response: { ok, snippets: [{ frameId, frameName, platform, language, code }] }
+app.post('/snippets', (req, res) => {
+  const body = req.body || {};
+  const frames = Array.isArray(body.frames) ? body.frames : [body];
+  const usable = frames.filter(f => f && Array.isArray(f.items) && f.items.length > 0);
+  if (usable.length === 0) {
+    return res.status(400).json({ ok: false, error: 'No focus order items provided' });
+  }
+  const platform = body.frames ? body.platform : undefined;
+  const snippets = usable.map(f => {
+    const target = platform || f.platform || 'web';
+    return Object.assign({ frameId: f.frameId, frameName: f.frameName, platform: target }, generateSnippet(f, target));
+  });
+  return res.json({ ok: true, snippets });
+});
+
+// ---- /headings endpoint ----
+// Body: { platform, frames: [{ frameId, frameName, textNodes }] } or a single { platform, frameId, frameName, textNodes }
+//       textNodes: [{ id, name, text, fontSize, fontWeight, box, layerIndex, level?, inControl? }]
+// Response: { ok, results: [{ frameId, frameName, outline: [{ id, text, level, source, box }], issues: [finding] }] }
+app.post('/headings', (req, res) => {
+  const body = req.body || {};
+  const frames = Array.isArray(body.frames) ? body.frames : [body];
+  if (!frames.some(f => f && Array.isArray(f.textNodes))) {
+    return res.status(400).json({ ok: false, error: 'No text nodes provided' });
+  }
+  const results = frames
+    .filter(f => f && Array.isArray(f.textNodes))
+    .map(f => Object.assign({ frameId: f.frameId, frameName: f.frameName }, analyzeHeadings(f.textNodes, { platform: body.platform })));
+  return res.json({ ok: true, results });
+});
+
 // Export app for testing
 export { app };
 
 // ***CRITICAL*** — bind to Render's provided PORT and 0.0.0.0
+// (skipped under jest so tests can import the app without holding a port)
 const PORT = process.env.PORT || 10000;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`[SRV] Listening on :${PORT}`);
-});
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`[SRV] Listening on :${PORT}`);
+  });
+}
@@ -11,6 +11,26 @@ function readingOrder(a, b) {
   return ax - bx;
 }
 
+// flow: { direction: 'ltr'|'rtl', writingMode: 'horizontal-tb'|'vertical-rl'|'vertical-lr' }
+function readingOrderFor(flow) {
+  if (!flow || (flow.direction !== 'rtl' && (!flow.writingMode || flow.writingMode === 'horizontal-tb'))) return readingOrder;
+  if (flow.writingMode === 'vertical-rl' || flow.writingMode === 'vertical-lr') {
+    // Column by column, then top-to-bottom
+    const sign = flow.writingMode === 'vertical-rl' ? -1 : 1;
+    return (a, b) => {
+      const dx = (a.x || 0) - (b.x || 0);
+      if (Math.abs(dx) > 6) return sign * dx;
+      return (a.y || 0) - (b.y || 0);
+    };
+  }
+  // Top-to-bottom, then right-to-left by right edge
+  return (a, b) => {
+    const dy = (a.y || 0) - (b.y || 0);
+    if (Math.abs(dy) > 6) return dy;
+    return ((b.x || 0) + (b.width || 0)) - ((a.x || 0) + (a.width || 0));
+  };
+}
+
 function guessRoleFromName(name) {
   const n = (name || '').toLowerCase();
   if (/\b(link|back|learn more|details)\b/.test(n)) return 'link';
@@ -40,7 +60,7 @@ function isFocusableHeuristic(node, platform) {
   return { focusable, role: nameRole };
 }
 
-function toDTO(n, platform) {
+function toDTO(n, platform, flow) {
   const { focusable, role } = isFocusableHeuristic(n, platform);
   const rect = ('absoluteTransform' in n && 'width' in n && 'height' in n)
     ? { x: (n.x !== null && n.x !== undefined ? n.x : 0), y: (n.y !== null && n.y !== undefined ? n.y : 0), w: (n.width !== null && n.width !== undefined ? n.width : 0), h: (n.height !== null && n.height !== undefined ? n.height : 0) }
@@ -48,8 +68,8 @@ function toDTO(n, platform) {
 
   const kids = ('children' in n) ? n.children
     .filter(c => c.visible !== false)
-    .sort(readingOrder)
-    .map(c => toDTO(c, platform)) : [];
+    .sort(readingOrderFor(flow))
+    .map(c => toDTO(c, platform, flow)) : [];
 
   return Object.assign({}, {
     name: n.name,
@@ -26,6 +26,11 @@ export type NodeDTO = {
   children?: NodeDTO[];
 };
 
+export type ReadingFlow = {
+  direction: 'ltr' | 'rtl';
+  writingMode?: 'horizontal-tb' | 'vertical-rl' | 'vertical-lr';
+};
+
 function readingOrder(a: SceneNode, b: SceneNode): number {
   // Top-to-bottom, then left-to-right with small tolerance
   const ay = ('y' in a) ? (a as any).y : 0;
@@ -36,6 +41,25 @@ function readingOrder(a: SceneNode, b: SceneNode): number {
   return ax - bx;
 }
 
+function readingOrderFor(flow?: ReadingFlow): (a: SceneNode, b: SceneNode) => number {
+  if (!flow || (flow.direction !== 'rtl' && (!flow.writingMode || flow.writingMode === 'horizontal-tb'))) return readingOrder;
+  if (flow.writingMode === 'vertical-rl' || flow.writingMode === 'vertical-lr') {
+    // Column by column, then top-to-bottom
+    const sign = flow.writingMode === 'vertical-rl' ? -1 : 1;
+    return (a, b) => {
+      const dx = (a.x || 0) - (b.x || 0);
+      if (Math.abs(dx) > 6) return sign * dx;
+      return (a.y || 0) - (b.y || 0);
+    };
+  }
+  // Top-to-bottom, then right-to-left by right edge
+  return (a, b) => {
+    const dy = (a.y || 0) - (b.y || 0);
+    if (Math.abs(dy) > 6) return dy;
+    return ((b.x || 0) + (b.width || 0)) - ((a.x || 0) + (a.width || 0));
+  };
+}
+
 function guessRoleFromName(name: string): string | undefined {
   const n = (name || '').toLowerCase();
   if (/\b(link|back|learn more|details)\b/.test(n)) return 'link';
@@ -65,7 +89,7 @@ function isFocusableHeuristic(node: SceneNode, platform: 'web'|'rn') {
   return { focusable, role: nameRole };
 }
 
-export function toDTO(n: SceneNode, platform: 'web'|'rn'): NodeDTO {
+export function toDTO(n: SceneNode, platform: 'web'|'rn', flow?: ReadingFlow): NodeDTO {
   const { focusable, role } = isFocusableHeuristic(n, platform);
   const rect = ('absoluteTransform' in n && 'width' in n && 'height' in n)
     ? { x: ((n as any).x !== null && (n as any).x !== undefined ? (n as any).x : 0), y: ((n as any).y !== null && (n as any).y !== undefined ? (n as any).y : 0), w: ((n as any).width !== null && (n as any).width !== undefined ? (n as any).width : 0), h: ((n as any).height !== null && (n as any).height !== undefined ? (n as any).height : 0) }
@@ -73,8 +97,8 @@ export function toDTO(n: SceneNode, platform: 'web'|'rn'): NodeDTO {
 
   const kids = ('children' in n) ? (n.children as SceneNode[])
     .filter(c => c.visible !== false)
-    .sort(readingOrder)
-    .map(c => toDTO(c, platform)) : [];
+    .sort(readingOrderFor(flow))
+    .map(c => toDTO(c, platform, flow)) : [];
 
   return Object.assign({}, {
     name: n.name,
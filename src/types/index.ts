@@ -65,6 +65,51 @@ export interface ExportData {
   spec: FocusOrderSpec;
   markdown: string;
   json: string;
+  csv: string;
+  html: string;
+}
+
+// Versioned handoff document produced by the plugin's EXPORT_SPEC handler
+export interface FocusOrderExport {
+  format: 'a11y-annotator.focus-order';
+  version: '1.0';
+  generatedAt: string;
+  file: string;
+  frames: Array<{
+    frameId: string;
+    frameName: string;
+    platform: string;
+    size: { w: number; h: number };
+    checksum: string | null;
+    annotatedAt: string | null;
+    editedAt: string | null;
+    items: Array<{
+      order: number;
+      id: string;
+      label: string;
+      role: string | null;
+      source: 'ai' | 'heuristic' | 'manual';
+      region: string | null;
+      bounds: { x: number; y: number; w: number; h: number } | null;
+    }>;
+    regions: unknown[];
+    dialogs: unknown[];
+  }>;
+  flows: Array<{
+    fromFrameId: string;
+    fromFrameName: string;
+    triggerId: string;
+    triggerLabel: string;
+    trigger: string | null;
+    navigation: 'NAVIGATE' | 'OVERLAY' | 'SWAP' | 'BACK' | 'CLOSE';
+    toFrameId: string | null;
+    toFrameName: string | null;
+    inSelection: boolean;
+    focusTargetId: string | null;
+    focusTargetLabel: string | null;
+    focusRule: string | null;
+    description: string;
+  }>;
 }
 
 export interface UserProfile {